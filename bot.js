@@ -14,11 +14,21 @@ const { App } = require('@slack/bolt');
 const fs = require('fs');
 const path = require('path');
 
+// Knowledge base config (kb.config.json or KITT_KB_CONFIG); refuse to start if it's invalid
+let KB_CONFIG;
+try {
+  KB_CONFIG = require('./services/kb-config');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // SQLite Storage Modules
 const { initDB, getStats: getDBStats } = require('./storage/database');
-const { addMessage, getHistory, clearHistory, formatForPrompt, cleanupExpired } = require('./storage/conversations');
-const { createUpdate, getUpdate, getPendingUpdates, getAllUpdates, updateStatus, editUpdate } = require('./storage/updates');
-const { formatForSlack } = require('./utils/slack-format');
+const { addMessage, getHistory, clearHistory, toChatMessages, cleanupExpired } = require('./storage/conversations');
+const { createUpdate, getUpdate, getPendingUpdates, getAllUpdates, updateStatus, claimUpdate, finishUpdate, releaseUpdate, editUpdate, setBaseHash } = require('./storage/updates');
+const { formatForSlack, buildAnswerBlocks, formatDiffPreview } = require('./utils/slack-format');
+const { startStreamingReply } = require('./utils/slack-stream');
 
 // Long-term Memory System (shared via Dropbox)
 const {
@@ -29,9 +39,17 @@ const {
   rejectCandidate,
   editCandidateMemories,
   searchMemories,
+  getMemory,
+  supersedeMemory,
   getStats: getMemoryStats
 } = require('./storage/memory');
 
+// Knowledge Base Search Index (chunked markdown + BM25)
+const { indexDocument, removeDocument, pruneDocuments, search: searchKnowledgeBase } = require('./lib/kb-index');
+const { discoverDocuments, matchDocument, getWatchDirs, documentMeta, isSearchable, isHidden } = require('./lib/kb-sources');
+const { parseFrontMatter } = require('./lib/front-matter');
+const { retrieveMemories, findConflictingMemories } = require('./lib/memory-retrieval');
+
 // Thread Analyzer
 const { analyzeThread, hasMemoryTrigger } = require('./lib/thread-analyzer');
 
@@ -47,10 +65,54 @@ const {
 // Knowledge Base Manager
 const kbSubmit = require('./handlers/kb-submit');
 const kbReview = require('./handlers/kb-review');
+const { handleMemoryCommand, MEMORY_TYPE_EMOJI } = require('./handlers/memory-commands');
+const { getInboxItems, buildInboxBlocks, formatAge } = require('./lib/review-inbox');
+const { handleRoleCommand } = require('./handlers/role-commands');
+const { handleAuditCommand } = require('./handlers/audit-commands');
+const { handleKbCommand } = require('./handlers/kb-commands');
+const { hashContent, readKnowledgeFile, withWriteLock, writeKnowledgeFile, previewWrite } = require('./lib/kb-writer');
+const {
+  parseMarkdown,
+  findSection,
+  findSections,
+  getField,
+  getTable,
+  setField,
+  appendTableRow,
+  appendToSection
+} = require('./lib/markdown-sections');
+const { buildRevertBlocks, revertUpdate, formatRevertResult } = require('./handlers/revert');
+const {
+  can,
+  getUpdateResource,
+  getReviewerIds,
+  getOwnerId,
+  requirePermission,
+  MEMORY_RESOURCE
+} = require('./lib/auth');
+const {
+  AUTO_APPROVER,
+  isAutoApproved,
+  getApprovalState,
+  recordApproval,
+  getPendingReviewerIds,
+  formatApprovalState
+} = require('./lib/approval-policy');
+const {
+  buildMemorySelectionBlocks,
+  parseMemorySelection,
+  buildMemoryEditView,
+  parseMemoryEditSubmission
+} = require('./handlers/memory-review');
 
 // Heartbeat System
 const { Heartbeat } = require('./shared/heartbeat');
 
+// AI Provider Registry (CLIProxyAPI → OpenAI → Gemini → Ollama, see services/ai-config.js)
+// Call sites pick a task profile: callAI(prompt, { task: 'intent' })
+const { callAI, streamAI, getProviders } = require('./lib/ai-registry');
+const { getState: getProviderHealth } = require('./lib/provider-health');
+
 // Initialize Slack App
 const app = new App({
   token: process.env.SLACK_BOT_TOKEN,
@@ -60,31 +122,27 @@ const app = new App({
   port: process.env.PORT || 3000
 });
 
-// AI Provider Configuration (unified via CLIProxyAPI → Ollama fallback)
-// All cloud AI (OpenAI, Gemini, Claude) goes through CLIProxyAPI
-const OLLAMA_API = 'http://localhost:11434/api/generate';
-const OLLAMA_MODEL = 'qwen2.5:3b';
+// ============ KNOWLEDGE BASE SYSTEM ============
 
-// CLIProxyAPI - Unified AI proxy (OAuth + API keys)
-// Supports: gemini-2.5-flash, claude-haiku-4-5, gpt-4o-mini, etc.
-const CLIPROXY_URL = process.env.CLIPROXY_URL || 'http://127.0.0.1:8317';
-const CLIPROXY_API_KEY = process.env.CLIPROXY_API_KEY || 'magi-proxy-key-2026';
-const CLIPROXY_MODEL = process.env.CLIPROXY_MODEL || 'gemini-2.5-flash';  // OAuth model, no quota limits
+// Knowledge base root (kb.config.json, validated in services/kb-config.js)
+const KB_BASE_PATH = KB_CONFIG.local.pm_dir;
 
-// ============ KNOWLEDGE BASE SYSTEM ============
+// Dropbox and editors fire several watch events per save; reload once things settle
+const KB_RELOAD_DEBOUNCE_MS = 1000;
 
-// Knowledge base paths
-const KB_BASE_PATH = path.join(process.env.HOME, 'Dropbox/PKM-Vault/1-Projects/IrisGo/Product');
-const KB_FILES = {
-  product: 'knowledge-base.md',
-  customers: 'customers.md',
-  roadmap: 'roadmap.md',
-  priorities: 'priorities.md',
-  resources: 'resources.md',
-  pmMemory: 'pm-memory.md'
-};
+// Where each /kitt update type writes; /kitt oem and /kitt pending read the same places
+const QUICK_UPDATE_ROUTES = KB_CONFIG.quick_updates;
+
+// Retrieval budget for generateAIResponse
+const KB_RETRIEVAL_TOP_K = 8;
+const KB_RETRIEVAL_MAX_CHARS = 8000;
+const MEMORY_RETRIEVAL_LIMIT = 5;
+const MEMORY_CHANNELS_TTL_MS = 10 * 60 * 1000;
+const HOME_INBOX_LIMIT = 5;
+const COMMAND_INBOX_LIMIT = 15;
 
-// In-memory knowledge base
+// In-memory knowledge base: the content of each role document (kb.config.json
+// documents); files found under sources are only indexed for search
 let knowledgeBase = {
   product: '',
   customers: '',
@@ -95,31 +153,128 @@ let knowledgeBase = {
   lastUpdated: null
 };
 
+// Every knowledge base document by key (lib/kb-sources.js): { key, file, path, role }
+let kbDocuments = new Map();
+
+// Per-document freshness and front matter, by knowledge base key:
+// { file, role, hash, chars, modifiedAt (mtime when the content last changed), loadedAt,
+//   missingSince, meta: { owner, tags, visibility, updated }, frontMatterError }
+const kbFileStatus = {};
+
 // ============ CONVERSATION MEMORY (SQLite) ============
 // Now handled by ./storage/conversations.js
-// Functions: addMessage, getHistory, clearHistory, formatForPrompt
+// Functions: addMessage, getHistory, clearHistory, toChatMessages
+
+/**
+ * Drop a document that no longer exists (or no longer matches a source)
+ * @param {string} key - Knowledge base key
+ */
+function forgetKnowledgeFile(key) {
+  kbDocuments.delete(key);
+  delete kbFileStatus[key];
+  removeDocument(key);
+}
 
 /**
- * Load all knowledge base files into memory
+ * Load one knowledge base document: role documents into memory, and every
+ * document's body (without front matter) into the search index unless its
+ * front matter says `visibility: private` or can't be parsed. A file whose
+ * content hash hasn't changed is left alone.
+ * @param {string} key - Knowledge base key (kbDocuments)
+ * @returns {string} 'loaded' | 'unchanged' | 'missing' (role document gone) |
+ *   'removed' (other document gone, dropped from the inventory)
+ */
+function loadKnowledgeFile(key) {
+  const doc = kbDocuments.get(key);
+  const previous = kbFileStatus[key];
+  let content;
+  let stat;
+
+  try {
+    stat = fs.statSync(doc.path);
+    content = fs.readFileSync(doc.path, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+
+    if (!doc.role) {
+      forgetKnowledgeFile(key);
+      return 'removed';
+    }
+
+    if (!previous || !previous.missingSince) {
+      console.warn(previous && previous.hash
+        ? `  ⚠️  ${doc.file} was deleted or renamed`
+        : `  ⚠️  ${doc.file} not found, skipping`);
+    }
+    knowledgeBase[key] = '';
+    removeDocument(key);
+    kbFileStatus[key] = {
+      file: doc.file,
+      role: doc.role,
+      hash: null,
+      chars: 0,
+      modifiedAt: previous ? previous.modifiedAt : null,
+      loadedAt: previous ? previous.loadedAt : null,
+      missingSince: (previous && previous.missingSince) || new Date().toISOString(),
+      meta: previous ? previous.meta : documentMeta({}),
+      frontMatterError: null
+    };
+    return 'missing';
+  }
+
+  const hash = hashContent(content);
+  if (previous && previous.hash === hash) return 'unchanged';
+
+  const { data, body, error } = parseFrontMatter(content);
+  if (error) console.warn(`  ⚠️  ${doc.file}: ${error}; not searchable until fixed`);
+  const meta = documentMeta(data);
+
+  if (doc.role) knowledgeBase[key] = content;
+  if (!isSearchable(meta, error)) {
+    removeDocument(key);
+  } else {
+    indexDocument(key, doc.file, body);
+  }
+
+  kbFileStatus[key] = {
+    file: doc.file,
+    role: doc.role,
+    hash,
+    chars: content.length,
+    modifiedAt: stat.mtime.toISOString(),
+    loadedAt: new Date().toISOString(),
+    missingSince: null,
+    meta,
+    frontMatterError: error
+  };
+  if (doc.role) console.log(`  ✓ Loaded ${doc.file} (${content.length} chars)`);
+  return 'loaded';
+}
+
+/**
+ * Scan the knowledge base (role documents + source folders), load every
+ * document and refresh the search index. Unchanged files (same content
+ * hash) are not re-read into the index.
  */
 function loadKnowledgeBase() {
   try {
     console.log('📚 Loading IrisGo knowledge base...');
 
-    for (const [key, filename] of Object.entries(KB_FILES)) {
-      const filePath = path.join(KB_BASE_PATH, filename);
+    const documents = discoverDocuments();
+    const current = new Set(documents.map(doc => doc.key));
+    for (const key of Array.from(kbDocuments.keys())) {
+      if (!current.has(key)) forgetKnowledgeFile(key);
+    }
+    kbDocuments = new Map(documents.map(doc => [doc.key, doc]));
 
-      if (fs.existsSync(filePath)) {
-        knowledgeBase[key] = fs.readFileSync(filePath, 'utf8');
-        console.log(`  ✓ Loaded ${filename} (${knowledgeBase[key].length} chars)`);
-      } else {
-        console.warn(`  ⚠️  ${filename} not found, skipping`);
-        knowledgeBase[key] = '';
-      }
+    for (const key of kbDocuments.keys()) {
+      loadKnowledgeFile(key);
     }
+    pruneDocuments(Array.from(kbDocuments.keys()));
 
     knowledgeBase.lastUpdated = new Date().toISOString();
-    console.log(`✓ Knowledge base loaded at ${knowledgeBase.lastUpdated}`);
+    const roleCount = documents.filter(doc => doc.role).length;
+    console.log(`✓ Knowledge base loaded at ${knowledgeBase.lastUpdated}: ${kbDocuments.size} documents (${roleCount} core, ${kbDocuments.size - roleCount} from sources)`);
 
   } catch (error) {
     console.error('❌ Failed to load knowledge base:', error.message);
@@ -127,20 +282,152 @@ function loadKnowledgeBase() {
 }
 
 /**
- * Watch knowledge base directory for changes
+ * Reload the document behind a watch event; a new file under a source
+ * folder is added to the inventory
+ * @param {string} filePath - Absolute path of the changed file
  */
-function watchKnowledgeBase() {
+function reloadChangedFile(filePath) {
   try {
-    fs.watch(KB_BASE_PATH, (eventType, filename) => {
-      if (filename && filename.endsWith('.md')) {
-        console.log(`🔄 Detected change in ${filename}, reloading knowledge base...`);
-        loadKnowledgeBase();
-      }
-    });
-    console.log(`👁️  Watching ${KB_BASE_PATH} for changes`);
+    const known = Array.from(kbDocuments.values()).find(doc => doc.path === filePath);
+    const doc = known || matchDocument(filePath);
+    if (!doc || (!known && !fs.existsSync(filePath))) return;
+    if (!known) kbDocuments.set(doc.key, doc);
+
+    const result = loadKnowledgeFile(doc.key);
+    if (result === 'unchanged') return;
+
+    knowledgeBase.lastUpdated = new Date().toISOString();
+    console.log({
+      loaded: known ? `🔄 Reloaded ${doc.file}` : `🔄 Added ${doc.file}`,
+      missing: `🔄 ${doc.file} is gone; dropped from the knowledge base`,
+      removed: `🔄 ${doc.file} was deleted or renamed; removed from the inventory`
+    }[result]);
   } catch (error) {
-    console.error('❌ Failed to setup file watcher:', error.message);
+    console.error(`❌ Failed to reload ${filePath}:`, error.message);
+  }
+}
+
+/**
+ * Watch the knowledge base folders for changes. Events are debounced per
+ * file, and only the changed document is reloaded; a rename shows up as
+ * an event for the old name (now gone) and one for the new name. Changes
+ * to folders (added, moved, deleted) trigger a full rescan.
+ */
+function watchKnowledgeBase() {
+  const timers = new Map();
+
+  const schedule = (timerKey, reload) => {
+    clearTimeout(timers.get(timerKey));
+    timers.set(timerKey, setTimeout(() => {
+      timers.delete(timerKey);
+      reload();
+    }, KB_RELOAD_DEBOUNCE_MS));
+  };
+
+  const onEvent = dir => (eventType, filename) => {
+    if (!filename) {
+      schedule('*', loadKnowledgeBase);
+      return;
+    }
+    if (isHidden(filename)) return;
+
+    const filePath = path.join(dir, filename);
+    if (filePath.endsWith('.md')) {
+      schedule(filePath, () => reloadChangedFile(filePath));
+    } else if (!path.extname(filename)) {
+      schedule('*', loadKnowledgeBase);
+    }
+  };
+
+  for (const dir of getWatchDirs()) {
+    try {
+      try {
+        fs.watch(dir, { recursive: true }, onEvent(dir));
+      } catch (error) {
+        if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+        console.warn(`⚠️  Recursive watch unavailable; only changes directly in ${dir} are picked up`);
+        fs.watch(dir, onEvent(dir));
+      }
+      console.log(`👁️  Watching ${dir} for changes`);
+    } catch (error) {
+      console.error(`❌ Failed to setup file watcher for ${dir}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Per-document freshness of the role documents
+ * @param {Object} [options]
+ * @param {boolean} [options.compact=false] - One line ("customers.md 5m · pm-memory.md 2h")
+ *   for the App Home footer instead of one line per document for /kitt status
+ * @returns {string} mrkdwn
+ */
+function formatKbFreshness({ compact = false } = {}) {
+  const age = iso => formatAge(new Date(iso));
+  const roleDocs = Array.from(kbDocuments.values()).filter(doc => doc.role);
+
+  const lines = roleDocs.map(doc => {
+    const status = kbFileStatus[doc.key];
+    if (!status) {
+      return compact ? `❔ ${doc.file}` : `• ❔ \`${doc.file}\` not loaded yet`;
+    }
+    if (status.missingSince) {
+      return compact ? `❌ ${status.file}` : `• ❌ \`${status.file}\` missing for ${age(status.missingSince)}`;
+    }
+    return compact
+      ? `${status.file} ${age(status.modifiedAt)}`
+      : `• ✅ \`${status.file}\` edited ${age(status.modifiedAt)} ago · loaded ${age(status.loadedAt)} ago · ${status.chars} chars · \`${status.hash.slice(0, 8)}\``;
+  });
+
+  const others = kbDocuments.size - roleDocs.length;
+  if (!compact && others > 0) {
+    lines.push(`• …and ${others} more document${others === 1 ? '' : 's'} from source folders (\`/kitt kb list\`)`);
   }
+  return lines.join(compact ? ' · ' : '\n');
+}
+
+/**
+ * Knowledge base inventory for /kitt kb list and the App Home
+ * @returns {Array} [{ key, file, role, missing, chars, modifiedAt, owner, tags,
+ *   visibility, updated, frontMatterError }] in load order
+ */
+function getKbInventory() {
+  return Array.from(kbDocuments.values()).map(doc => {
+    const status = kbFileStatus[doc.key] || {};
+    return {
+      key: doc.key,
+      file: doc.file,
+      role: doc.role,
+      missing: Boolean(status.missingSince) || !status.loadedAt,
+      chars: status.chars || 0,
+      modifiedAt: status.modifiedAt || null,
+      ...(status.meta || documentMeta({})),
+      frontMatterError: status.frontMatterError || null
+    };
+  });
+}
+
+/**
+ * App Home knowledge base summary: document count, folders, private docs
+ * @returns {string} mrkdwn
+ */
+function formatKbInventorySummary() {
+  const documents = getKbInventory().filter(doc => !doc.missing);
+  const folders = {};
+  for (const doc of documents) {
+    const folder = doc.file.includes('/') ? `${doc.file.slice(0, doc.file.lastIndexOf('/'))}/` : '(root)';
+    folders[folder] = (folders[folder] || 0) + 1;
+  }
+
+  const parts = [`${documents.length} docs`];
+  const folderList = Object.entries(folders).sort((a, b) => b[1] - a[1]);
+  if (folderList.length > 1) {
+    parts.push(folderList.slice(0, 4).map(([folder, count]) => `📁 ${folder} ${count}`).join(' · ') +
+      (folderList.length > 4 ? ` · +${folderList.length - 4} folders` : ''));
+  }
+  const privateCount = documents.filter(doc => doc.visibility === 'private').length;
+  if (privateCount) parts.push(`🔒 ${privateCount} private`);
+  return parts.join(' | ');
 }
 
 // Load knowledge base on startup
@@ -151,7 +438,7 @@ watchKnowledgeBase();
 // Now handled by ./storage/updates.js
 // Functions: createUpdate, getUpdate, getPendingUpdates, updateStatus, editUpdate
 
-const ADMIN_USER_ID = process.env.ADMIN_USER_ID || 'U08MZ609BGX';
+// Who may submit / review / administer: see lib/auth.js (roles via /kitt role)
 
 /**
  * Rule-based quick check for potential knowledge updates
@@ -195,11 +482,12 @@ function detectKnowledgeUpdateIntent_RuleBased(text) {
  */
 async function detectKnowledgeUpdateIntent_LLM(text) {
   try {
-    const prompt = `Classify this message intent.
-
-Message: "${text}"
+    const messages = [
+      {
+        role: 'system',
+        content: `Classify the intent of the user's message.
 
-Is this message asking to RECORD/UPDATE new information? Or just ASKING/QUERYING for existing information?
+Is the message asking to RECORD/UPDATE new information? Or just ASKING/QUERYING for existing information?
 
 Examples:
 - "跟我說一下 CES 進度" → QUERY (asking for info)
@@ -209,11 +497,12 @@ Examples:
 
 Reply with ONLY one word:
 - YES (if recording/updating NEW information)
-- NO (if asking/querying for existing info, or general chat)
-
-Answer:`;
+- NO (if asking/querying for existing info, or general chat)`
+      },
+      { role: 'user', content: text }
+    ];
 
-    const result = await callAI(prompt, 10);
+    const result = await callAI(messages, { task: 'intent' });
     const answer = result.trim().toUpperCase();
     console.log(`[DEBUG] LLM intent detection result: "${answer}" for text: "${text.substring(0, 50)}..."`);
     return answer.includes('YES');
@@ -263,50 +552,43 @@ function detectAdminCorrectionIntent(text) {
 }
 
 /**
- * Apply admin correction directly to PKM
- * Writes to pm-memory.md 決策脈絡 section
+ * Work out the file content with an admin correction added to the
+ * admin_correction section, pm-memory.md 決策脈絡 by default
+ * (dry run; nothing is written)
+ * @param {string} text - Correction text
+ * @param {string} current - Current content of the target file
+ * @returns {Object} { content, title } or { error }
  */
-function applyAdminCorrection(text) {
-  try {
-    let pmContent = knowledgeBase.pmMemory;
-    const today = new Date().toISOString().split('T')[0];
-
-    // Find the 決策脈絡 section end (before next ## section)
-    const decisionSectionStart = pmContent.indexOf('## 🧠 決策脈絡');
-    const nextSectionStart = pmContent.indexOf('\n---\n\n## ', decisionSectionStart + 1);
-
-    if (decisionSectionStart > 0 && nextSectionStart > 0) {
-      // Extract key info from correction text
-      let title = 'Admin 更新';
-      let content = text;
-
-      // Try to extract specific targets
-      if (/series\s*a/i.test(text)) {
-        title = 'Series A 目標更新';
-      } else if (/seed/i.test(text)) {
-        title = 'Seed Round 更新';
-      } else if (/目標/i.test(text)) {
-        title = '目標更新';
-      }
-
-      // Create new entry
-      const newEntry = `\n### ${title} (${today})\n- **來源**：Admin DM 糾正\n- **內容**：${content}\n`;
-
-      // Insert before the --- separator
-      pmContent = pmContent.slice(0, nextSectionStart) + newEntry + pmContent.slice(nextSectionStart);
-      fs.writeFileSync(path.join(KB_BASE_PATH, 'pm-memory.md'), pmContent);
-
-      // Update in-memory cache
-      knowledgeBase.pmMemory = pmContent;
-
-      console.log(`✓ Admin correction applied: ${title}`);
-      return { success: true, title };
-    }
+function planAdminCorrection(text, current) {
+  const today = new Date().toISOString().split('T')[0];
+
+  // Extract key info from correction text
+  let title = 'Admin 更新';
+
+  // Try to extract specific targets
+  if (/series\s*a/i.test(text)) {
+    title = 'Series A 目標更新';
+  } else if (/seed/i.test(text)) {
+    title = 'Seed Round 更新';
+  } else if (/目標/i.test(text)) {
+    title = '目標更新';
+  }
 
-    return { success: false, error: 'Could not find 決策脈絡 section' };
+  try {
+    const route = QUICK_UPDATE_ROUTES.admin_correction;
+    const doc = parseMarkdown(current, { name: route.file });
+    const section = findSection(doc, route.section);
+
+    // New entry goes at the end of the section, above its --- separator
+    const content = appendToSection(doc, section, [
+      '',
+      `### ${title} (${today})`,
+      '- **來源**：Admin DM 糾正',
+      `- **內容**：${text}`
+    ], { beforeRule: true });
+    return { content, title };
   } catch (error) {
-    console.error('Error applying admin correction:', error.message);
-    return { success: false, error: error.message };
+    return { error: error.message };
   }
 }
 
@@ -345,61 +627,75 @@ function extractKnowledgeInfo(text) {
 }
 
 /**
- * Notify admin of new pending update via DM
+ * Notify everyone who may review this update via DM
+ * (skipping reviewers who already approved it), with the approval status
  */
-async function notifyAdminOfUpdate(client, update) {
-  try {
-    // Open DM with admin
-    const dmResult = await client.conversations.open({ users: ADMIN_USER_ID });
-    const dmChannelId = dmResult.channel.id;
+async function notifyReviewersOfUpdate(client, update) {
+  const reviewerIds = getPendingReviewerIds(update);
+  if (reviewerIds.length === 0) {
+    console.warn(`⚠️ No reviewer for update ${update.id}; set ADMIN_USER_ID or grant a role`);
+  }
+  const approvalText = formatApprovalState(getApprovalState(update));
+  const preview = buildReviewPreview(update);
 
-    await client.chat.postMessage({
-      channel: dmChannelId,
-      text: `New update pending approval`,
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `*📝 New Update Request*\n\n*ID:* \`${update.id}\`\n*Type:* ${update.type}\n*Target:* ${update.target}\n*Value:* ${update.value}\n*From:* <@${update.submittedBy}>\n*Time:* ${update.submittedAt}`
-          }
-        },
-        {
-          type: 'context',
-          elements: [
-            {
+  for (const reviewerId of reviewerIds) {
+    try {
+      // Open DM with reviewer
+      const dmResult = await client.conversations.open({ users: reviewerId });
+      const dmChannelId = dmResult.channel.id;
+
+      await client.chat.postMessage({
+        channel: dmChannelId,
+        text: `New update pending approval`,
+        blocks: [
+          {
+            type: 'section',
+            text: {
               type: 'mrkdwn',
-              text: `_Edit: \`/kitt edit ${update.id} [new target] [new value]\`_`
+              text: `*📝 New Update Request*\n\n*ID:* \`${update.id}\`\n*Type:* ${update.type}\n*Target:* ${update.target}\n*Value:* ${update.value}\n*From:* <@${update.submittedBy}>\n*Time:* ${update.submittedAt}${approvalText ? `\n${approvalText}` : ''}`
             }
-          ]
-        },
-        {
-          type: 'actions',
-          elements: [
-            {
-              type: 'button',
-              text: { type: 'plain_text', text: '✅ Approve' },
-              style: 'primary',
-              action_id: `approve_update_${update.id}`
-            },
-            {
-              type: 'button',
-              text: { type: 'plain_text', text: '✏️ Edit' },
-              action_id: `edit_update_${update.id}`
-            },
-            {
-              type: 'button',
-              text: { type: 'plain_text', text: '❌ Reject' },
-              style: 'danger',
-              action_id: `reject_update_${update.id}`
-            }
-          ]
-        }
-      ]
-    });
-    console.log(`📬 Notified admin of update ${update.id}`);
-  } catch (error) {
-    console.error('Error notifying admin:', error.message);
+          },
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: preview }
+          },
+          {
+            type: 'context',
+            elements: [
+              {
+                type: 'mrkdwn',
+                text: `_Edit: \`/kitt edit ${update.id} [new target] [new value]\`_`
+              }
+            ]
+          },
+          {
+            type: 'actions',
+            elements: [
+              {
+                type: 'button',
+                text: { type: 'plain_text', text: '✅ Approve' },
+                style: 'primary',
+                action_id: `approve_update_${update.id}`
+              },
+              {
+                type: 'button',
+                text: { type: 'plain_text', text: '✏️ Edit' },
+                action_id: `edit_update_${update.id}`
+              },
+              {
+                type: 'button',
+                text: { type: 'plain_text', text: '❌ Reject' },
+                style: 'danger',
+                action_id: `reject_update_${update.id}`
+              }
+            ]
+          }
+        ]
+      });
+      console.log(`📬 Notified ${reviewerId} of update ${update.id}`);
+    } catch (error) {
+      console.error(`Error notifying ${reviewerId}:`, error.message);
+    }
   }
 }
 
@@ -432,90 +728,208 @@ async function notifyUserOfResult(client, userId, update, approved) {
   }
 }
 
+/**
+ * Send a new update to review, or apply it straight away when the
+ * submitter is on the type's auto_approve list
+ * @param {Object} client - Slack WebClient
+ * @param {Object} update - New update
+ * @returns {Promise<boolean>} True if auto-approved and applied
+ */
+async function routeQuickUpdate(client, update) {
+  recordBaseHash(update);
+  if (isAutoApproved(update) && (await applyUpdate(update, AUTO_APPROVER)).applied) {
+    loadKnowledgeBase();
+    console.log(`⚡ Auto-approved update ${update.id} from ${update.submittedBy}`);
+    return true;
+  }
+
+  await notifyReviewersOfUpdate(client, update);
+  return false;
+}
+
+/**
+ * DM acknowledgement for an auto-approved update
+ * @param {Object} update - Update
+ * @param {string} lang - Detected language
+ * @returns {string} Message
+ */
+function formatAutoApprovedAck(update, lang) {
+  return lang === 'en'
+    ? `✅ *Auto-approved and applied*\n\nID: \`${update.id}\``
+    : `✅ *已自動核准並寫入 PKM*\n\nID: \`${update.id}\``;
+}
+
+/**
+ * Record a reviewer's approval; when the type's policy needs more approvals,
+ * ask the remaining reviewers and report where it stands
+ * @param {Object} client - Slack WebClient
+ * @param {Object} update - Pending update
+ * @param {string} userId - Approving reviewer
+ * @returns {Promise<string|null>} Status text if still waiting, null if ready to apply
+ */
+async function approveOrWait(client, update, userId) {
+  const approval = recordApproval(update, userId);
+  if (approval.satisfied) return null;
+
+  if (approval.added) await notifyReviewersOfUpdate(client, update);
+  return `👍 Approval recorded for \`${update.id}\`, not applied yet.\n${formatApprovalState(approval)}`;
+}
+
+/**
+ * Roll back an approved update (quick or KB) and reload what it touched
+ * @param {Object} update - Approved update
+ * @param {string} userId - Reverting reviewer
+ * @returns {Promise<Object>} { text, blocks } reply
+ */
+async function revertAppliedUpdate(update, userId) {
+  const result = await revertUpdate(update, userId);
+  const reply = formatRevertResult(update, result);
+  if (result.status !== 'reverted') return reply;
+
+  loadKnowledgeBase();
+  if (update.kind === 'kb') {
+    try {
+      await kbReview.syncToNotebookLM();
+    } catch (error) {
+      const warning = `\n⚠️ ${error.message}. NotebookLM still has the reverted content until the next sync.`;
+      reply.text += warning;
+      reply.blocks[0].text.text += warning;
+    }
+  }
+  return reply;
+}
+
 // ============ MEMORY SYSTEM FUNCTIONS ============
 
 /**
- * Notify admin of new memory candidate via DM
+ * Notify everyone who may review memories of a new candidate via DM
  */
-async function notifyAdminOfMemoryCandidate(client, candidate) {
-  try {
-    const dmResult = await client.conversations.open({ users: ADMIN_USER_ID });
-    const dmChannelId = dmResult.channel.id;
+async function notifyReviewersOfMemoryCandidate(client, candidate) {
+  const reviewerIds = getReviewerIds(MEMORY_RESOURCE);
+  if (reviewerIds.length === 0) {
+    console.warn(`⚠️ No reviewer for memory candidate ${candidate.id}; set ADMIN_USER_ID or grant a role`);
+  }
 
-    // Format extracted memories for display
-    const memoriesList = candidate.extractedMemories.map((mem, i) => {
-      const typeEmoji = {
-        decision: '🎯',
-        action: '📋',
-        preference: '💡',
-        fact: '📌',
-        context: '📝'
-      }[mem.type] || '•';
-      return `${typeEmoji} *${mem.type}*: ${mem.content}${mem.context ? ` _(${mem.context})_` : ''}`;
-    }).join('\n');
+  for (const reviewerId of reviewerIds) {
+    try {
+      const dmResult = await client.conversations.open({ users: reviewerId });
+      const dmChannelId = dmResult.channel.id;
 
-    const threadLink = candidate.threadUrl
-      ? `<${candidate.threadUrl}|View Thread>`
-      : `Thread: ${candidate.thread_ts}`;
+      const threadLink = candidate.threadUrl
+        ? `<${candidate.threadUrl}|View Thread>`
+        : `Thread: ${candidate.thread_ts}`;
 
-    await client.chat.postMessage({
-      channel: dmChannelId,
-      text: `New memory candidate pending approval`,
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `*🧠 New Memory Candidate*\n\n*ID:* \`${candidate.id}\`\n*Channel:* #${candidate.channel_name || candidate.channel}\n*Thread:* ${threadLink}\n*From:* <@${candidate.submitted_by}>`
-          }
-        },
-        {
-          type: 'divider'
-        },
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `*Extracted Memories (${candidate.extractedMemories.length}):*\n\n${memoriesList}`
-          }
-        },
-        {
-          type: 'context',
-          elements: [
-            {
+      await client.chat.postMessage({
+        channel: dmChannelId,
+        text: `New memory candidate pending approval`,
+        blocks: [
+          {
+            type: 'section',
+            text: {
               type: 'mrkdwn',
-              text: `_These memories will be saved to the shared database if approved._`
+              text: `*🧠 New Memory Candidate*\n\n*ID:* \`${candidate.id}\`\n*Channel:* #${candidate.channel_name || candidate.channel}\n*Thread:* ${threadLink}\n*From:* <@${candidate.submitted_by}>`
             }
-          ]
-        },
-        {
-          type: 'actions',
-          elements: [
-            {
-              type: 'button',
-              text: { type: 'plain_text', text: '✅ Approve All' },
-              style: 'primary',
-              action_id: `approve_memory_${candidate.id}`
-            },
-            {
-              type: 'button',
-              text: { type: 'plain_text', text: '✏️ Edit' },
-              action_id: `edit_memory_${candidate.id}`
-            },
-            {
-              type: 'button',
-              text: { type: 'plain_text', text: '❌ Reject' },
-              style: 'danger',
-              action_id: `reject_memory_${candidate.id}`
+          },
+          {
+            type: 'divider'
+          },
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `*Extracted Memories (${candidate.extractedMemories.length}):*`
             }
-          ]
-        }
-      ]
+          },
+          // One checkbox + type selector per memory
+          ...buildMemorySelectionBlocks(candidate),
+          {
+            type: 'context',
+            elements: [
+              {
+                type: 'mrkdwn',
+                text: `_Selected memories will be saved to the shared database. Untick or retype items before approving._`
+              }
+            ]
+          },
+          {
+            type: 'actions',
+            elements: [
+              {
+                type: 'button',
+                text: { type: 'plain_text', text: '✅ Approve Selected' },
+                style: 'primary',
+                action_id: `approve_selected_memory_${candidate.id}`
+              },
+              {
+                type: 'button',
+                text: { type: 'plain_text', text: '✏️ Edit' },
+                action_id: `edit_memory_${candidate.id}`
+              },
+              {
+                type: 'button',
+                text: { type: 'plain_text', text: '❌ Reject' },
+                style: 'danger',
+                action_id: `reject_memory_${candidate.id}`
+              }
+            ]
+          }
+        ]
+      });
+      console.log(`📬 Notified ${reviewerId} of memory candidate ${candidate.id}`);
+    } catch (error) {
+      console.error(`Error notifying ${reviewerId} of memory:`, error.message);
+    }
+  }
+}
+
+/**
+ * Post the approval result to the admin, flagging existing memories
+ * that the new ones may contradict (with a "mark superseded" button each)
+ * @param {Object} client - Slack WebClient
+ * @param {string} channel - Admin DM channel
+ * @param {string} headline - Approval summary (mrkdwn)
+ * @param {Array<string>} createdIds - Newly approved memory IDs
+ */
+async function postMemoryApproval(client, channel, headline, createdIds) {
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: headline } }];
+  let conflictCount = 0;
+
+  for (const newId of createdIds) {
+    const memory = getMemory(newId);
+    if (!memory) continue;
+
+    const conflicts = findConflictingMemories(memory, { excludeIds: createdIds });
+    if (conflicts.length === 0) continue;
+    conflictCount += conflicts.length;
+
+    blocks.push({ type: 'divider' });
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `⚠️ *New* \`${newId}\`: ${memory.content}\n_May conflict with:_` }
     });
-    console.log(`📬 Notified admin of memory candidate ${candidate.id}`);
-  } catch (error) {
-    console.error('Error notifying admin of memory:', error.message);
+
+    for (const old of conflicts) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `${MEMORY_TYPE_EMOJI[old.type] || '•'} \`${old.id}\` (${(old.approved_at || old.created_at || '').slice(0, 10)}): ${old.content}`
+        },
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Mark superseded' },
+          action_id: `supersede_memory_${old.id}_by_${newId}`,
+          value: JSON.stringify({ oldId: old.id, newId })
+        }
+      });
+    }
   }
+
+  await client.chat.postMessage({
+    channel,
+    text: conflictCount > 0 ? `Memory approved (${conflictCount} possible conflicts)` : 'Memory approved',
+    blocks
+  });
 }
 
 /**
@@ -525,6 +939,14 @@ async function notifyAdminOfMemoryCandidate(client, candidate) {
 async function processMemoryTrigger(client, channel, threadTs, userId, say) {
   console.log(`[Memory] Processing memory trigger in channel ${channel}, thread ${threadTs}`);
 
+  if (!can(userId, 'submit')) {
+    await say({
+      text: '❌ 你的角色只能查詢，無法提交記憶。',
+      thread_ts: threadTs
+    });
+    return;
+  }
+
   // Acknowledge the request
   await say({
     text: '🧠 正在分析這個 thread...',
@@ -553,8 +975,8 @@ async function processMemoryTrigger(client, channel, threadTs, userId, say) {
   // Create memory candidate
   const candidate = createCandidate(result.data);
 
-  // Notify admin
-  await notifyAdminOfMemoryCandidate(client, candidate);
+  // Notify reviewers
+  await notifyReviewersOfMemoryCandidate(client, candidate);
 
   // Confirm to user
   const memCount = result.data.extractedMemories.length;
@@ -608,15 +1030,15 @@ function extractRelayMessage(text) {
  * Notify Lman of a new relay message
  */
 async function notifyLmanOfMessage(client, msg) {
-  const adminUserId = process.env.ADMIN_USER_ID;
-  if (!adminUserId) {
-    console.error('[Relay] ADMIN_USER_ID not configured');
+  const ownerId = getOwnerId();
+  if (!ownerId) {
+    console.error('[Relay] No owner configured: set ADMIN_USER_ID or grant an admin role');
     return;
   }
 
   try {
     await client.chat.postMessage({
-      channel: adminUserId,
+      channel: ownerId,
       text: `📨 來自 ${msg.fromUserName} 的訊息`,
       blocks: [
         {
@@ -729,199 +1151,219 @@ async function processRelayTrigger(client, text, userId, channel, channelName, s
 }
 
 /**
- * Apply approved update to PKM files
+ * Work out what applying an update would write (dry run; nothing is written)
+ * Used by applyUpdate and by the reviewer preview. Reads the target file
+ * from disk rather than the in-memory copy, which may predate edits made
+ * in Obsidian since the last reload.
+ * @param {Object} update - Update
+ * @returns {Object} { file, content, summary, baseHash } where baseHash is
+ *   the hash of the file content the plan was computed from, or
+ *   { file, error } when the update can't be applied as submitted
  */
-function applyUpdate(update) {
+function planUpdate(update) {
+  const today = new Date().toISOString().split('T')[0];
+  const route = QUICK_UPDATE_ROUTES[update.type];
+  if (!route) {
+    return { file: null, error: `Auto-apply is not supported for ${update.type} updates` };
+  }
+  const { file } = route;
+
+  const { content: current, hash: baseHash } = readKnowledgeFile(path.join(KB_BASE_PATH, file));
+  if (current === null) {
+    return { file, error: `${file} not found in ${KB_BASE_PATH}` };
+  }
+
   try {
     if (update.type === 'oem') {
-      // Update customers.md
-      let customersContent = knowledgeBase.customers;
-      const oemRegex = new RegExp(`(### .*${update.target}.*\\n\\*\\*狀態\\*\\*: )([^\\n]+)`, 'i');
-
-      if (oemRegex.test(customersContent)) {
-        customersContent = customersContent.replace(oemRegex, `$1${update.value}`);
-        fs.writeFileSync(path.join(KB_BASE_PATH, 'customers.md'), customersContent);
-        console.log(`✓ Updated OEM status for ${update.target}`);
-        return true;
-      }
-    } else if (update.type === 'pending') {
-      // Add to pm-memory.md pending table
-      let pmContent = knowledgeBase.pmMemory;
-      const pendingTableEnd = pmContent.indexOf('\n\n### 需要 Follow-up');
-
-      if (pendingTableEnd > 0) {
-        const newRow = `| ${update.target} | ${update.value} | ${new Date().toISOString().split('T')[0]} | - | KITT 提交 |\n`;
-        pmContent = pmContent.slice(0, pendingTableEnd) + newRow + pmContent.slice(pendingTableEnd);
-        fs.writeFileSync(path.join(KB_BASE_PATH, 'pm-memory.md'), pmContent);
-        console.log(`✓ Added pending item: ${update.target}`);
-        return true;
+      // Set the status field under the first OEM heading that names the target
+      const doc = parseMarkdown(current, { name: file });
+      const target = update.target.toLowerCase();
+      const [section] = findSections(doc, s =>
+        s.level >= 3 && s.title.toLowerCase().includes(target) && getField(doc, s, route.field)
+      );
+
+      if (!section) {
+        return { file, error: `No heading containing "${update.target}" with a **${route.field}** field in ${file}` };
       }
-    } else if (update.type === 'contact') {
-      // Add contact invitation to pm-memory.md 等待回覆 table
-      let pmContent = knowledgeBase.pmMemory;
-      const pendingTableEnd = pmContent.indexOf('\n\n### 需要 Follow-up');
-
-      if (pendingTableEnd > 0) {
-        // Extract submitter name for the row
-        const today = new Date().toISOString().split('T')[0];
-        // Format: | 項目 | 對象 | 發送日期 | 預計回覆 | 備註 |
-        const newRow = `| 邀請 ${update.target} | KITT 提交 | ${today} | 待確認 | ${update.value.substring(0, 50)}${update.value.length > 50 ? '...' : ''} |\n`;
-        pmContent = pmContent.slice(0, pendingTableEnd) + newRow + pmContent.slice(pendingTableEnd);
-        fs.writeFileSync(path.join(KB_BASE_PATH, 'pm-memory.md'), pmContent);
-        console.log(`✓ Added contact invitation: ${update.target}`);
-        return true;
-      }
-    } else if (update.type === 'admin_correction') {
-      // Apply admin correction to pm-memory.md 決策脈絡 section
-      const result = applyAdminCorrection(update.value);
-      return result.success;
+      return {
+        file,
+        content: setField(doc, section, route.field, update.value),
+        summary: `Updated OEM status for ${update.target}`,
+        baseHash
+      };
+    }
+
+    if (update.type === 'pending' || update.type === 'contact') {
+      // Add a row to the pending table (pm-memory.md 等待回覆)
+      const doc = parseMarkdown(current, { name: file });
+      const section = findSection(doc, route.section);
+
+      // Columns: | 項目 | 對象 | 發送日期 | 預計回覆 | 備註 |
+      const cells = update.type === 'pending'
+        ? [update.target, update.value, today, '-', 'KITT 提交']
+        : [`邀請 ${update.target}`, 'KITT 提交', today, '待確認', `${update.value.substring(0, 50)}${update.value.length > 50 ? '...' : ''}`];
+      return {
+        file,
+        content: appendTableRow(doc, section, cells),
+        summary: update.type === 'pending' ? `Added pending item: ${update.target}` : `Added contact invitation: ${update.target}`,
+        baseHash
+      };
     }
-    return false;
   } catch (error) {
-    console.error('Error applying update:', error.message);
-    return false;
+    return { file, error: error.message };
   }
-}
 
-// ============ AI HELPERS ============
+  // Admin correction goes to the decisions section (pm-memory.md 決策脈絡)
+  const plan = planAdminCorrection(update.value, current);
+  return plan.error
+    ? { file, error: plan.error }
+    : { file, content: plan.content, summary: `Admin correction applied: ${plan.title}`, baseHash };
+}
 
 /**
- * Call Gemini API (free tier)
+ * Apply approved update to PKM files
+ * The update is claimed first, so a second approval (another reviewer, a
+ * double click) can't apply it twice; it is marked approved once written
+ * and returned to the queue if nothing was written.
+ * The change is recomputed from the file on disk under the write lock. If
+ * reviewers were shown a diff against different content (update.baseHash),
+ * nothing is written: the caller shows the new diff for another approval.
+ * @param {Object} update - Update
+ * @param {string} actor - Slack user ID of the approver (or AUTO_APPROVER)
+ * @returns {Promise<Object>} { applied, claimed, stale, error }; claimed is
+ *   false when the update was no longer pending, stale is true when the
+ *   file changed since review
  */
-async function callGemini(prompt, maxTokens = 300) {
-  if (!GEMINI_API_KEY) throw new Error('GEMINI_API_KEY not configured');
+async function applyUpdate(update, actor) {
+  if (!claimUpdate(update.id, actor)) {
+    return { applied: false, claimed: false, stale: false, error: `Update ${update.id} was already processed` };
+  }
 
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: maxTokens,
-        }
-      })
-    }
-  );
+  let result;
+  try {
+    result = await withWriteLock(() => {
+      const plan = planUpdate(update);
+      if (plan.error) {
+        console.warn(`⚠️ Could not apply update ${update.id}: ${plan.error}`);
+        return { applied: false, claimed: true, stale: false, error: plan.error };
+      }
+
+      if (update.baseHash && plan.baseHash !== update.baseHash) {
+        console.warn(`⚠️ ${plan.file} changed since update ${update.id} was reviewed; not applied`);
+        return { applied: false, claimed: true, stale: true, error: `${plan.file} changed since it was reviewed` };
+      }
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini API error: ${response.status} - ${error}`);
+      writeKnowledgeFile(path.join(KB_BASE_PATH, plan.file), plan.content, {
+        actor,
+        itemId: update.id,
+        action: update.type === 'admin_correction' ? 'admin_correction' : 'apply_update',
+        expectedHash: plan.baseHash
+      });
+      console.log(`✓ ${plan.summary}`);
+      return { applied: true, claimed: true, stale: false, error: null };
+    });
+  } catch (error) {
+    console.error('Error applying update:', error.message);
+    result = { applied: false, claimed: true, stale: error.code === 'KB_CONFLICT', error: error.message };
   }
 
-  const data = await response.json();
-  return data.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || '';
+  if (result.applied) {
+    finishUpdate(update.id, 'approved');
+  } else {
+    releaseUpdate(update.id);
+  }
+  return result;
 }
 
 /**
- * Call OpenAI API
+ * Record the hash of the file reviewers' diffs are computed from, when an
+ * update is queued or edited. applyUpdate refuses to write if the file no
+ * longer has it; only re-approving a newer diff (buildStaleReview) moves it.
+ * @param {Object} update - Pending update (its baseHash is set too; null if
+ *   it won't apply as submitted)
+ * @returns {Object} update
  */
-async function callOpenAI(prompt, maxTokens = 300) {
-  if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY not configured');
-
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENAI_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: maxTokens,
-      temperature: 0.3
-    })
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`OpenAI API error: ${response.status} - ${error}`);
-  }
-
-  const data = await response.json();
-  return data.choices?.[0]?.message?.content?.trim() || '';
+function recordBaseHash(update) {
+  update.baseHash = planUpdate(update).baseHash || null;
+  setBaseHash(update.id, update.baseHash);
+  return update;
 }
 
 /**
- * Call local Ollama API
+ * Reviewer preview of an update against the file as it is now: the exact
+ * lines it will change, or why it won't apply as submitted
+ * @param {Object} update - Pending update
+ * @returns {string} mrkdwn
  */
-async function callOllama(prompt, maxTokens = 300) {
-  const response = await fetch(OLLAMA_API, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: OLLAMA_MODEL,
-      prompt: prompt,
-      stream: false,
-      options: { temperature: 0.3, num_predict: maxTokens, top_p: 0.9 }
-    })
-  });
-
-  if (!response.ok) {
-    throw new Error(`Ollama API error: ${response.status}`);
+function buildReviewPreview(update) {
+  try {
+    const plan = planUpdate(update);
+    if (plan.error) {
+      return `⚠️ *Won't apply as submitted:* ${plan.error}. Approving now changes no file; edit the target first.`;
+    }
+    return formatDiffPreview(previewWrite(path.join(KB_BASE_PATH, plan.file), plan.content), plan.file);
+  } catch (error) {
+    return `⚠️ *Preview unavailable:* ${error.message}`;
   }
-
-  const data = await response.json();
-  return (data.response || '').trim();
 }
 
 /**
- * Call CLIProxyAPI (OAuth-based Gemini/Claude access, bypasses API quotas)
+ * Reply when an approval wasn't applied because the file changed after
+ * review: the diff against the current file, and an Approve button that
+ * carries that file's hash so approving it confirms this diff
+ * @param {Object} update - Pending update
+ * @returns {Object} { text, blocks }
  */
-async function callCLIProxy(prompt, maxTokens = 300) {
-  const response = await fetch(`${CLIPROXY_URL}/v1/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${CLIPROXY_API_KEY}`
+function buildStaleReview(update) {
+  const text = `⚠️ Update \`${update.id}\` was not applied: the file changed since it was reviewed (edited outside KITT?).`;
+  const { baseHash } = planUpdate(update);
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: baseHash ? `${text} Here is the change against the current file; approve it to apply.` : text }
     },
-    body: JSON.stringify({
-      model: CLIPROXY_MODEL,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.3,
-      max_tokens: maxTokens
-    })
-  });
+    { type: 'section', text: { type: 'mrkdwn', text: buildReviewPreview(update) } }
+  ];
 
-  if (!response.ok) {
-    throw new Error(`CLIProxyAPI error: ${response.status}`);
+  if (baseHash) {
+    blocks.push({
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        text: { type: 'plain_text', text: '✅ Approve this version' },
+        style: 'primary',
+        action_id: `approve_update_${update.id}`,
+        value: baseHash
+      }]
+    });
   }
-
-  const data = await response.json();
-  return data.choices?.[0]?.message?.content?.trim() || '';
+  return { text, blocks };
 }
 
+// ============ AI HELPERS ============
+
 /**
- * Unified AI call with fallback hierarchy: OpenAI → CLIProxyAPI → Gemini → Ollama
- * @param {string} prompt - Prompt for the model
- * @param {number} maxTokens - Maximum tokens to generate
- * @returns {Promise<string>} - Generated text
+ * Format AI provider health for /kitt status
+ * @returns {string} One line per provider
  */
-async function callAI(prompt, maxTokens = 300) {
-  // Simplified: CLIProxyAPI (handles all cloud AI) → Ollama (local fallback)
-  const providers = [
-    { name: 'CLIProxyAPI', fn: callCLIProxy, enabled: true },  // Unified: OpenAI, Gemini, Claude
-    { name: 'Ollama', fn: callOllama, enabled: true }          // Local fallback
-  ];
+function formatAIHealth() {
+  const providers = getProviders();
+  if (providers.length === 0) return '• ❌ No AI providers configured';
 
-  for (const provider of providers) {
-    if (!provider.enabled) continue;
+  return providers.map(p => {
+    const h = getProviderHealth(p.name);
+    const latency = h.lastLatencyMs !== null ? `${h.lastLatencyMs}ms` : 'no calls yet';
 
-    try {
-      console.log(`[AI] Trying ${provider.name}...`);
-      const result = await provider.fn(prompt, maxTokens);
-      if (result) {
-        console.log(`[AI] ${provider.name} succeeded`);
-        return result;
-      }
-    } catch (error) {
-      console.warn(`[AI] ${provider.name} failed: ${error.message}`);
+    if (h.state === 'open') {
+      const retryIn = Math.max(0, Math.round((h.cooldownUntil - Date.now()) / 1000));
+      return `• 🔴 *${p.name}*: down (${h.consecutiveFailures} failures, retry in ${retryIn}s) - _${h.lastError}_`;
     }
-  }
-
-  throw new Error('All AI providers failed');
+    if (h.state === 'half-open') {
+      return `• 🟡 *${p.name}*: probing (${h.consecutiveFailures} failures)`;
+    }
+    const warn = h.consecutiveFailures > 0 ? ` ⚠️ ${h.consecutiveFailures} recent failures` : '';
+    return `• 🟢 *${p.name}*: ${latency}${warn}`;
+  }).join('\n');
 }
 
 /**
@@ -975,11 +1417,12 @@ async function detectLanguage(text) {
  */
 async function translateText(text, targetLang) {
   try {
-    const prompt = `Translate the following text to ${targetLang}. Return ONLY the translation, no explanations:
-
-${text}`;
+    const messages = [
+      { role: 'system', content: `Translate the user's text to ${targetLang}. Return ONLY the translation, no explanations.` },
+      { role: 'user', content: text }
+    ];
 
-    const result = await callAI(prompt, 500);
+    const result = await callAI(messages, { task: 'translation' });
     return result.trim();
   } catch (error) {
     console.error('Translation error:', error.message);
@@ -987,68 +1430,105 @@ ${text}`;
   }
 }
 
+// Slack user ID → { channels, expiresAt } (see getMemoryChannels)
+const memoryChannelCache = new Map();
+
+/**
+ * Channels whose memories a user may be shown: the channels they are a
+ * member of (IDs and names, since memories store the name), plus the one
+ * they are asking in. If Slack can't be asked, only the current channel.
+ * @param {string} userId - Asker's Slack user ID
+ * @param {Array<string>} current - Current channel ID and name
+ * @returns {Promise<Array<string>>} Channel IDs and names
+ */
+async function getMemoryChannels(userId, current) {
+  const own = current.filter(Boolean);
+  if (!userId) return own;
+
+  const cached = memoryChannelCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.channels.concat(own);
+
+  try {
+    const channels = [];
+    let cursor;
+    do {
+      const result = await app.client.users.conversations({
+        user: userId,
+        types: 'public_channel',
+        exclude_archived: true,
+        limit: 200,
+        cursor
+      });
+      for (const channel of result.channels || []) channels.push(channel.id, channel.name);
+      cursor = result.response_metadata?.next_cursor;
+    } while (cursor);
+
+    memoryChannelCache.set(userId, { channels, expiresAt: Date.now() + MEMORY_CHANNELS_TTL_MS });
+    return channels.concat(own);
+  } catch (error) {
+    console.warn(`[Memory] Could not list channels for ${userId}: ${error.message}`);
+    return own;
+  }
+}
+
 /**
  * Generate AI response with context
  * @param {string} userMessage - User's message
  * @param {string} userLang - User's language
  * @param {object} context - Additional context
- * @returns {Promise<string>} - AI response
+ * @param {string} [context.userId] - DM user (conversation history; also the asker)
+ * @param {string} [context.askerId] - Who asked, outside DMs (memory visibility)
+ * @param {Function} [context.onToken] - Stream partial text: (delta, textSoFar) => void
+ * @returns {Promise<Object>} - { text, sources } where sources are the cited excerpts
  */
 async function generateAIResponse(userMessage, userLang, context = {}) {
   try {
-    // Extract relevant knowledge from knowledge base
-    const productInfo = knowledgeBase.product ? `\n\nProduct Details:\n${knowledgeBase.product.substring(0, 3000)}` : '';
-    const currentPriorities = knowledgeBase.priorities ? `\n\nCurrent Priorities:\n${knowledgeBase.priorities.substring(0, 2000)}` : '';
+    // Conversation history as real chat turns. The DM handler saves the
+    // current message before calling us, so drop it from history here.
+    const history = context.userId ? toChatMessages(getHistory(context.userId)) : [];
+    const lastTurn = history[history.length - 1];
+    if (lastTurn && lastTurn.role === 'user' && lastTurn.content === userMessage) {
+      history.pop();
+    }
 
-    // 🆕 動態載入相關 knowledge base（根據問題內容）
+    // Retrieve the most relevant knowledge base chunks for this question.
+    // Include the previous user turn so follow-ups ("那 HP 呢？") keep their topic.
+    const previousQuestion = [...history].reverse().find(m => m.role === 'user');
+    const retrievalQuery = previousQuestion ? `${userMessage}\n${previousQuestion.content}` : userMessage;
+    const kbHits = searchKnowledgeBase(retrievalQuery, { topK: KB_RETRIEVAL_TOP_K });
+    console.log(`[KB] Retrieved ${kbHits.length} chunks: ${kbHits.map(h => `${h.filename}#${h.heading || '-'}`).join(', ')}`);
+
+    // Number each excerpt so the model can cite it as [n]
+    const sources = [];
     let additionalContext = '';
-    const lowerMsg = userMessage.toLowerCase();
-    console.log('[DEBUG] generateAIResponse called, lowerMsg:', lowerMsg);
-    console.log('[DEBUG] Checking conditions: mouse=' + lowerMsg.includes('mouse') + ', 進度=' + lowerMsg.includes('進度'));
-
-    // CES 相關問題 → 載入 customers + pmMemory
-    if (lowerMsg.includes('ces') || lowerMsg.includes('展會') || lowerMsg.includes('展位')) {
-      console.log('[DEBUG] Matched: CES branch');
-      const customersInfo = knowledgeBase.customers ? knowledgeBase.customers.substring(0, 2500) : '';
-      const pmInfo = knowledgeBase.pmMemory ? knowledgeBase.pmMemory.substring(0, 2500) : '';
-      additionalContext += `\n\n📅 CES 2026 相關資訊:\n展位: Venetian #60837\n日期: 2026-01-07~10\n\nCustomer Pipeline:\n${customersInfo}\n\nPM Memory:\n${pmInfo}`;
-    }
-    // OEM/客戶相關問題 → 載入 customers + pmMemory（因為客戶進度可能在 pmMemory）
-    else if (lowerMsg.includes('oem') || lowerMsg.includes('客戶') || lowerMsg.includes('asus') || lowerMsg.includes('hp') || lowerMsg.includes('lenovo') || lowerMsg.includes('gigabyte') || lowerMsg.includes('mouse')) {
-      console.log('[DEBUG] Matched: OEM/Customer branch (mouse detected)');
-      const customersInfo = knowledgeBase.customers ? knowledgeBase.customers.substring(0, 2500) : '';
-      // 智能提取：找出與查詢相關的 pmMemory 段落
-      let pmInfo = '';
-      if (knowledgeBase.pmMemory) {
-        // 提取關係圖譜 section（包含客戶最新狀態）
-        const relationshipMatch = knowledgeBase.pmMemory.match(/## 🔗 關係圖譜[\s\S]*?(?=\n## |$)/);
-        // 提取時間軸 section（包含會議進度）
-        const timelineMatch = knowledgeBase.pmMemory.match(/## 📅 重要時間軸[\s\S]*?(?=\n## |$)/);
-        // 提取記憶更新紀錄（最新更新）
-        const memoryLogMatch = knowledgeBase.pmMemory.match(/## 🔄 記憶更新紀錄[\s\S]*?(?=\n## |$)/);
-
-        if (relationshipMatch) pmInfo += relationshipMatch[0].substring(0, 2000) + '\n';
-        if (timelineMatch) pmInfo += timelineMatch[0].substring(0, 1500) + '\n';
-        if (memoryLogMatch) pmInfo += memoryLogMatch[0].substring(0, 1000);
-
-        // 如果沒匹配到，fallback 到原本的方式
-        if (!pmInfo) pmInfo = knowledgeBase.pmMemory.substring(0, 2500);
-      }
-      additionalContext += `\n\nCustomer Pipeline:\n${customersInfo}\n\nPM Memory (客戶進度更新):\n${pmInfo}`;
-      console.log('[DEBUG] OEM/Customer query detected, pmInfo length:', pmInfo.length);
-      console.log('[DEBUG] pmInfo contains Mouse Computer:', pmInfo.includes('Mouse Computer'));
-      console.log('[DEBUG] pmInfo contains Trial Request:', pmInfo.includes('Trial Request'));
+    let contextChars = 0;
+    for (const hit of kbHits) {
+      if (contextChars + hit.content.length > KB_RETRIEVAL_MAX_CHARS) break;
+      sources.push({ kind: 'kb', file: hit.filename, heading: hit.heading });
+      additionalContext += `\n\n[${sources.length}] (${hit.filename}${hit.heading ? ` › ${hit.heading}` : ''})\n${hit.content}`;
+      contextChars += hit.content.length;
     }
-    // 進度/狀態相關問題 → 載入 pmMemory
-    else if (lowerMsg.includes('進度') || lowerMsg.includes('狀態') || lowerMsg.includes('status') || lowerMsg.includes('progress')) {
-      const pmInfo = knowledgeBase.pmMemory ? knowledgeBase.pmMemory.substring(0, 3000) : '';
-      additionalContext += `\n\nPM Memory & Progress:\n${pmInfo}`;
+    if (additionalContext) {
+      additionalContext = `\nRelevant knowledge base excerpts:${additionalContext}`;
     }
 
-    // Get conversation history if userId is provided
-    const conversationContext = context.userId
-      ? formatForPrompt(getHistory(context.userId))
-      : '';
+    // Approved team memories (from "記住" threads), numbered after the KB excerpts.
+    // Only from channels the asker is in; the current channel ranks higher.
+    const memoryHits = retrieveMemories(retrievalQuery, {
+      limit: MEMORY_RETRIEVAL_LIMIT,
+      channels: await getMemoryChannels(context.askerId || context.userId, [context.channelId, context.channel]),
+      boostChannels: [context.channelId, context.channel]
+    });
+    console.log(`[Memory] Retrieved ${memoryHits.length} memories: ${memoryHits.map(m => m.id).join(', ')}`);
+
+    if (memoryHits.length > 0) {
+      additionalContext += '\n\nApproved team memories (decisions and facts from past Slack threads, newest first within equal relevance):';
+      for (const mem of memoryHits) {
+        sources.push({ kind: 'memory', id: mem.id, permalink: mem.thread_url });
+        const date = (mem.approved_at || mem.created_at || '').slice(0, 10);
+        additionalContext += `\n\n[${sources.length}] (${mem.type}, ${date})\n${mem.content}${mem.context ? `\nContext: ${mem.context}` : ''}`;
+      }
+    }
 
     const systemPrompt = `You are KITT (Knight Industries Team Tool), an advanced AI assistant in a Slack workspace for IrisGo.AI team.
 
@@ -1068,36 +1548,60 @@ You also serve as Lman (老闆/founder) 's personal assistant for the team. When
 
 When someone asks to "約 Lman"、"book Lman"、"找老闆"、"Lman 有空嗎" or similar, always provide the booking link.
 
-About IrisGo.AI (Updated: ${knowledgeBase.lastUpdated || 'N/A'}):
-${productInfo || '- IrisGo is a Personal AI Assistant product (B2C consumer product)\n- Privacy-first, on-device AI solution\n- Helps users manage knowledge, tasks, and daily workflows\n- Uses local AI models for maximum privacy\n- While the product is B2C, we explore B2B distribution channels (e.g., OEM partnerships with PC manufacturers)\n- NOT an enterprise B2B SaaS service'}
-${currentPriorities}
+About IrisGo.AI (Knowledge base updated: ${knowledgeBase.lastUpdated || 'N/A'}):
+${knowledgeBase.product ? '- See the knowledge base excerpts below for product details' : '- IrisGo is a Personal AI Assistant product (B2C consumer product)\n- Privacy-first, on-device AI solution\n- Helps users manage knowledge, tasks, and daily workflows\n- Uses local AI models for maximum privacy\n- While the product is B2C, we explore B2B distribution channels (e.g., OEM partnerships with PC manufacturers)\n- NOT an enterprise B2B SaaS service'}
 ${additionalContext}
-${conversationContext}
+
 Context:
 - User's language: ${userLang}
-- Current message: ${userMessage}
 ${context.teamMembers ? `- Team members: ${context.teamMembers.join(', ')}` : ''}
 ${context.channel ? `- Channel: ${context.channel}` : ''}
 
 Instructions:
-- If there's conversation history, use it to understand the context of the current message
+- Earlier messages in this chat are the recent conversation; use them to understand the context of the current message
 - **CRITICAL: You MUST respond in ${userLang}** - If user writes in Chinese, respond in Chinese. If user writes in English, respond in English.
 - Be concise, helpful, and professional
 - If the user refers to something from earlier in the conversation, acknowledge it
-- Do NOT output your reasoning process. Only output the final answer.
-
-Your response (in ${userLang}):`;
+- If a team memory conflicts with a knowledge base excerpt, prefer the more recent one and mention the discrepancy
+- When a statement comes from a numbered excerpt or memory, cite it inline as [n] (e.g. "HP 已確認 CES 會議 [2]"). Never invent citation numbers.
+- Do NOT output your reasoning process. Only output the final answer.`;
+
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      ...history,
+      { role: 'user', content: userMessage }
+    ];
 
     // 根據問題複雜度調整 token 限制
-    const maxTokens = additionalContext ? 800 : 500;
-    const result = await callAI(systemPrompt, maxTokens);
-    return result.trim();
+    const maxTokens = sources.length > 0 ? 800 : undefined;
+    const result = context.onToken
+      ? await streamAI(messages, { task: 'chat', maxTokens, onToken: context.onToken })
+      : await callAI(messages, { task: 'chat', maxTokens });
+    const text = result.trim();
+
+    return { text, sources: selectCitedSources(text, sources) };
   } catch (error) {
     console.error('AI response error:', error.message);
-    return 'Sorry, I encountered a system error. Please try again.';
+    return { text: 'Sorry, I encountered a system error. Please try again.', sources: [] };
   }
 }
 
+/**
+ * Pick the sources an answer actually cites ([n] markers).
+ * An answer that cites nothing gets no sources: listing excerpts it never
+ * used would attribute it to them.
+ * @param {string} text - AI answer
+ * @param {Array} sources - Numbered sources given to the model (index + 1 = n)
+ * @returns {Array} Sources with their citation number (empty if none cited)
+ */
+function selectCitedSources(text, sources) {
+  const cited = new Set(Array.from(text.matchAll(/\[(\d+)\]/g), m => parseInt(m[1], 10)));
+
+  return sources
+    .map((source, i) => ({ ...source, n: i + 1 }))
+    .filter(source => cited.has(source.n));
+}
+
 // ============ SLASH COMMANDS ============
 
 /**
@@ -1145,15 +1649,33 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
 • \`/kitt pending\` - Show pending/waiting items
 • \`/kitt ces\` - Show CES 2026 schedule
 
+*🧠 Memory Commands:*
+• \`/kitt memory search [query]\` - Search what KITT remembers
+• \`/kitt memory list [type] [--all]\` - List recent active memories (--all adds superseded and expired)
+• \`/kitt memory show [id]\` - Show a memory with its source thread
+• \`/kitt memory forget [id]\` - Delete a memory (admin only)
+
 *✏️ Update Commands (with admin approval):*
 • \`/kitt update oem [名稱] [狀態]\` - Submit OEM status update
 • \`/kitt update pending [項目] [備註]\` - Submit new tracking item
 
-*🔐 Admin Commands:*
+*🔐 Review Commands (reviewers/admins):*
+• \`/kitt inbox\` - Review all pending updates, KB submissions and memories
 • \`/kitt review\` - View pending updates
 • \`/kitt approve [id]\` - Approve an update
 • \`/kitt edit [id] [target] [value]\` - Edit before approving
 • \`/kitt reject [id]\` - Reject an update
+• \`/kitt revert [id]\` - Roll back an approved update
+
+*👥 Role Commands:*
+• \`/kitt role list [@user]\` - Show who is admin, reviewer, contributor or viewer
+• \`/kitt role grant|revoke @user [role] [scope]\` - Change roles (admin only)
+
+*📜 Audit Commands:*
+• \`/kitt audit [file|@user|update id]\` - Who changed which knowledge file, and how (reviewers)
+• \`/kitt audit #[n]\` - Show the diff of one write
+• \`/kitt kb history [file]\` - Git history of a knowledge file (KB_GIT_ENABLED)
+• \`/kitt kb list [folder|#tag|@owner]\` - Knowledge base documents with owner, tags and last update
 
 *Capabilities:*
 ✨ Automatic language detection
@@ -1231,48 +1753,28 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
         // Generate AI response
         const aiResponse = await generateAIResponse(message, userLang, {
           channel: channelInfo.channel?.name,
+          channelId: command.channel_id,
+          askerId: command.user_id,
           teamMembers: []
         });
 
         await say({
-          text: aiResponse,
-          blocks: [
-            {
-              type: 'section',
-              text: {
-                type: 'mrkdwn',
-                text: `💬 *${command.user_name} asked:* ${message}\n\n🚗 *KITT:* ${aiResponse}`
-              }
-            }
-          ]
+          text: aiResponse.text,
+          blocks: buildAnswerBlocks(
+            `💬 *${command.user_name} asked:* ${message}\n\n🚗 *KITT:* ${formatForSlack(aiResponse.text)}`,
+            aiResponse.sources
+          )
         });
         break;
 
       case 'oem':
         // Extract OEM status from customers.md
         try {
-          const customersData = knowledgeBase.customers || '';
-
-          // Extract OEM sections
-          const oems = [];
-          const oemPatterns = [
-            { name: 'Acer', regex: /### .*Acer.*\n\*\*狀態\*\*: ([^\n]+)/i },
-            { name: 'ASUS NUC', regex: /#### ASUS NUC.*\n\*\*狀態\*\*: ([^\n]+)/i },
-            { name: 'ASUS Consumer', regex: /#### ASUS Consumer.*\n\*\*狀態\*\*: ([^\n]+)/i },
-            { name: 'ASUS Commercial', regex: /ASUS Commercial.*\n\*\*狀態\*\*: ([^\n]+)/i },
-            { name: 'Gigabyte', regex: /### .*Gigabyte.*\n\*\*狀態\*\*: ([^\n]+)/i },
-            { name: 'Mouse Computer', regex: /### .*Mouse Computer.*\n\*\*狀態\*\*: ([^\n]+)/i },
-            { name: 'HP', regex: /### HP.*\n\*\*狀態\*\*: ([^\n]+)/i },
-            { name: 'Lenovo', regex: /### Lenovo.*\n\*\*狀態\*\*: ([^\n]+)/i },
-            { name: 'Dell', regex: /### Dell.*\n\*\*狀態\*\*: ([^\n]+)/i }
-          ];
-
-          for (const p of oemPatterns) {
-            const match = customersData.match(p.regex);
-            if (match) {
-              oems.push({ name: p.name, status: match[1].trim() });
-            }
-          }
+          // Every customers.md heading with a 狀態 field is an OEM entry
+          const route = QUICK_UPDATE_ROUTES.oem;
+          const doc = parseMarkdown(knowledgeBase[route.document] || '', { name: route.file });
+          const oems = findSections(doc, s => s.level >= 3 && getField(doc, s, route.field))
+            .map(s => ({ name: s.title, status: getField(doc, s, route.field).value }));
 
           let oemText = '*📊 OEM Pipeline Status*\n_(Updated: ' + (knowledgeBase.lastUpdated || 'N/A') + ')_\n\n';
           if (oems.length > 0) {
@@ -1283,7 +1785,7 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
               oemText += `${statusIcon} *${oem.name}*: ${oem.status}\n`;
             }
           } else {
-            oemText += '_No OEM data found. Please check customers.md_';
+            oemText += `_No OEM data found. Please check ${route.file}_`;
           }
 
           await say({
@@ -1298,22 +1800,24 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
       case 'pending':
         // Extract pending items from pm-memory.md
         try {
-          const pmData = knowledgeBase.pmMemory || '';
-
-          // Extract "等待回覆" table
-          const pendingMatch = pmData.match(/### 等待回覆\n\|[^\n]+\n\|[-|\s]+\n([\s\S]*?)(?=\n###|\n---|\n\n##|$)/);
+          const route = QUICK_UPDATE_ROUTES.pending;
+          const doc = parseMarkdown(knowledgeBase[route.document] || '', { name: route.file });
 
           let pendingText = '*⏳ Pending Items*\n_(Updated: ' + (knowledgeBase.lastUpdated || 'N/A') + ')_\n\n';
 
-          if (pendingMatch && pendingMatch[1]) {
-            const rows = pendingMatch[1].trim().split('\n').filter(r => r.startsWith('|'));
-            for (const row of rows) {
-              const cols = row.split('|').map(c => c.trim()).filter(c => c);
-              if (cols.length >= 4) {
-                pendingText += `• *${cols[0]}* - ${cols[1]} (${cols[2]}) ${cols[4] || ''}\n`;
-              }
-            }
-          } else {
+          // Rows of the "等待回覆" table: | 項目 | 對象 | 發送日期 | 預計回覆 | 備註 |
+          let rows = [];
+          try {
+            const table = getTable(doc, findSection(doc, route.section));
+            rows = table ? table.rows.map(r => r.cells).filter(cells => cells.length >= 4 && cells[0]) : [];
+          } catch (error) {
+            pendingText += `⚠️ _${error.message}_\n`;
+          }
+
+          for (const cols of rows) {
+            pendingText += `• *${cols[0]}* - ${cols[1]} (${cols[2]}) ${cols[4] || ''}\n`;
+          }
+          if (rows.length === 0) {
             pendingText += '_No pending items found._';
           }
 
@@ -1370,6 +1874,11 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
         // Submit update request for approval
         // Usage: /kitt update oem [name] [status] OR /kitt update pending [item] [note]
         try {
+          if (!can(command.user_id, 'submit')) {
+            await say('❌ Viewers cannot submit updates.');
+            return;
+          }
+
           const updateArgs = message.split(' ');
           const updateType = updateArgs[0]; // 'oem' or 'pending'
 
@@ -1394,8 +1903,11 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
             submittedBy: command.user_id
           });
 
-          // Notify admin
-          await notifyAdminOfUpdate(client, update);
+          // Notify reviewers (or apply directly for auto_approve submitters)
+          if (await routeQuickUpdate(client, update)) {
+            await say(`✅ Update \`${update.id}\` auto-approved and applied to PKM.`);
+            return;
+          }
 
           await say({
             text: 'Update submitted',
@@ -1413,14 +1925,15 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
         break;
 
       case 'review':
-        // Show pending updates (admin only)
+        // Show pending updates (reviewers only, filtered to their scope)
         try {
-          if (command.user_id !== ADMIN_USER_ID) {
-            await say('❌ Only admin can review pending updates.');
+          if (!can(command.user_id, 'review')) {
+            await say('❌ Only reviewers can review pending updates.');
             return;
           }
 
-          const pendingUpdates = getPendingUpdates();
+          const pendingUpdates = getPendingUpdates({ kind: 'quick' })
+            .filter(u => can(command.user_id, 'review', getUpdateResource(u)));
 
           if (pendingUpdates.length === 0) {
             await say('✅ No pending updates to review.');
@@ -1442,40 +1955,68 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
         }
         break;
 
-      case 'approve':
-        // Approve an update (admin only)
+      case 'inbox':
+        // Everything the caller may review: quick updates, KB submissions, memory candidates
         try {
-          if (command.user_id !== ADMIN_USER_ID) {
-            await say('❌ Only admin can approve updates.');
+          if (!can(command.user_id, 'review')) {
+            await say('❌ Only reviewers can view the review inbox.');
             return;
           }
 
+          const items = getInboxItems()
+            .filter(item => can(command.user_id, 'review', item.resource));
+          await say({
+            text: `Review Inbox (${items.length})`,
+            blocks: buildInboxBlocks(items, { limit: COMMAND_INBOX_LIMIT })
+          });
+        } catch (err) {
+          await say(`❌ Error loading review inbox: ${err.message}`);
+        }
+        break;
+
+      case 'approve':
+        // Approve an update (reviewers in scope)
+        try {
           const approveId = message.trim().toUpperCase();
           if (!approveId) {
             await say('❌ Usage: `/kitt approve [id]`');
             return;
           }
 
-          const updateToApprove = getUpdate(approveId);
+          const updateToApprove = getUpdate(approveId, { kind: 'quick' });
 
           if (!updateToApprove || updateToApprove.status !== 'pending') {
             await say(`❌ Update \`${approveId}\` not found or already processed.`);
             return;
           }
 
-          // Apply the update to PKM
-          const applied = applyUpdate(updateToApprove);
+          if (!can(command.user_id, 'review', getUpdateResource(updateToApprove))) {
+            await say(`❌ You can't approve ${updateToApprove.type} updates.`);
+            return;
+          }
+
+          const waiting = await approveOrWait(client, updateToApprove, command.user_id);
+          if (waiting) {
+            await say(waiting);
+            return;
+          }
 
-          if (applied) {
-            updateStatus(approveId, 'approved');
+          // Apply the update to PKM
+          const result = await applyUpdate(updateToApprove, command.user_id);
 
+          if (!result.claimed) {
+            await say(`❌ Update \`${approveId}\` not found or already processed.`);
+          } else if (result.applied) {
             // Notify submitter
             await notifyUserOfResult(client, updateToApprove.submittedBy, updateToApprove, true);
 
             // Reload knowledge base
             loadKnowledgeBase();
 
-            await say(`✅ Update \`${approveId}\` approved and applied to PKM.`);
+            const doneText = `✅ Update \`${approveId}\` approved and applied to PKM.`;
+            await say({ text: doneText, blocks: buildRevertBlocks(doneText, approveId) });
+          } else if (result.stale) {
+            await say(buildStaleReview(updateToApprove));
           } else {
             await say(`⚠️ Update \`${approveId}\` approved but could not be applied. Please update manually.`);
           }
@@ -1485,13 +2026,8 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
         break;
 
       case 'edit':
-        // Edit a pending update before approving (admin only)
+        // Edit a pending update before approving (reviewers in scope)
         try {
-          if (command.user_id !== ADMIN_USER_ID) {
-            await say('❌ Only admin can edit updates.');
-            return;
-          }
-
           // Usage: /kitt edit [id] [target] [value]
           const editArgs = message.split(' ');
           const editId = (editArgs[0] || '').toUpperCase();
@@ -1503,13 +2039,18 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
             return;
           }
 
-          const updateToEdit = getUpdate(editId);
+          const updateToEdit = getUpdate(editId, { kind: 'quick' });
 
           if (!updateToEdit || updateToEdit.status !== 'pending') {
             await say(`❌ Update \`${editId}\` not found or already processed.`);
             return;
           }
 
+          if (!can(command.user_id, 'review', getUpdateResource(updateToEdit))) {
+            await say(`❌ You can't edit ${updateToEdit.type} updates.`);
+            return;
+          }
+
           const oldTarget = updateToEdit.target;
           const oldValue = updateToEdit.value;
 
@@ -1517,6 +2058,7 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
           const finalTarget = newTarget || oldTarget;
           const finalValue = newValue || oldValue;
           editUpdate(editId, finalTarget, finalValue, command.user_id);
+          const editedUpdate = recordBaseHash(getUpdate(editId));
 
           await say({
             text: 'Update edited',
@@ -1526,6 +2068,9 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
                 type: 'mrkdwn',
                 text: `✏️ *Update \`${editId}\` Edited*\n\n*Before:*\n• Target: ${oldTarget}\n• Value: ${oldValue}\n\n*After:*\n• Target: ${finalTarget}\n• Value: ${finalValue}\n\n_Use \`/kitt approve ${editId}\` or \`/kitt reject ${editId}\` to complete._`
               }
+            }, {
+              type: 'section',
+              text: { type: 'mrkdwn', text: buildReviewPreview(editedUpdate) }
             }]
           });
         } catch (err) {
@@ -1534,27 +2079,27 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
         break;
 
       case 'reject':
-        // Reject an update (admin only)
+        // Reject an update (reviewers in scope)
         try {
-          if (command.user_id !== ADMIN_USER_ID) {
-            await say('❌ Only admin can reject updates.');
-            return;
-          }
-
           const rejectId = message.trim().toUpperCase();
           if (!rejectId) {
             await say('❌ Usage: `/kitt reject [id]`');
             return;
           }
 
-          const updateToReject = getUpdate(rejectId);
+          const updateToReject = getUpdate(rejectId, { kind: 'quick' });
 
           if (!updateToReject || updateToReject.status !== 'pending') {
             await say(`❌ Update \`${rejectId}\` not found or already processed.`);
             return;
           }
 
-          updateStatus(rejectId, 'rejected');
+          if (!can(command.user_id, 'review', getUpdateResource(updateToReject))) {
+            await say(`❌ You can't reject ${updateToReject.type} updates.`);
+            return;
+          }
+
+          updateStatus(rejectId, 'rejected', null, command.user_id);
 
           // Notify submitter
           await notifyUserOfResult(client, updateToReject.submittedBy, updateToReject, false);
@@ -1565,6 +2110,33 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
         }
         break;
 
+      case 'revert':
+        // Roll back an approved update (reviewers in scope)
+        try {
+          const revertId = message.trim().toUpperCase();
+          if (!revertId) {
+            await say('❌ Usage: `/kitt revert [id]`');
+            return;
+          }
+
+          const updateToRevert = getUpdate(revertId);
+
+          if (!updateToRevert || updateToRevert.status !== 'approved') {
+            await say(`❌ Update \`${revertId}\` not found or not approved.`);
+            return;
+          }
+
+          if (!can(command.user_id, 'review', getUpdateResource(updateToRevert))) {
+            await say(`❌ You can't revert ${updateToRevert.type} updates.`);
+            return;
+          }
+
+          await say(await revertAppliedUpdate(updateToRevert, command.user_id));
+        } catch (err) {
+          await say(`❌ Error reverting update: ${err.message}`);
+        }
+        break;
+
       case 'status':
         await say({
           text: 'KITT Status',
@@ -1573,13 +2145,43 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
               type: 'section',
               text: {
                 type: 'mrkdwn',
-                text: `📊 *KITT System Status*\n\n• All systems: Operational ✅\n• Current channel: <#${command.channel_id}>\n• Language support: Active 🌐\n• AI engine: Online 🤖\n• Knowledge base: ${knowledgeBase.lastUpdated ? '✅ Loaded' : '❌ Not loaded'}\n\n_KITT is ready to assist!_`
+                text: `📊 *KITT System Status*\n\n• All systems: Operational ✅\n• Current channel: <#${command.channel_id}>\n• Language support: Active 🌐\n• Knowledge base: ${knowledgeBase.lastUpdated ? '✅ Loaded' : '❌ Not loaded'}\n\n📚 *Documents:*\n${formatKbFreshness()}\n\n🤖 *AI Providers:*\n${formatAIHealth()}\n\n_KITT is ready to assist!_`
               }
             }
           ]
         });
         break;
 
+      case 'memory':
+        await handleMemoryCommand({
+          command,
+          args: args.slice(1),
+          say,
+          isAdmin: can(command.user_id, 'admin')
+        });
+        break;
+
+      case 'role':
+        await handleRoleCommand({ command, args: args.slice(1), say });
+        break;
+
+      case 'audit':
+        // Entries carry full knowledge file diffs, so keep them to reviewers
+        if (!can(command.user_id, 'review')) {
+          await say('❌ The audit log shows full knowledge file diffs; it requires the reviewer role or above.');
+          return;
+        }
+        await handleAuditCommand({ args: args.slice(1), say });
+        break;
+
+      case 'kb':
+        if (!can(command.user_id, 'view')) {
+          await say('❌ Browsing the knowledge base requires the viewer role or above.');
+          return;
+        }
+        await handleKbCommand({ args: args.slice(1), say, documents: getKbInventory() });
+        break;
+
       default:
         await say(`❓ Unknown command: "${action}". Type \`/kitt help\` for available commands.`);
     }
@@ -1591,57 +2193,102 @@ app.command('/kitt', async ({ command, ack, say, client }) => {
 
 // ============ BUTTON ACTION HANDLERS ============
 
+/**
+ * Where to reply to a button click: the message's channel, or the
+ * clicker's DM when the button lives in App Home or a modal
+ * @param {Object} body - Action payload
+ * @returns {string} Channel or user ID
+ */
+function getReplyChannel(body) {
+  return body.channel?.id || body.user.id;
+}
+
+/**
+ * Authorization resource for the quick update behind a button or edit modal
+ * @param {Object} body - Action or view submission payload
+ * @returns {Object|null} { type, file }, or null if the update is gone
+ */
+function quickUpdateResource(body) {
+  const id = (body.actions?.[0]?.action_id || body.view?.callback_id || '')
+    .replace(/^(approve_update|edit_update|reject_update|edit_modal)_/, '');
+  const update = getUpdate(id, { kind: 'quick' });
+  return update ? getUpdateResource(update) : null;
+}
+
+// Listener middleware for review buttons (see lib/auth.js)
+const reviewQuickUpdate = requirePermission('review', quickUpdateResource);
+const reviewMemory = requirePermission('review', () => MEMORY_RESOURCE);
+
 /**
  * Handle approve button click
  */
-app.action(/approve_update_(.*)/, async ({ action, ack, body, client }) => {
+app.action(/approve_update_(.*)/, reviewQuickUpdate, async ({ action, ack, body, client }) => {
   await ack();
 
   const updateId = action.action_id.replace('approve_update_', '');
   console.log(`[Button] Approve clicked for ${updateId}`);
 
   try {
-    const updateToApprove = getUpdate(updateId);
+    const updateToApprove = getUpdate(updateId, { kind: 'quick' });
 
     if (!updateToApprove || updateToApprove.status !== 'pending') {
       await client.chat.postMessage({
-        channel: body.channel.id,
+        channel: getReplyChannel(body),
         text: `❌ Update \`${updateId}\` not found or already processed.`
       });
       return;
     }
 
-    const applied = applyUpdate(updateToApprove);
+    // "Approve this version" under a stale diff: the reviewer confirmed the diff against this hash
+    if (action.value) {
+      setBaseHash(updateId, action.value);
+      updateToApprove.baseHash = action.value;
+    }
+
+    const waiting = await approveOrWait(client, updateToApprove, body.user.id);
+    if (waiting) {
+      await client.chat.postMessage({ channel: getReplyChannel(body), text: waiting });
+      return;
+    }
 
-    if (applied) {
-      updateStatus(updateId, 'approved');
+    const result = await applyUpdate(updateToApprove, body.user.id);
 
+    if (!result.claimed) {
+      await client.chat.postMessage({
+        channel: getReplyChannel(body),
+        text: `❌ Update \`${updateId}\` not found or already processed.`
+      });
+    } else if (result.applied) {
       // Notify submitter
       await notifyUserOfResult(client, updateToApprove.submittedBy, updateToApprove, true);
 
       // Reload knowledge base
       loadKnowledgeBase();
 
+      const doneText = `✅ Update \`${updateId}\` approved and applied to PKM.`;
       await client.chat.postMessage({
-        channel: body.channel.id,
-        text: `✅ Update \`${updateId}\` approved and applied to PKM.`
+        channel: getReplyChannel(body),
+        text: doneText,
+        blocks: buildRevertBlocks(doneText, updateId)
       });
+    } else if (result.stale) {
+      await client.chat.postMessage({ channel: getReplyChannel(body), ...buildStaleReview(updateToApprove) });
     } else {
       // Still mark as approved even if auto-apply failed
-      updateStatus(updateId, 'approved', 'Auto-apply not supported for this type');
+      updateStatus(updateId, 'approved', 'Auto-apply not supported for this type', body.user.id);
 
       // Notify submitter
       await notifyUserOfResult(client, updateToApprove.submittedBy, updateToApprove, true);
 
       await client.chat.postMessage({
-        channel: body.channel.id,
+        channel: getReplyChannel(body),
         text: `⚠️ Update \`${updateId}\` approved but could not be auto-applied. Please update PKM manually.\n\n*Content:* ${updateToApprove.value}`
       });
     }
   } catch (error) {
     console.error('Approve button error:', error);
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
       text: `❌ Error: ${error.message}`
     });
   }
@@ -1650,18 +2297,18 @@ app.action(/approve_update_(.*)/, async ({ action, ack, body, client }) => {
 /**
  * Handle edit button click - opens modal with current values
  */
-app.action(/edit_update_(.*)/, async ({ action, ack, body, client }) => {
+app.action(/edit_update_(.*)/, reviewQuickUpdate, async ({ action, ack, body, client }) => {
   await ack();
 
   const updateId = action.action_id.replace('edit_update_', '');
   console.log(`[Button] Edit clicked for ${updateId}`);
 
   try {
-    const update = getUpdate(updateId);
+    const update = getUpdate(updateId, { kind: 'quick' });
 
     if (!update || update.status !== 'pending') {
       await client.chat.postMessage({
-        channel: body.channel.id,
+        channel: getReplyChannel(body),
         text: `❌ Update \`${updateId}\` not found or already processed.`
       });
       return;
@@ -1713,7 +2360,7 @@ app.action(/edit_update_(.*)/, async ({ action, ack, body, client }) => {
   } catch (error) {
     console.error('Edit button error:', error);
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
       text: `❌ Error opening edit modal: ${error.message}`
     });
   }
@@ -1722,7 +2369,7 @@ app.action(/edit_update_(.*)/, async ({ action, ack, body, client }) => {
 /**
  * Handle edit modal submission
  */
-app.view(/edit_modal_(.*)/, async ({ ack, body, view, client }) => {
+app.view(/^edit_modal_(.*)/, reviewQuickUpdate, async ({ ack, body, view, client }) => {
   await ack();
 
   const updateId = view.callback_id.replace('edit_modal_', '');
@@ -1732,11 +2379,11 @@ app.view(/edit_modal_(.*)/, async ({ ack, body, view, client }) => {
     const newTarget = view.state.values.target_block.target_input.value;
     const newValue = view.state.values.value_block.value_input.value;
 
-    const updateToEdit = getUpdate(updateId);
+    const updateToEdit = getUpdate(updateId, { kind: 'quick' });
 
     if (!updateToEdit || updateToEdit.status !== 'pending') {
-      // DM admin with error
-      const dmResult = await client.conversations.open({ users: ADMIN_USER_ID });
+      // DM the editor with error
+      const dmResult = await client.conversations.open({ users: body.user.id });
       await client.chat.postMessage({
         channel: dmResult.channel.id,
         text: `❌ Update \`${updateId}\` not found or already processed.`
@@ -1748,9 +2395,10 @@ app.view(/edit_modal_(.*)/, async ({ ack, body, view, client }) => {
     const oldValue = updateToEdit.value;
 
     editUpdate(updateId, newTarget, newValue, body.user.id);
+    const editedUpdate = recordBaseHash(getUpdate(updateId));
 
-    // DM admin with confirmation
-    const dmResult = await client.conversations.open({ users: ADMIN_USER_ID });
+    // DM the editor with confirmation
+    const dmResult = await client.conversations.open({ users: body.user.id });
     await client.chat.postMessage({
       channel: dmResult.channel.id,
       text: 'Update edited',
@@ -1762,6 +2410,10 @@ app.view(/edit_modal_(.*)/, async ({ ack, body, view, client }) => {
             text: `✏️ *Update \`${updateId}\` Edited*\n\n*Before:*\n• Target: ${oldTarget}\n• Value: ${oldValue}\n\n*After:*\n• Target: ${newTarget}\n• Value: ${newValue}`
           }
         },
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: buildReviewPreview(editedUpdate) }
+        },
         {
           type: 'actions',
           elements: [
@@ -1786,39 +2438,75 @@ app.view(/edit_modal_(.*)/, async ({ ack, body, view, client }) => {
   }
 });
 
+/**
+ * Handle revert button click (on approval confirmations, quick and KB updates)
+ */
+app.action(/^revert_update_/, requirePermission('review', body => {
+  const update = getUpdate(body.actions[0].value);
+  return update ? getUpdateResource(update) : null;
+}), async ({ action, ack, body, client }) => {
+  await ack();
+
+  const updateId = action.value;
+  console.log(`[Button] Revert clicked for ${updateId}`);
+
+  try {
+    const updateToRevert = getUpdate(updateId);
+
+    if (!updateToRevert || updateToRevert.status !== 'approved') {
+      await client.chat.postMessage({
+        channel: getReplyChannel(body),
+        text: `❌ Update \`${updateId}\` not found or not approved (already reverted?).`
+      });
+      return;
+    }
+
+    await client.chat.postMessage({
+      channel: getReplyChannel(body),
+      ...(await revertAppliedUpdate(updateToRevert, body.user.id))
+    });
+  } catch (error) {
+    console.error('Revert button error:', error);
+    await client.chat.postMessage({
+      channel: getReplyChannel(body),
+      text: `❌ Error: ${error.message}`
+    });
+  }
+});
+
 /**
  * Handle reject button click
  */
-app.action(/reject_update_(.*)/, async ({ action, ack, body, client }) => {
+app.action(/reject_update_(.*)/, reviewQuickUpdate, async ({ action, ack, body, client }) => {
   await ack();
 
   const updateId = action.action_id.replace('reject_update_', '');
   console.log(`[Button] Reject clicked for ${updateId}`);
 
   try {
-    const updateToReject = getUpdate(updateId);
+    const updateToReject = getUpdate(updateId, { kind: 'quick' });
 
     if (!updateToReject || updateToReject.status !== 'pending') {
       await client.chat.postMessage({
-        channel: body.channel.id,
+        channel: getReplyChannel(body),
         text: `❌ Update \`${updateId}\` not found or already processed.`
       });
       return;
     }
 
-    updateStatus(updateId, 'rejected');
+    updateStatus(updateId, 'rejected', null, body.user.id);
 
     // Notify submitter
     await notifyUserOfResult(client, updateToReject.submittedBy, updateToReject, false);
 
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
       text: `❌ Update \`${updateId}\` rejected.`
     });
   } catch (error) {
     console.error('Reject button error:', error);
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
       text: `❌ Error: ${error.message}`
     });
   }
@@ -1829,7 +2517,7 @@ app.action(/reject_update_(.*)/, async ({ action, ack, body, client }) => {
 /**
  * Handle memory approve button click
  */
-app.action(/approve_memory_(.*)/, async ({ action, ack, body, client }) => {
+app.action(/approve_memory_(.*)/, reviewMemory, async ({ action, ack, body, client }) => {
   await ack();
 
   const candidateId = action.action_id.replace('approve_memory_', '');
@@ -1840,7 +2528,7 @@ app.action(/approve_memory_(.*)/, async ({ action, ack, body, client }) => {
 
     if (!candidate || candidate.status !== 'pending') {
       await client.chat.postMessage({
-        channel: body.channel.id,
+        channel: getReplyChannel(body),
         text: `❌ Memory candidate \`${candidateId}\` not found or already processed.`
       });
       return;
@@ -1850,10 +2538,12 @@ app.action(/approve_memory_(.*)/, async ({ action, ack, body, client }) => {
     const createdIds = approveCandidate(candidateId, body.user.id);
 
     if (createdIds && createdIds.length > 0) {
-      await client.chat.postMessage({
-        channel: body.channel.id,
-        text: `✅ *Memory Approved*\n\n${createdIds.length} memories saved to shared database.\n\nIDs: ${createdIds.map(id => `\`${id}\``).join(', ')}\n\n_Iris/Lucy can now query these memories._`
-      });
+      await postMemoryApproval(
+        client,
+        getReplyChannel(body),
+        `✅ *Memory Approved*\n\n${createdIds.length} memories saved to shared database.\n\nIDs: ${createdIds.map(id => `\`${id}\``).join(', ')}\n\n_Iris/Lucy can now query these memories._`,
+        createdIds
+      );
 
       // Notify the submitter
       try {
@@ -1867,23 +2557,94 @@ app.action(/approve_memory_(.*)/, async ({ action, ack, body, client }) => {
       }
     } else {
       await client.chat.postMessage({
-        channel: body.channel.id,
+        channel: getReplyChannel(body),
         text: `⚠️ Memory candidate approved but no memories were created.`
       });
     }
   } catch (error) {
     console.error('Memory approve error:', error);
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
+      text: `❌ Error: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Handle "Approve Selected" - approves only the ticked memories, with the chosen types
+ */
+app.action(/approve_selected_memory_(.*)/, reviewMemory, async ({ action, ack, body, client }) => {
+  await ack();
+
+  const candidateId = action.action_id.replace('approve_selected_memory_', '');
+  console.log(`[Memory Button] Approve selected clicked for ${candidateId}`);
+
+  try {
+    const candidate = getCandidate(candidateId);
+
+    if (!candidate || candidate.status !== 'pending') {
+      await client.chat.postMessage({
+        channel: getReplyChannel(body),
+        text: `❌ Memory candidate \`${candidateId}\` not found or already processed.`
+      });
+      return;
+    }
+
+    const selected = parseMemorySelection(candidate, body.state?.values);
+    if (selected.length === 0) {
+      await client.chat.postMessage({
+        channel: getReplyChannel(body),
+        text: `⚠️ No memories selected for \`${candidateId}\`. Tick at least one, or reject the candidate.`
+      });
+      return;
+    }
+
+    const createdIds = approveCandidate(candidateId, body.user.id, selected);
+    if (!createdIds) {
+      await client.chat.postMessage({
+        channel: getReplyChannel(body),
+        text: `❌ Memory candidate \`${candidateId}\` not found or already processed.`
+      });
+      return;
+    }
+
+    await postMemoryApproval(
+      client,
+      getReplyChannel(body),
+      `✅ *Memory Approved*\n\n${createdIds.length} of ${candidate.extractedMemories.length} memories saved to shared database.\n\nIDs: ${createdIds.map(id => `\`${id}\``).join(', ')}\n\n_Iris/Lucy can now query these memories._`,
+      createdIds
+    );
+
+    // Notify the submitter
+    try {
+      const dmResult = await client.conversations.open({ users: candidate.submitted_by });
+      await client.chat.postMessage({
+        channel: dmResult.channel.id,
+        text: `✅ 你的記憶請求已通過審核！\n\n${createdIds.length} 條記憶已保存。`
+      });
+    } catch (e) {
+      console.error('Failed to notify submitter:', e.message);
+    }
+  } catch (error) {
+    console.error('Memory approve selected error:', error);
+    await client.chat.postMessage({
+      channel: getReplyChannel(body),
       text: `❌ Error: ${error.message}`
     });
   }
 });
 
+/**
+ * Checkbox / type selector changes in the approval DM are read on approve
+ */
+app.action(/^memory_(select|type)_\d+$/, async ({ ack }) => {
+  await ack();
+});
+
 /**
  * Handle memory edit button click - opens modal
  */
-app.action(/edit_memory_(.*)/, async ({ action, ack, body, client }) => {
+app.action(/edit_memory_(.*)/, reviewMemory, async ({ action, ack, body, client }) => {
   await ack();
 
   const candidateId = action.action_id.replace('edit_memory_', '');
@@ -1894,54 +2655,21 @@ app.action(/edit_memory_(.*)/, async ({ action, ack, body, client }) => {
 
     if (!candidate || candidate.status !== 'pending') {
       await client.chat.postMessage({
-        channel: body.channel.id,
+        channel: getReplyChannel(body),
         text: `❌ Memory candidate \`${candidateId}\` not found or already processed.`
       });
       return;
     }
 
-    // Format current memories as editable text
-    const memoriesText = candidate.extractedMemories.map((mem, i) => {
-      return `[${mem.type}] ${mem.content}${mem.context ? ` | ${mem.context}` : ''}`;
-    }).join('\n');
-
-    // Open modal for editing
+    // Open structured modal for editing
     await client.views.open({
       trigger_id: body.trigger_id,
-      view: {
-        type: 'modal',
-        callback_id: `edit_memory_modal_${candidateId}`,
-        title: { type: 'plain_text', text: 'Edit Memories' },
-        submit: { type: 'plain_text', text: 'Save & Approve' },
-        close: { type: 'plain_text', text: 'Cancel' },
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `*ID:* \`${candidate.id}\`\n*Channel:* #${candidate.channel_name || candidate.channel}`
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'memories_block',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'memories_input',
-              multiline: true,
-              initial_value: memoriesText,
-              placeholder: { type: 'plain_text', text: '[type] content | context\nOne memory per line' }
-            },
-            label: { type: 'plain_text', text: 'Memories (one per line)' },
-            hint: { type: 'plain_text', text: 'Format: [decision|action|preference|fact|context] content | optional context' }
-          }
-        ]
-      }
+      view: buildMemoryEditView(candidate)
     });
   } catch (error) {
     console.error('Memory edit button error:', error);
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
       text: `❌ Error opening edit modal: ${error.message}`
     });
   }
@@ -1950,65 +2678,72 @@ app.action(/edit_memory_(.*)/, async ({ action, ack, body, client }) => {
 /**
  * Handle memory edit modal submission
  */
-app.view(/edit_memory_modal_(.*)/, async ({ ack, body, view, client }) => {
-  await ack();
-
+app.view(/edit_memory_modal_(.*)/, reviewMemory, async ({ ack, body, view, client }) => {
   const candidateId = view.callback_id.replace('edit_memory_modal_', '');
   console.log(`[Memory Modal] Edit submitted for ${candidateId}`);
 
+  const candidate = getCandidate(candidateId);
+  if (!candidate) {
+    await ack({ response_action: 'errors', errors: { content_0: 'This memory candidate no longer exists.' } });
+    return;
+  }
+
+  const { memories: newMemories, errors } = parseMemoryEditSubmission(view, candidate);
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  await ack();
+
   try {
-    const memoriesText = view.state.values.memories_block.memories_input.value;
-
-    // Parse edited memories
-    const lines = memoriesText.split('\n').filter(line => line.trim());
-    const newMemories = [];
-
-    for (const line of lines) {
-      // Parse format: [type] content | context
-      const typeMatch = line.match(/^\[(\w+)\]\s*/);
-      if (!typeMatch) continue;
-
-      const type = typeMatch[1];
-      const rest = line.replace(typeMatch[0], '');
-      const parts = rest.split('|').map(p => p.trim());
-
-      newMemories.push({
-        type: type,
-        content: parts[0],
-        context: parts[1] || null,
-        tags: []
+    // Update candidate with new memories
+    editCandidateMemories(candidateId, newMemories);
+
+    // Auto-approve after edit (null if another reviewer got there first)
+    const createdIds = approveCandidate(candidateId, body.user.id);
+
+    const dmResult = await client.conversations.open({ users: body.user.id });
+    if (!createdIds) {
+      await client.chat.postMessage({
+        channel: dmResult.channel.id,
+        text: `⚠️ Memory candidate \`${candidateId}\` was already approved or rejected; your edits were not saved.`
       });
+      return;
     }
 
-    if (newMemories.length === 0) {
-      const dmResult = await client.conversations.open({ users: ADMIN_USER_ID });
+    if (createdIds.length === 0) {
       await client.chat.postMessage({
         channel: dmResult.channel.id,
-        text: `⚠️ No valid memories found after editing. Please use format: [type] content | context`
+        text: `⚠️ Memory candidate approved but no memories were created.`
       });
       return;
     }
 
-    // Update candidate with new memories
-    editCandidateMemories(candidateId, newMemories);
-
-    // Auto-approve after edit
-    const createdIds = approveCandidate(candidateId, body.user.id);
-
-    const dmResult = await client.conversations.open({ users: ADMIN_USER_ID });
-    await client.chat.postMessage({
-      channel: dmResult.channel.id,
-      text: `✅ *Memory Edited & Approved*\n\n${createdIds.length} memories saved.\n\nIDs: ${createdIds.map(id => `\`${id}\``).join(', ')}`
-    });
+    await postMemoryApproval(
+      client,
+      dmResult.channel.id,
+      `✅ *Memory Edited & Approved*\n\n${createdIds.length} memories saved.\n\nIDs: ${createdIds.map(id => `\`${id}\``).join(', ')}`,
+      createdIds
+    );
   } catch (error) {
     console.error('Memory modal submit error:', error);
+    try {
+      const dmResult = await client.conversations.open({ users: body.user.id });
+      await client.chat.postMessage({
+        channel: dmResult.channel.id,
+        text: `❌ Error saving edited memory \`${candidateId}\`: ${error.message}`
+      });
+    } catch (e) {
+      console.error('Failed to notify reviewer:', e.message);
+    }
   }
 });
 
 /**
  * Handle memory reject button click
  */
-app.action(/reject_memory_(.*)/, async ({ action, ack, body, client }) => {
+app.action(/reject_memory_(.*)/, reviewMemory, async ({ action, ack, body, client }) => {
   await ack();
 
   const candidateId = action.action_id.replace('reject_memory_', '');
@@ -2019,7 +2754,7 @@ app.action(/reject_memory_(.*)/, async ({ action, ack, body, client }) => {
 
     if (!candidate || candidate.status !== 'pending') {
       await client.chat.postMessage({
-        channel: body.channel.id,
+        channel: getReplyChannel(body),
         text: `❌ Memory candidate \`${candidateId}\` not found or already processed.`
       });
       return;
@@ -2028,7 +2763,7 @@ app.action(/reject_memory_(.*)/, async ({ action, ack, body, client }) => {
     rejectCandidate(candidateId, body.user.id);
 
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
       text: `❌ Memory candidate \`${candidateId}\` rejected.`
     });
 
@@ -2045,7 +2780,47 @@ app.action(/reject_memory_(.*)/, async ({ action, ack, body, client }) => {
   } catch (error) {
     console.error('Memory reject error:', error);
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
+      text: `❌ Error: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Handle "Mark superseded" button on a memory conflict
+ */
+app.action(/supersede_memory_(.*)/, reviewMemory, async ({ action, ack, body, client }) => {
+  await ack();
+
+  const { oldId, newId } = JSON.parse(action.value);
+  console.log(`[Memory Button] Supersede ${oldId} by ${newId}`);
+
+  try {
+    const updated = supersedeMemory(oldId, newId);
+
+    // Replace the button with the outcome
+    const blocks = (body.message?.blocks || []).map(block => {
+      if (block.accessory?.action_id !== action.action_id) return block;
+      const { accessory, ...rest } = block;
+      return {
+        ...rest,
+        text: {
+          ...block.text,
+          text: `~${block.text.text}~\n${updated ? `✅ Superseded by \`${newId}\`` : '⚠️ Already superseded'}`
+        }
+      };
+    });
+
+    await client.chat.update({
+      channel: getReplyChannel(body),
+      ts: body.message.ts,
+      text: body.message.text,
+      blocks
+    });
+  } catch (error) {
+    console.error('Memory supersede error:', error);
+    await client.chat.postMessage({
+      channel: getReplyChannel(body),
       text: `❌ Error: ${error.message}`
     });
   }
@@ -2067,7 +2842,7 @@ app.action(/relay_read_(.*)/, async ({ action, ack, body, client }) => {
 
     if (!msg) {
       await client.chat.postMessage({
-        channel: body.channel.id,
+        channel: getReplyChannel(body),
         text: `❌ 訊息 \`${msgId}\` 找不到。`
       });
       return;
@@ -2077,7 +2852,7 @@ app.action(/relay_read_(.*)/, async ({ action, ack, body, client }) => {
 
     // Update the original message to show it's been read
     await client.chat.update({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
       ts: body.message.ts,
       text: `✅ 已讀 - 來自 ${msg.from_user_name} 的訊息`,
       blocks: [
@@ -2093,7 +2868,7 @@ app.action(/relay_read_(.*)/, async ({ action, ack, body, client }) => {
   } catch (error) {
     console.error('Relay read error:', error);
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
       text: `❌ Error: ${error.message}`
     });
   }
@@ -2113,7 +2888,7 @@ app.action(/relay_reply_(.*)/, async ({ action, ack, body, client }) => {
 
     if (!msg) {
       await client.chat.postMessage({
-        channel: body.channel.id,
+        channel: getReplyChannel(body),
         text: `❌ 訊息 \`${msgId}\` 找不到。`
       });
       return;
@@ -2165,7 +2940,7 @@ app.action(/relay_reply_(.*)/, async ({ action, ack, body, client }) => {
         ],
         private_metadata: JSON.stringify({
           msgId: msgId,
-          originalChannel: body.channel.id,
+          originalChannel: getReplyChannel(body),
           originalTs: body.message.ts
         })
       }
@@ -2173,7 +2948,7 @@ app.action(/relay_reply_(.*)/, async ({ action, ack, body, client }) => {
   } catch (error) {
     console.error('Relay reply modal error:', error);
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel: getReplyChannel(body),
       text: `❌ Error: ${error.message}`
     });
   }
@@ -2294,15 +3069,31 @@ app.event('app_mention', async ({ event, say, client }) => {
     const userInfo = await client.users.info({ user: event.user });
     const userName = userInfo.user?.real_name || userInfo.user?.name;
 
-    // Generate AI response
+    // Stream AI response into a placeholder reply in thread
+    const reply = await startStreamingReply(client, {
+      channel: event.channel,
+      thread_ts: event.ts
+    });
+
+    // Memories are stored with the channel name, so resolve it for retrieval
+    let channelName = null;
+    try {
+      const channelInfo = await client.conversations.info({ channel: event.channel });
+      channelName = channelInfo.channel?.name;
+    } catch (e) {
+      // Fall back to the channel ID
+    }
+
     const response = await generateAIResponse(message, userLang, {
       userName,
-      channel: event.channel
+      channel: channelName || event.channel,
+      channelId: event.channel,
+      askerId: event.user,
+      onToken: (delta, textSoFar) => reply.update(textSoFar)
     });
 
-    await say({
-      text: response,
-      thread_ts: event.ts // Reply in thread
+    await reply.finish(response.text, {
+      blocks: buildAnswerBlocks(formatForSlack(response.text), response.sources)
     });
   } catch (error) {
     console.error('Mention error:', error);
@@ -2344,14 +3135,15 @@ app.event('message', async ({ event, say, client }) => {
       console.log(`[${dmType}] User: ${event.user}, Text: ${event.text}`);
       console.log(`[DEBUG] Checking admin status...`);
 
-      const isAdmin = event.user === ADMIN_USER_ID;
-      console.log(`[DEBUG] isAdmin: ${isAdmin}, ADMIN_USER_ID: ${ADMIN_USER_ID}`);
+      const isAdmin = can(event.user, 'admin');
+      const canSubmit = can(event.user, 'submit');
+      console.log(`[DEBUG] isAdmin: ${isAdmin}, canSubmit: ${canSubmit}`);
 
       const isKnowledgeUpdate = await detectKnowledgeUpdateIntent(event.text);
       console.log(`[DEBUG] isKnowledgeUpdate: ${isKnowledgeUpdate}`);
 
       // Non-admin sending knowledge update → route through approval
-      if (!isAdmin && isKnowledgeUpdate) {
+      if (!isAdmin && canSubmit && isKnowledgeUpdate) {
         console.log(`[DM] Knowledge update detected from non-admin, routing to approval`);
 
         const { type, target } = extractKnowledgeInfo(event.text);
@@ -2365,12 +3157,12 @@ app.event('message', async ({ event, say, client }) => {
           source: 'dm'
         });
 
-        // Notify admin
-        await notifyAdminOfUpdate(client, update);
+        // Notify reviewers (or apply directly for auto_approve submitters)
+        const autoApproved = await routeQuickUpdate(client, update);
 
         // Acknowledge to user
         const userLang = await detectLanguage(event.text);
-        const ackMessage = userLang === 'en'
+        const ackMessage = autoApproved ? formatAutoApprovedAck(update, userLang) : userLang === 'en'
           ? `✅ *Submitted for approval*\n\nID: \`${update.id}\`\nAdmin has been notified. You'll receive a message when it's reviewed.`
           : `✅ *已提交審核*\n\nID: \`${update.id}\`\n已通知管理員，審核完成後會通知你。`;
 
@@ -2390,12 +3182,12 @@ app.event('message', async ({ event, say, client }) => {
           source: 'admin_dm'
         });
 
-        // Notify admin (self)
-        await notifyAdminOfUpdate(client, update);
+        // Notify reviewers (including self), or apply directly for auto_approve submitters
+        const autoApproved = await routeQuickUpdate(client, update);
 
         // Acknowledge
         const userLang = await detectLanguage(event.text);
-        const ackMessage = userLang === 'en'
+        const ackMessage = autoApproved ? formatAutoApprovedAck(update, userLang) : userLang === 'en'
           ? `✅ *Correction queued for review*\n\nID: \`${update.id}\`\nUse the buttons above to approve and write to PKM.`
           : `✅ *糾正已加入審核佇列*\n\nID: \`${update.id}\`\n請使用上方按鈕確認後寫入 PKM。`;
 
@@ -2415,12 +3207,12 @@ app.event('message', async ({ event, say, client }) => {
           source: 'admin_dm'
         });
 
-        // Notify admin (self)
-        await notifyAdminOfUpdate(client, update);
+        // Notify reviewers (including self), or apply directly for auto_approve submitters
+        const autoApproved = await routeQuickUpdate(client, update);
 
         // Acknowledge
         const userLang = await detectLanguage(event.text);
-        const ackMessage = userLang === 'en'
+        const ackMessage = autoApproved ? formatAutoApprovedAck(update, userLang) : userLang === 'en'
           ? `✅ *Knowledge update queued for review*\n\nID: \`${update.id}\`\nUse the buttons above to approve and write to PKM.`
           : `✅ *知識更新已加入審核佇列*\n\nID: \`${update.id}\`\n請使用上方按鈕確認後寫入 PKM。`;
 
@@ -2434,18 +3226,22 @@ app.event('message', async ({ event, say, client }) => {
         // Save user message to conversation history
         addMessage(event.user, 'user', event.text);
 
-        // Generate response with conversation context
+        // Generate response with conversation context, streamed into a placeholder message
+        const reply = await startStreamingReply(client, { channel: event.channel });
         const response = await generateAIResponse(event.text, userLang, {
           userId: event.user,
-          channel: event.channel
+          channel: event.channel,
+          onToken: (delta, textSoFar) => reply.update(textSoFar)
         });
-        console.log(`[DEBUG] AI response generated, length: ${response?.length || 0}`);
+        console.log(`[DEBUG] AI response generated, length: ${response.text.length}, sources: ${response.sources.length}`);
 
         // Save KITT response to conversation history
-        addMessage(event.user, 'assistant', response);
+        addMessage(event.user, 'assistant', response.text);
 
-        await say(formatForSlack(response));
-        console.log(`[DEBUG] Response sent via say()`);
+        await reply.finish(response.text, {
+          blocks: buildAnswerBlocks(formatForSlack(response.text), response.sources)
+        });
+        console.log(`[DEBUG] Response sent via streaming reply`);
       }
     } else {
       console.log('[message event] Not a DM, skipping');
@@ -2471,8 +3267,10 @@ app.message(async ({ message, say, client }) => {
 /**
  * Build the App Home view for team members.
  * Shows: Lman's focus, booking link, recent updates, company info shortcuts.
+ * Reviewers also get their review inbox at the top.
+ * @param {string} userId - Viewer's Slack user ID
  */
-function buildHomeView() {
+function buildHomeView(userId) {
   const blocks = [];
 
   // Header
@@ -2490,6 +3288,13 @@ function buildHomeView() {
 
   blocks.push({ type: "divider" });
 
+  // Review Inbox (reviewers only) - App Home views allow 100 blocks, keep the list short
+  if (can(userId, 'review')) {
+    const items = getInboxItems().filter(item => can(userId, 'review', item.resource));
+    blocks.push(...buildInboxBlocks(items, { limit: HOME_INBOX_LIMIT }));
+    blocks.push({ type: "divider" });
+  }
+
   // Current Focus Section
   blocks.push({
     type: "section",
@@ -2562,7 +3367,7 @@ function buildHomeView() {
   });
 
   // Get recent approved updates
-  const recentUpdates = getAllUpdates({ status: 'approved', limit: 3 });
+  const recentUpdates = getAllUpdates({ kind: 'quick', status: 'approved', limit: 3 });
 
   if (recentUpdates.length > 0) {
     const updatesText = recentUpdates.map(u => {
@@ -2642,7 +3447,7 @@ function buildHomeView() {
   blocks.push({
     type: "context",
     elements: [
-      { type: "mrkdwn", text: `📊 Status: 18 docs | Last sync: ${knowledgeBase.lastUpdated || 'N/A'} | NotebookLM: ✅` }
+      { type: "mrkdwn", text: `📊 Status: ${formatKbInventorySummary()} | Last sync: ${knowledgeBase.lastUpdated || 'N/A'} | NotebookLM: ✅` }
     ]
   });
 
@@ -2677,7 +3482,7 @@ function buildHomeView() {
   blocks.push({
     type: "context",
     elements: [
-      { type: "mrkdwn", text: `_Knowledge Base 更新：${knowledgeBase.lastUpdated || 'N/A'}_` }
+      { type: "mrkdwn", text: `_Knowledge Base 更新（距上次編輯）：${formatKbFreshness({ compact: true })}_` }
     ]
   });
 
@@ -2695,7 +3500,7 @@ app.event('app_home_opened', async ({ event, client, logger }) => {
 
     await client.views.publish({
       user_id: userId,
-      view: buildHomeView()
+      view: buildHomeView(userId)
     });
 
     console.log(`[App Home] Published home view for ${userId}`);
@@ -2704,6 +3509,25 @@ app.event('app_home_opened', async ({ event, client, logger }) => {
   }
 });
 
+// Approve/reject from the App Home review inbox: once the item's own handler
+// has run, republish the home tab so the processed item drops off the list
+const INBOX_ACTION_PATTERN = /^(approve|reject)_(update|memory)_|^kb_(approve|reject)_/;
+
+app.use(async ({ body, client, next, logger }) => {
+  await next();
+
+  const actionId = body.actions?.[0]?.action_id;
+  if (body.type !== 'block_actions' || body.view?.type !== 'home' || !INBOX_ACTION_PATTERN.test(actionId || '')) {
+    return;
+  }
+
+  try {
+    await client.views.publish({ user_id: body.user.id, view: buildHomeView(body.user.id) });
+  } catch (error) {
+    logger.error(`[App Home] Error refreshing home tab: ${error}`);
+  }
+});
+
 // ============ APP HOME BUTTON ACTIONS ============
 
 // View Priorities Modal
@@ -2742,7 +3566,7 @@ app.action('home_view_all_updates', async ({ ack, body, client }) => {
   await ack();
 
   try {
-    const allUpdates = getAllUpdates({ status: 'approved', limit: 10 });
+    const allUpdates = getAllUpdates({ kind: 'quick', status: 'approved', limit: 10 });
 
     let blocks = [
       {
@@ -2968,11 +3792,15 @@ app.view('leave_message_modal', async ({ ack, body, view, client }) => {
     const typeEmoji = { idea: '💡', question: '❓', update: '📋', urgent: '🚨' }[messageType] || '💬';
     const typeLabel = { idea: '建議', question: '問題', update: '進度更新', urgent: '緊急' }[messageType] || '訊息';
 
-    // Send to Lman's DM (U02G6CRD4 is Lman's Slack ID)
-    const LMAN_USER_ID = process.env.LMAN_SLACK_ID || 'U02G6CRD4';
+    // Send to Lman's DM
+    const ownerId = getOwnerId();
+    if (!ownerId) {
+      console.error('[leave_message_modal] No owner configured: set ADMIN_USER_ID or grant an admin role');
+      return;
+    }
 
     await client.chat.postMessage({
-      channel: LMAN_USER_ID,
+      channel: ownerId,
       text: `${typeEmoji} *來自 ${userName} 的${typeLabel}*`,
       blocks: [
         {
@@ -3095,28 +3923,28 @@ app.action('home_book_meeting', async ({ ack }) => {
 // ============ KNOWLEDGE BASE MANAGER ACTIONS ============
 
 // Submit Update
-app.action('kb_submit_update', kbSubmit.handleSubmitClick);
+app.action('kb_submit_update', requirePermission('submit'), kbSubmit.handleSubmitClick);
 
 // Submit Modal Submission
-app.view('kb_submit_modal', kbSubmit.handleSubmitModalSubmission);
+app.view('kb_submit_modal', requirePermission('submit'), kbSubmit.handleSubmitModalSubmission);
 
 // View Pending Reviews
-app.action('kb_view_pending', kbReview.handlePendingReviewClick);
+app.action('kb_view_pending', requirePermission('review'), kbReview.handlePendingReviewClick);
 
 // Review Individual Update
-app.action(/^kb_review_/, kbReview.handleReviewClick);
+app.action(/^kb_review_/, requirePermission('review', kbReview.resolveResource), kbReview.handleReviewClick);
 
 // Approve Update
-app.action(/^kb_approve_/, kbReview.handleApprove);
+app.action(/^kb_approve_/, requirePermission('review', kbReview.resolveResource), kbReview.handleApprove);
 
 // Edit Update
-app.action(/^kb_edit_/, kbReview.handleEdit);
+app.action(/^kb_edit_/, requirePermission('review', kbReview.resolveResource), kbReview.handleEdit);
 
 // Edit Modal Submission
-app.view(/^kb_edit_modal_/, kbReview.handleEditSubmission);
+app.view(/^kb_edit_modal_/, requirePermission('review', kbReview.resolveResource), kbReview.handleEditSubmission);
 
 // Reject Update
-app.action(/^kb_reject_/, kbReview.handleReject);
+app.action(/^kb_reject_/, requirePermission('review', kbReview.resolveResource), kbReview.handleReject);
 
 // ============ STARTUP ============
 
@@ -3124,6 +3952,9 @@ app.action(/^kb_reject_/, kbReview.handleReject);
   try {
     // Initialize SQLite database
     initDB();
+    if (!getOwnerId()) {
+      console.warn('⚠️ No admin configured: set ADMIN_USER_ID in .env, then grant roles with /kitt role');
+    }
 
     await app.start();
     console.log('⚡️ KITT is online!');
@@ -3136,6 +3967,7 @@ app.action(/^kb_reject_/, kbReview.handleReject);
     if (process.env.HEARTBEAT_ENABLED === 'true') {
       const heartbeat = new Heartbeat({
         agentId: 'kitt',
+        callAI,
         workspaceId: process.env.WORKSPACE_ID || 'default',
         channel: process.env.HEARTBEAT_CHANNEL,
         slackClient: app.client,
@@ -0,0 +1,182 @@
+/**
+ * Audit Commands
+ * /kitt audit [file|user|id] - 瀏覽知識庫寫入紀錄（誰、何時、改了什麼）
+ */
+
+const { getAuditEntry, queryAudit } = require('../storage/audit');
+const { parseUserId } = require('../lib/auth');
+
+// Slack allows 50 blocks per message; keep result lists well below that
+const MAX_RESULTS = 15;
+
+// Section text is capped at 3000 characters; leave room for the code fence
+const MAX_DIFF_CHARS = 2800;
+
+const ACTION_LABELS = {
+  apply_update: '✏️ update',
+  admin_correction: '🛠️ admin correction',
+  archive: '📚 KB archive',
+  revert: '↩️ revert',
+  forget_memory: '🗑️ memory deleted'
+};
+
+const USAGE = `*📜 Audit Commands:*
+• \`/kitt audit\` - Recent knowledge base writes
+• \`/kitt audit customers.md\` - Writes to one file
+• \`/kitt audit @user\` - Writes approved by a user
+• \`/kitt audit [update id]\` - Writes from one update (or diffs containing the text)
+• \`/kitt audit memories\` - Deleted memories
+• \`/kitt audit #12\` - One entry with its full diff`;
+
+/**
+ * "<@U123>", or the plain label for non-user actors (auto-approve, system)
+ * @param {string} actor - Actor
+ * @returns {string} mrkdwn
+ */
+function formatActor(actor) {
+  return /^[UW][A-Z0-9]+$/.test(actor) ? `<@${actor}>` : `_${actor}_`;
+}
+
+/**
+ * One line per entry: "#12 · customers.md +1 -1 · ✏️ update `AB12CD` · <@U…> · 2026-01-05 10:00"
+ * @param {Object} entry - Audit entry
+ * @returns {string} mrkdwn
+ */
+function formatEntryLine(entry) {
+  const action = ACTION_LABELS[entry.action] || entry.action;
+  const item = entry.itemId ? ` \`${entry.itemId}\`` : '';
+  return `*#${entry.id}* · \`${entry.file}\` +${entry.linesAdded} -${entry.linesRemoved} · ${action}${item} · ${formatActor(entry.actor)} · ${entry.createdAt.slice(0, 16)}`;
+}
+
+/**
+ * Blocks for a list of entries with a header line
+ * @param {string} title - Header text (mrkdwn)
+ * @param {Array} entries - Audit entries
+ * @returns {Array} Block Kit blocks
+ */
+function auditListBlocks(title, entries) {
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: title } },
+    { type: 'divider' },
+    { type: 'section', text: { type: 'mrkdwn', text: entries.map(formatEntryLine).join('\n') } },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: '_Use `/kitt audit #[id]` to see the diff._' }]
+    }
+  ];
+}
+
+/**
+ * Full detail blocks for one entry
+ * @param {Object} entry - Audit entry
+ * @returns {Array} Block Kit blocks
+ */
+function auditDetailBlocks(entry) {
+  const diff = entry.diff.length > MAX_DIFF_CHARS
+    ? `${entry.diff.substring(0, MAX_DIFF_CHARS)}\n… (${entry.diff.length - MAX_DIFF_CHARS} more characters)`
+    : entry.diff;
+
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: `*📜 Audit entry #${entry.id}*\n${formatEntryLine(entry)}` } },
+    { type: 'section', text: { type: 'mrkdwn', text: `\`\`\`${diff.replace(/```/g, 'ˋˋˋ')}\`\`\`` } },
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `before \`${entry.beforeHash ? entry.beforeHash.slice(0, 12) : '(new file)'}\` → after \`${entry.afterHash ? entry.afterHash.slice(0, 12) : '(deleted)'}\``
+      }]
+    }
+  ];
+}
+
+/**
+ * Work out what an argument refers to and run the matching query
+ * @param {string} arg - Argument after "audit"
+ * @returns {Object} { entry } for a single entry, { title, entries }, or { error }
+ */
+function resolveQuery(arg) {
+  const limit = MAX_RESULTS;
+
+  if (!arg) {
+    return { title: '*📜 Recent knowledge base writes*', entries: queryAudit({ limit }) };
+  }
+
+  // "#12" is always an audit entry; bare numbers fall through to update IDs if no entry matches
+  const entryMatch = arg.match(/^#?(\d+)$/);
+  if (entryMatch) {
+    const entry = getAuditEntry(parseInt(entryMatch[1], 10));
+    if (entry || arg.startsWith('#')) return { entry };
+  }
+
+  const userId = parseUserId(arg);
+  if (userId) {
+    return { title: `*📜 Writes by <@${userId}>*`, entries: queryAudit({ actor: userId, limit }) };
+  }
+  if (/^@\S+$/.test(arg)) {
+    // Plain "@name": /kitt isn't escaping mentions (should_escape in slack-manifest.yaml)
+    return { error: `Can't resolve ${arg}: Slack sent the mention as plain text. Enable "Escape channels, users, and links" for /kitt and pick the user from the @ autocomplete.` };
+  }
+
+  // Memory deletions are logged under the file name "memories"
+  if (arg.toLowerCase() === 'memories') {
+    return { title: '*📜 Deleted memories*', entries: queryAudit({ file: 'memories', limit }) };
+  }
+
+  const file = /\.md$/i.test(arg) ? arg : `${arg}.md`;
+  const byFile = queryAudit({ file, limit });
+  if (byFile.length || /\.md$/i.test(arg)) {
+    return { title: `*📜 Writes to \`${file}\`*`, entries: byFile };
+  }
+
+  const byItem = queryAudit({ itemId: arg.toUpperCase(), limit });
+  if (byItem.length) {
+    return { title: `*📜 Writes from update \`${arg.toUpperCase()}\`*`, entries: byItem };
+  }
+
+  return { title: `*📜 Writes whose diff mentions "${arg}"*`, entries: queryAudit({ text: arg, limit }) };
+}
+
+/**
+ * Handle /kitt audit [file|user|id]
+ * @param {Object} params
+ * @param {Array<string>} params.args - Words after "audit"
+ * @param {Function} params.say - Bolt say()
+ */
+async function handleAuditCommand({ args, say }) {
+  const arg = args.join(' ').trim();
+
+  if (arg.toLowerCase() === 'help') {
+    await say({
+      text: 'Audit commands',
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text: USAGE } }]
+    });
+    return;
+  }
+
+  const { entry, title, entries, error } = resolveQuery(arg);
+
+  if (error) {
+    await say(`❌ ${error}`);
+    return;
+  }
+
+  if (entry !== undefined) {
+    if (!entry) {
+      await say(`❌ Audit entry \`${arg}\` not found.`);
+      return;
+    }
+    await say({ text: `Audit entry #${entry.id}`, blocks: auditDetailBlocks(entry) });
+    return;
+  }
+
+  if (entries.length === 0) {
+    await say(arg ? `📭 No knowledge base writes matching "${arg}".` : '📭 No knowledge base writes recorded yet.');
+    return;
+  }
+
+  await say({ text: 'Knowledge base audit log', blocks: auditListBlocks(title, entries) });
+}
+
+module.exports = {
+  handleAuditCommand
+};
@@ -0,0 +1,169 @@
+/**
+ * Knowledge Base Commands
+ * /kitt kb list [folder|#tag|@owner] - 知識庫文件清單（含 front matter）
+ * /kitt kb history [file] - 知識庫文件的版本紀錄（KB_GIT_ENABLED）
+ */
+
+const kbGit = require('../lib/kb-git');
+
+const HISTORY_LIMIT = 10;
+
+// Section text is capped at 3000 characters; one line per document stays well below at this count
+const LIST_LIMIT = 30;
+
+const USAGE = `*📁 Knowledge Base Commands:*
+• \`/kitt kb list\` - Every knowledge base document with owner, tags and last update
+• \`/kitt kb list meetings\` / \`#oem\` / \`@Lman\` - Only one folder, tag or owner
+• \`/kitt kb history [file]\` - Recent commits to a knowledge base file (needs \`KB_GIT_ENABLED=true\`)`;
+
+/**
+ * "customers" → "customers.md"; "meetings/2026-01-05" → "meetings/2026-01-05.md".
+ * Rejects absolute paths and hidden or ".." segments.
+ * @param {string} arg - Argument
+ * @returns {string|null} Path relative to the knowledge base root
+ */
+function parseFileName(arg) {
+  if (!arg || !/^[\w.\-/]+$/.test(arg) || arg.split('/').some(part => !part || part.startsWith('.'))) return null;
+  return /\.md$/i.test(arg) ? arg : `${arg}.md`;
+}
+
+/**
+ * Handle /kitt kb history [file]
+ * @param {string} arg - File argument
+ * @param {Function} say - Bolt say()
+ */
+async function handleHistory(arg, say) {
+  const file = parseFileName(arg);
+  if (!file) {
+    await say('❌ Usage: `/kitt kb history [file]`, e.g. `/kitt kb history customers.md`');
+    return;
+  }
+
+  if (!kbGit.isEnabled()) {
+    await say('ℹ️ Knowledge base versioning is off. Set `KB_GIT_ENABLED=true` in `.env` to commit every KITT write to git. Meanwhile try `/kitt audit ' + file + '`.');
+    return;
+  }
+
+  const commits = await kbGit.getFileHistory(file, HISTORY_LIMIT);
+  if (commits.length === 0) {
+    await say(`📭 No commits for \`${file}\` yet.`);
+    return;
+  }
+
+  const lines = commits.map(c => `• \`${c.hash}\` ${c.date.slice(0, 16).replace('T', ' ')} · ${c.subject}`);
+  await say({
+    text: `History of ${file}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*📜 History of \`${file}\`* (last ${commits.length})\n${lines.join('\n')}` } },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: '_Each commit names the update ID and approver; see `/kitt audit [update id]` for the diff._' }]
+      }
+    ]
+  });
+}
+
+/**
+ * Documents matching a list filter
+ * @param {Array} documents - From getKbInventory() in bot.js
+ * @param {string} filter - '' | folder | '#tag' | '@owner'
+ * @returns {Array} Documents
+ */
+function filterDocuments(documents, filter) {
+  const value = filter.replace(/^[#@]/, '').toLowerCase();
+  if (!value) return documents;
+
+  if (filter.startsWith('#')) {
+    return documents.filter(doc => doc.tags.some(tag => tag.toLowerCase() === value));
+  }
+  if (filter.startsWith('@')) {
+    return documents.filter(doc => (doc.owner || '').toLowerCase().includes(value));
+  }
+  const folder = value.replace(/\/+$/, '') + '/';
+  return documents.filter(doc => doc.file.toLowerCase().startsWith(folder));
+}
+
+/**
+ * One line per document: "• `meetings/2026-01-05.md` · 👤 Lman · #oem #hp · updated 2026-01-05 · 🔒 private"
+ * @param {Object} doc - Inventory entry
+ * @returns {string} mrkdwn
+ */
+function formatDocumentLine(doc) {
+  const parts = [`\`${doc.file}\`${doc.role ? ` _(${doc.role})_` : ''}`];
+  if (doc.missing) {
+    parts.push('❌ missing');
+    return `• ${parts.join(' · ')}`;
+  }
+  if (doc.owner) parts.push(`👤 ${doc.owner}`);
+  if (doc.tags.length) parts.push(doc.tags.map(tag => `#${tag}`).join(' '));
+  parts.push(`updated ${doc.updated || (doc.modifiedAt ? doc.modifiedAt.slice(0, 10) : '?')}`);
+  if (doc.visibility === 'private') parts.push('🔒 private');
+  if (doc.frontMatterError) parts.push('⚠️ front matter error (not searchable)');
+  return `• ${parts.join(' · ')}`;
+}
+
+/**
+ * Handle /kitt kb list [folder|#tag|@owner]
+ * @param {string} filter - Filter argument
+ * @param {Array} documents - Inventory
+ * @param {Function} say - Bolt say()
+ */
+async function handleList(filter, documents, say) {
+  const matches = filterDocuments(documents, filter);
+  if (matches.length === 0) {
+    await say(filter ? `📭 No knowledge base documents matching \`${filter}\`.` : '📭 The knowledge base has no documents. Check `root` and `sources` in kb.config.json.');
+    return;
+  }
+
+  const privateCount = matches.filter(doc => doc.visibility === 'private').length;
+  const missingCount = matches.filter(doc => doc.missing).length;
+  const summary = [`${matches.length} document${matches.length === 1 ? '' : 's'}`];
+  if (privateCount) summary.push(`${privateCount} private (not searchable)`);
+  if (missingCount) summary.push(`${missingCount} missing`);
+
+  const lines = matches.slice(0, LIST_LIMIT).map(formatDocumentLine);
+  const more = matches.length > LIST_LIMIT
+    ? `\n_…and ${matches.length - LIST_LIMIT} more. Narrow it down: \`/kitt kb list [folder|#tag|@owner]\`_`
+    : '';
+
+  await say({
+    text: `Knowledge base: ${summary.join(', ')}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*📚 Knowledge base${filter ? ` · ${filter}` : ''}* (${summary.join(', ')})` } },
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') + more } }
+    ]
+  });
+}
+
+/**
+ * Handle /kitt kb [subcommand] [args]
+ * @param {Object} params
+ * @param {Array<string>} params.args - Words after "kb"
+ * @param {Function} params.say - Bolt say()
+ * @param {Array} params.documents - Knowledge base inventory (getKbInventory() in bot.js)
+ */
+async function handleKbCommand({ args, say, documents }) {
+  const subcommand = (args[0] || '').toLowerCase();
+  const rest = args.slice(1).join(' ').trim();
+
+  switch (subcommand) {
+    case 'list':
+    case 'ls':
+      await handleList(rest, documents, say);
+      return;
+
+    case 'history':
+      await handleHistory(rest, say);
+      return;
+
+    default:
+      await say({
+        text: 'Knowledge base commands',
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: USAGE } }]
+      });
+  }
+}
+
+module.exports = {
+  handleKbCommand
+};
@@ -3,11 +3,40 @@
  * 處理 Lman 審批 KB 更新
  */
 
-const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const KB_CONFIG = require('../services/kb-config');
-const { loadUpdate, loadPendingUpdates } = require('./kb-submit');
+const {
+  getUpdate,
+  getPendingUpdates,
+  claimUpdate,
+  finishUpdate,
+  releaseUpdate,
+  updateStatus,
+  editUpdate,
+  setBaseHash
+} = require('../storage/updates');
+const { can, getUpdateResource } = require('../lib/auth');
+const {
+  AUTO_APPROVER,
+  getApprovalState,
+  recordApproval,
+  getPendingReviewerIds,
+  formatApprovalState
+} = require('../lib/approval-policy');
+const { readKnowledgeFile, withWriteLock, writeKnowledgeFile, previewWrite } = require('../lib/kb-writer');
+const { formatDiffPreview } = require('../utils/slack-format');
+const { parseMarkdown, findSection, appendToSection } = require('../lib/markdown-sections');
+const { buildRevertBlocks } = require('./revert');
+
+/**
+ * 載入單一 KB update
+ * @param {string} updateId - Update ID
+ * @returns {Object|null}
+ */
+function loadUpdate(updateId) {
+  return getUpdate(updateId, { kind: 'kb' });
+}
 
 /**
  * 清理和修正會議記錄內容
@@ -38,12 +67,24 @@ function sanitizeContent(content) {
 }
 
 /**
- * 顯示 Pending Review 列表
+ * 權限檢查用：按鈕 / Modal 對應的 update 的 resource（找不到時回傳 null，由 handler 回報）
+ * @param {Object} body - Action or view submission payload
+ * @returns {Object|null} { type, file }
+ */
+function resolveResource(body) {
+  const updateId = (body.actions?.[0]?.value || body.view?.private_metadata || '').split(':')[0];
+  const update = updateId && loadUpdate(updateId);
+  return update ? getUpdateResource(update) : null;
+}
+
+/**
+ * 顯示 Pending Review 列表（只列出自己可審核的）
  */
 async function handlePendingReviewClick({ client, ack, body }) {
   await ack();
 
-  const pendingUpdates = loadPendingUpdates();
+  const pendingUpdates = getPendingUpdates({ kind: 'kb' })
+    .filter(update => can(body.user.id, 'review', getUpdateResource(update)));
 
   if (pendingUpdates.length === 0) {
     await client.chat.postMessage({
@@ -69,12 +110,13 @@ async function handlePendingReviewClick({ client, ack, body }) {
   ];
 
   pendingUpdates.forEach(update => {
+    const approvalText = formatApprovalState(getApprovalState(update));
     blocks.push(
       {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `*${update.type}* by <@${update.submitter.id}>\n_${new Date(update.submitted_at).toLocaleString('zh-TW')}_\n${update.content.substring(0, 150)}${update.content.length > 150 ? '...' : ''}`
+          text: `*${update.type}* by <@${update.submittedBy}>\n_${new Date(update.submittedAt).toLocaleString('zh-TW')}_${approvalText ? `\n${approvalText}` : ''}\n${update.value.substring(0, 150)}${update.value.length > 150 ? '...' : ''}`
         },
         accessory: {
           type: 'button',
@@ -112,8 +154,9 @@ async function handleReviewClick({ client, ack, body }) {
   }
 
   // 清理和修正內容（顯示修正後的版本）
-  const sanitizedContent = sanitizeContent(update.content);
-  const hasCorrections = sanitizedContent !== update.content;
+  const sanitizedContent = sanitizeContent(update.value);
+  const hasCorrections = sanitizedContent !== update.value;
+  const approvalText = formatApprovalState(getApprovalState(update));
 
   const modal = {
     type: 'modal',
@@ -126,7 +169,7 @@ async function handleReviewClick({ client, ack, body }) {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `*Type*: ${update.type}\n*From*: <@${update.submitter.id}>\n*Tags*: ${update.tags.join(', ') || 'none'}\n*Submitted*: ${new Date(update.submitted_at).toLocaleString('zh-TW')}${update.file_url ? `\n*File*: ${update.file_url}` : ''}${hasCorrections ? '\n⚠️ _內容已自動修正拼寫錯誤_' : ''}`
+          text: `*Type*: ${update.type}\n*From*: <@${update.submittedBy}>\n*Tags*: ${update.tags.join(', ') || 'none'}\n*Submitted*: ${new Date(update.submittedAt).toLocaleString('zh-TW')}${update.fileUrl ? `\n*File*: ${update.fileUrl}` : ''}${approvalText ? `\n${approvalText}` : ''}${hasCorrections ? '\n⚠️ _內容已自動修正拼寫錯誤_' : ''}`
         }
       },
       { type: 'divider' },
@@ -137,6 +180,10 @@ async function handleReviewClick({ client, ack, body }) {
           text: `*Content*:\n\`\`\`\n${sanitizedContent}\n\`\`\``
         }
       },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: buildArchivePreview(update) }
+      },
       { type: 'divider' },
       {
         type: 'actions',
@@ -173,53 +220,136 @@ async function handleReviewClick({ client, ack, body }) {
 }
 
 /**
- * 處理 Approve
+ * 通知還沒核准的 reviewer（含 required approvers），附上目前核准狀態
+ * @param {Object} client - Slack WebClient
+ * @param {Object} update - KB update
  */
-async function handleApprove({ client, ack, body }) {
-  await ack();
-
-  const updateId = body.actions[0].value;
-  const update = loadUpdate(updateId);
+async function notifyReviewers(client, update) {
+  const approvalText = formatApprovalState(getApprovalState(update));
 
-  if (!update) {
+  for (const reviewerId of getPendingReviewerIds(update)) {
     await client.chat.postMessage({
-      channel: body.user.id,
-      text: `❌ Update ${updateId} not found.`
+      channel: reviewerId,
+      text: `📚 *New KB Update Pending Review*\n\n*From*: <@${update.submittedBy}>\n*Type*: ${update.type}\n*Tags*: ${update.tags.join(', ') || 'none'}${update.fileUrl ? `\n*File*: ${update.fileUrl}` : ''}${approvalText ? `\n${approvalText}` : ''}\n\n*Preview*:\n${update.value.substring(0, 200)}${update.value.length > 200 ? '...' : ''}\n\nReview in KITT App Home → Pending Review`
     });
-    return;
   }
+}
 
+/**
+ * 歸檔並標記為 approved，再同步到 NotebookLM（審核規則已滿足後呼叫）
+ * 歸檔失敗時釋放鎖定並往外丟錯；歸檔成功後同步失敗只回報，不退回 pending
+ * （檔案已寫入，重新核准會重複歸檔）
+ * @param {Object} client - Slack WebClient
+ * @param {Object} update - KB update
+ * @param {string} approvedBy - Slack user ID (or AUTO_APPROVER)
+ * @returns {Promise<Object>} { published, syncError } - published is false if
+ *   someone else already claimed it; syncError is the sync failure message
+ */
+async function publishUpdate(client, update, approvedBy) {
+  // 搶先鎖定，避免重複歸檔
+  if (!claimUpdate(update.id, approvedBy)) return { published: false, syncError: null };
+
+  // 1. 歸檔到知識庫
   try {
-    // 1. 歸檔到知識庫
-    await archiveToKnowledgeBase(update);
+    await archiveToKnowledgeBase(update, approvedBy);
+  } catch (error) {
+    releaseUpdate(update.id);
+    throw error;
+  }
+
+  // 2. 更新狀態（寫入已完成，之後可 revert）
+  finishUpdate(update.id, 'approved');
 
-    // 2. 執行自動同步
+  // 3. 執行自動同步
+  let syncError = null;
+  try {
     await syncToNotebookLM();
+  } catch (error) {
+    syncError = error.message;
+  }
 
-    // 3. 更新狀態
-    update.status = 'approved';
-    update.approved_at = new Date().toISOString();
-    update.approved_by = body.user.id;
+  // 4. 通知提交者
+  const how = approvedBy === AUTO_APPROVER ? 'auto-approved' : update.editedAt ? 'edited and approved' : 'approved';
+  const synced = syncError
+    ? 'Your content has been added to the Knowledge Base; NotebookLM will pick it up on the next sync.'
+    : 'Your content has been added to the Knowledge Base and synced to NotebookLM.';
+  await client.chat.postMessage({
+    channel: update.submittedBy,
+    text: `✅ *Your update has been ${how}!*\n\n*Type*: ${update.type}\n*ID*: ${update.id}\n\n${synced}`
+  });
 
-    // 4. 移至 archive
-    const archivePath = path.join(KB_CONFIG.pending.archive_dir, `${update.id}.json`);
-    fs.writeFileSync(archivePath, JSON.stringify(update, null, 2));
-    fs.unlinkSync(path.join(KB_CONFIG.pending.dir, `${update.id}.json`));
+  console.log(`[KB] Approved (${approvedBy}): ${update.id}`);
+  return { published: true, syncError };
+}
 
-    // 5. 通知提交者
+/**
+ * 記錄一票核准；規則滿足就發佈，否則告知還差誰並通知其他 reviewer
+ * @param {Object} client - Slack WebClient
+ * @param {Object} update - KB update
+ * @param {string} userId - Approving reviewer
+ * @param {string} doneText - Message to the reviewer once published
+ */
+async function approveUpdate(client, update, userId, doneText) {
+  const approval = recordApproval(update, userId);
+
+  if (!approval.satisfied) {
     await client.chat.postMessage({
-      channel: update.submitter.id,
-      text: `✅ *Your update has been approved!*\n\n*Type*: ${update.type}\n*ID*: ${update.id}\n\nYour content has been added to the Knowledge Base and synced to NotebookLM.`
+      channel: userId,
+      text: `👍 Approval recorded for *${update.id}*, not published yet.\n${formatApprovalState(approval)}`
     });
+    if (approval.added) await notifyReviewers(client, update);
+    return;
+  }
 
-    // 6. 通知審批者
+  let result;
+  try {
+    result = await publishUpdate(client, update, userId);
+  } catch (error) {
+    if (error.code !== 'KB_CONFLICT') throw error;
+    await client.chat.postMessage({ channel: userId, ...buildStaleReview(update) });
+    return;
+  }
+
+  const { published, syncError } = result;
+  if (!published) {
+    await client.chat.postMessage({
+      channel: userId,
+      text: `⚠️ Update ${update.id} is already being processed or was processed.`
+    });
+    return;
+  }
+
+  const text = syncError
+    ? `⚠️ Update *${update.id}* approved and added to the Knowledge Base, but ${syncError}. Run the NotebookLM sync again; don't re-approve.`
+    : doneText;
+  await client.chat.postMessage({ channel: userId, text, blocks: buildRevertBlocks(text, update.id) });
+}
+
+/**
+ * 處理 Approve
+ */
+async function handleApprove({ client, ack, body }) {
+  await ack();
+
+  // "id"，或 stale 回覆的 "id:hash"（reviewer 看過對該 hash 的新 diff 後再次核准）
+  const [updateId, baseHash] = body.actions[0].value.split(':');
+  const update = loadUpdate(updateId);
+
+  if (!update || update.status !== 'pending') {
     await client.chat.postMessage({
       channel: body.user.id,
-      text: `✅ Update *${update.id}* approved and synced successfully!`
+      text: update ? `⚠️ Update ${update.id} is already being processed or was processed.` : `❌ Update ${updateId} not found.`
     });
+    return;
+  }
 
-    console.log(`[KB] Approved: ${update.id}`);
+  if (baseHash) {
+    setBaseHash(update.id, baseHash);
+    update.baseHash = baseHash;
+  }
 
+  try {
+    await approveUpdate(client, update, body.user.id, `✅ Update *${update.id}* approved and synced successfully!`);
   } catch (error) {
     console.error('[KB] Failed to approve update:', error);
     await client.chat.postMessage({
@@ -260,7 +390,7 @@ async function handleEdit({ client, ack, body }) {
           type: 'section',
           text: {
             type: 'mrkdwn',
-            text: `*Type*: ${update.type}\n*From*: <@${update.submitter.id}>\n*Tags*: ${update.tags.join(', ') || 'none'}`
+            text: `*Type*: ${update.type}\n*From*: <@${update.submittedBy}>\n*Tags*: ${update.tags.join(', ') || 'none'}`
           }
         },
         { type: 'divider' },
@@ -270,7 +400,7 @@ async function handleEdit({ client, ack, body }) {
           element: {
             type: 'plain_text_input',
             action_id: 'content_input',
-            initial_value: update.content,
+            initial_value: update.value,
             multiline: true,
             placeholder: { type: 'plain_text', text: 'Edit content here...' }
           },
@@ -279,11 +409,18 @@ async function handleEdit({ client, ack, body }) {
       ]
     };
 
-    // 使用 views.update 更新現有 modal，不需要 trigger_id
-    await client.views.update({
-      view_id: body.view.id,
-      view: modal
-    });
+    // 從 Review Modal 進來時直接替換該 modal；從 App Home / 訊息進來時開新的
+    if (body.view?.type === 'modal') {
+      await client.views.update({
+        view_id: body.view.id,
+        view: modal
+      });
+    } else {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: modal
+      });
+    }
 
     console.log(`[KB] Edit modal opened for ${updateId}`);
 
@@ -298,7 +435,7 @@ async function handleEdit({ client, ack, body }) {
 }
 
 /**
- * 處理 Edit Modal Submission
+ * 處理 Edit Modal Submission（儲存並核准；內容改變會清掉先前的核准）
  */
 async function handleEditSubmission({ client, ack, view, body }) {
   await ack();
@@ -306,57 +443,20 @@ async function handleEditSubmission({ client, ack, view, body }) {
   const updateId = view.private_metadata;
   const update = loadUpdate(updateId);
 
-  if (!update) {
+  if (!update || update.status !== 'pending') {
     await client.chat.postMessage({
       channel: body.user.id,
-      text: `❌ Update ${updateId} not found.`
+      text: update ? `⚠️ Update ${update.id} is already being processed or was processed.` : `❌ Update ${updateId} not found.`
     });
     return;
   }
 
   try {
-    // 取得編輯後的內容
+    // 取得編輯後的內容並儲存
     const editedContent = view.state.values.content_block.content_input.value;
+    editUpdate(update.id, update.target, editedContent, body.user.id);
 
-    // 更新 update 物件
-    update.content = editedContent;
-    update.edited_at = new Date().toISOString();
-    update.edited_by = body.user.id;
-
-    // 儲存修改
-    const pendingPath = path.join(KB_CONFIG.pending.dir, `${update.id}.json`);
-    fs.writeFileSync(pendingPath, JSON.stringify(update, null, 2));
-
-    // 1. 歸檔到知識庫
-    await archiveToKnowledgeBase(update);
-
-    // 2. 執行自動同步
-    await syncToNotebookLM();
-
-    // 3. 更新狀態為 approved
-    update.status = 'approved';
-    update.approved_at = new Date().toISOString();
-    update.approved_by = body.user.id;
-
-    // 4. 移至 archive
-    const archivePath = path.join(KB_CONFIG.pending.archive_dir, `${update.id}.json`);
-    fs.writeFileSync(archivePath, JSON.stringify(update, null, 2));
-    fs.unlinkSync(pendingPath);
-
-    // 5. 通知提交者
-    await client.chat.postMessage({
-      channel: update.submitter.id,
-      text: `✅ *Your update has been edited and approved!*\n\n*Type*: ${update.type}\n*ID*: ${update.id}\n\n_Content was modified by Lman before approval._`
-    });
-
-    // 6. 通知審批者
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: `✅ Update *${update.id}* edited and approved successfully!`
-    });
-
-    console.log(`[KB] Edited & Approved: ${update.id}`);
-
+    await approveUpdate(client, recordBaseHash(loadUpdate(update.id)), body.user.id, `✅ Update *${update.id}* edited and approved successfully!`);
   } catch (error) {
     console.error('[KB] Failed to edit update:', error);
     await client.chat.postMessage({
@@ -385,18 +485,17 @@ async function handleReject({ client, ack, body }) {
 
   try {
     // 更新狀態
-    update.status = 'rejected';
-    update.rejected_at = new Date().toISOString();
-    update.rejected_by = body.user.id;
-
-    // 移至 archive
-    const archivePath = path.join(KB_CONFIG.pending.archive_dir, `${update.id}.json`);
-    fs.writeFileSync(archivePath, JSON.stringify(update, null, 2));
-    fs.unlinkSync(path.join(KB_CONFIG.pending.dir, `${update.id}.json`));
+    if (!updateStatus(update.id, 'rejected', null, body.user.id)) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: `⚠️ Update ${update.id} is already being processed or was processed.`
+      });
+      return;
+    }
 
     // 通知提交者
     await client.chat.postMessage({
-      channel: update.submitter.id,
+      channel: update.submittedBy,
       text: `❌ *Your update was rejected*\n\n*Type*: ${update.type}\n*ID*: ${update.id}\n\nIf you have questions, please reach out to Lman.`
     });
 
@@ -418,9 +517,13 @@ async function handleReject({ client, ack, body }) {
 }
 
 /**
- * 歸檔到知識庫文件
+ * 算出歸檔後的文件內容（dry run，不寫入）
+ * archiveToKnowledgeBase 與審核 modal 的預覽共用
+ * @param {Object} update - KB update
+ * @returns {Object} { targetFile, file, content, warning, baseHash }；
+ *   baseHash 是計算時讀到的文件 hash。無法歸檔時拋錯
  */
-async function archiveToKnowledgeBase(update) {
+function planArchive(update) {
   const typeConfig = KB_CONFIG.update_types.find(t => t.value === update.type);
 
   if (!typeConfig || !typeConfig.target_file) {
@@ -429,35 +532,32 @@ async function archiveToKnowledgeBase(update) {
 
   const targetFile = path.join(KB_CONFIG.local.pm_dir, typeConfig.target_file);
 
-  if (!fs.existsSync(targetFile)) {
+  // 讀取磁碟上的現有內容（可能剛在 Obsidian 改過）
+  const { content: current, hash: baseHash } = readKnowledgeFile(targetFile);
+  if (current === null) {
     throw new Error(`Target file not found: ${targetFile}`);
   }
 
-  // 讀取現有內容
-  let content = fs.readFileSync(targetFile, 'utf-8');
+  const doc = parseMarkdown(current, { name: typeConfig.target_file });
+  let warning = null;
 
   // 清理和修正提交的內容
-  const sanitizedContent = sanitizeContent(update.content);
+  const sanitizedContent = sanitizeContent(update.value);
 
   // 準備要追加的內容
   const timestamp = new Date().toISOString().split('T')[0];
-  const fileInfo = update.file_url ? `\n**File**: ${update.file_url}` : '';
-  const newEntry = `\n### ${update.type} (${timestamp}) 🆕\n\n${sanitizedContent}\n\n**From**: ${update.submitter.name}\n**Tags**: ${update.tags.join(', ')}${fileInfo}\n**狀態**: 已歸檔\n\n---\n`;
-
-  // 找到對應 section 並插入
-  const sectionMarker = `## ${typeConfig.section}`;
-  const sectionIndex = content.indexOf(sectionMarker);
-
-  if (sectionIndex !== -1) {
-    // 找到下一個 ## 的位置
-    const nextSectionIndex = content.indexOf('\n##', sectionIndex + sectionMarker.length);
-    const insertPos = nextSectionIndex !== -1 ? nextSectionIndex : content.length;
+  const fileInfo = update.fileUrl ? `\n**File**: ${update.fileUrl}` : '';
+  const newEntry = `\n### ${update.type} (${timestamp}) 🆕\n\n${sanitizedContent}\n\n**From**: ${update.submitterName || update.submittedBy}\n**Tags**: ${update.tags.join(', ')}${fileInfo}\n**狀態**: 已歸檔\n\n---`;
 
-    content = content.slice(0, insertPos) + newEntry + content.slice(insertPos);
-  } else {
+  // 找到對應 section（依標題路徑），插在 section 最後；沒設定 section 就加在文件末尾
+  let section = doc.root;
+  try {
+    if (typeConfig.section) section = findSection(doc, typeConfig.section);
+  } catch (error) {
     // 如果找不到 section，追加到文件末尾
-    content += newEntry;
+    warning = `${error.message}; the entry will be appended at the end of the file.`;
   }
+  let content = appendToSection(doc, section, newEntry);
 
   // 更新 "最後更新" 時間戳
   const dateRegex = /> 最後更新：\d{4}-\d{2}-\d{2}/;
@@ -465,9 +565,101 @@ async function archiveToKnowledgeBase(update) {
     content = content.replace(dateRegex, `> 最後更新：${timestamp}`);
   }
 
-  // 寫回文件
-  fs.writeFileSync(targetFile, content, 'utf-8');
-  console.log(`[KB] Archived to ${typeConfig.target_file}`);
+  return { targetFile, file: typeConfig.target_file, content, warning, baseHash };
+}
+
+/**
+ * update 排入審核或被編輯時，記下目標文件的 hash；核准時 archiveToKnowledgeBase 會比對
+ * 預覽不會改動它，只有 reviewer 在 buildStaleReview 看過新的 diff 並再次核准才會更新
+ * @param {Object} update - KB update（baseHash 也會一併設定）
+ * @returns {Object} update
+ */
+function recordBaseHash(update) {
+  try {
+    update.baseHash = planArchive(update).baseHash;
+  } catch (error) {
+    // 無法歸檔（類型或文件不存在）：不比對，核准時 planArchive 會再報錯
+    update.baseHash = null;
+  }
+  setBaseHash(update.id, update.baseHash);
+  return update;
+}
+
+/**
+ * 審核 modal 的預覽：以目前的文件計算實際會改動的行，或為何無法歸檔
+ * @param {Object} update - KB update
+ * @returns {string} mrkdwn
+ */
+function buildArchivePreview(update) {
+  try {
+    const { targetFile, file, content, warning } = planArchive(update);
+    const preview = formatDiffPreview(previewWrite(targetFile, content), file);
+    return warning ? `⚠️ ${warning}\n${preview}` : preview;
+  } catch (error) {
+    return `⚠️ *Won't archive as submitted:* ${error.message}`;
+  }
+}
+
+/**
+ * 核准時文件已在審核後被改過：附上對目前文件的 diff，以及帶著該文件 hash 的
+ * Approve 按鈕（按下即確認這份 diff）
+ * @param {Object} update - KB update
+ * @returns {Object} { text, blocks }
+ */
+function buildStaleReview(update) {
+  const text = `⚠️ Update *${update.id}* was not archived: ${getUpdateResource(update).file} changed since it was reviewed (edited outside KITT?).`;
+  let baseHash = null;
+  try {
+    ({ baseHash } = planArchive(update));
+  } catch (error) {
+    // buildArchivePreview 會說明無法歸檔的原因
+  }
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: baseHash ? `${text} Here is the change against the current file; approve it to archive.` : text }
+    },
+    { type: 'section', text: { type: 'mrkdwn', text: buildArchivePreview(update) } }
+  ];
+
+  if (baseHash) {
+    blocks.push({
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        text: { type: 'plain_text', text: '✅ Approve this version' },
+        style: 'primary',
+        action_id: `kb_approve_${update.id}`,
+        value: `${update.id}:${baseHash}`
+      }]
+    });
+  }
+  return { text, blocks };
+}
+
+/**
+ * 歸檔到知識庫文件
+ * 在寫入鎖內重新讀檔計算；若文件在審核後被改過（與 update.baseHash 不同）則不寫入
+ * @param {Object} update - KB update
+ * @param {string} approvedBy - Slack user ID（寫入 audit log）
+ */
+async function archiveToKnowledgeBase(update, approvedBy) {
+  await withWriteLock(() => {
+    const { targetFile, file, content, baseHash } = planArchive(update);
+
+    if (update.baseHash && baseHash !== update.baseHash) {
+      const error = new Error(`${file} changed since this update was reviewed`);
+      error.code = 'KB_CONFLICT';
+      throw error;
+    }
+
+    // 寫回文件
+    writeKnowledgeFile(targetFile, content, {
+      actor: approvedBy, itemId: update.id, action: 'archive', expectedHash: baseHash
+    });
+    console.log(`[KB] Archived to ${file}`);
+  });
 }
 
 /**
@@ -491,6 +683,11 @@ async function syncToNotebookLM() {
 }
 
 module.exports = {
+  resolveResource,
+  recordBaseHash,
+  notifyReviewers,
+  publishUpdate,
+  syncToNotebookLM,
   handlePendingReviewClick,
   handleReviewClick,
   handleApprove,
@@ -3,9 +3,10 @@
  * 處理團隊成員提交 KB 更新
  */
 
-const fs = require('fs');
-const path = require('path');
 const KB_CONFIG = require('../services/kb-config');
+const { createUpdate, getUpdate, getPendingUpdates } = require('../storage/updates');
+const { AUTO_APPROVER, isAutoApproved } = require('../lib/approval-policy');
+const kbReview = require('./kb-review');
 
 /**
  * 處理 Submit Update 按鈕點擊
@@ -97,43 +98,40 @@ async function handleSubmitModalSubmission({ client, ack, view, body }) {
   const values = view.state.values;
   const fileUrl = values.file_url?.file_url_input?.value || null;
 
-  const update = {
-    id: `update-${Date.now()}`,
-    type: values.update_type.type_select.selected_option.value,
-    tags: values.tags.tags_select.selected_options?.map(o => o.value) || [],
-    content: values.content.content_input.value,
-    file_url: fileUrl,
-    submitter: {
-      id: body.user.id,
-      name: body.user.name
-    },
-    submitted_at: new Date().toISOString(),
-    status: 'pending'
-  };
-
-  // 儲存到 pending-updates/
-  const filename = `${update.id}.json`;
-  const filepath = path.join(KB_CONFIG.pending.dir, filename);
-
   try {
-    fs.writeFileSync(filepath, JSON.stringify(update, null, 2));
-    console.log(`[KB] Update submitted: ${update.id} by ${update.submitter.name}`);
-
-    // 通知提交者
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: `✅ Your update has been submitted for review!\n\n*Type*: ${update.type}\n*ID*: ${update.id}${fileUrl ? `\n*File*: ${fileUrl}` : ''}\n\nYou'll be notified once Lman reviews it.`
-    });
+    // 儲存到 pending_updates（kind: kb）
+    const update = kbReview.recordBaseHash(createUpdate({
+      kind: 'kb',
+      type: values.update_type.type_select.selected_option.value,
+      tags: values.tags.tags_select.selected_options?.map(o => o.value) || [],
+      value: values.content.content_input.value,
+      fileUrl,
+      submittedBy: body.user.id,
+      submitterName: body.user.name,
+      source: 'app_home'
+    }));
+    console.log(`[KB] Update submitted: ${update.id} by ${update.submitterName}`);
+
+    // 信任的提交者直接核准（失敗時退回一般審核）
+    let published = false;
+    if (isAutoApproved(update)) {
+      try {
+        ({ published } = await kbReview.publishUpdate(client, update, AUTO_APPROVER));
+      } catch (error) {
+        console.error(`[KB] Auto-approve failed for ${update.id}, queueing for review:`, error.message);
+      }
+    }
 
-    // 通知 Lman（ADMIN_USER_ID）
-    const ADMIN_USER_ID = process.env.ADMIN_USER_ID;
-    if (ADMIN_USER_ID) {
+    if (!published) {
+      // 通知提交者
       await client.chat.postMessage({
-        channel: ADMIN_USER_ID,
-        text: `📚 *New KB Update Pending Review*\n\n*From*: <@${update.submitter.id}>\n*Type*: ${update.type}\n*Tags*: ${update.tags.join(', ') || 'none'}${fileUrl ? `\n*File*: ${fileUrl}` : ''}\n\n*Preview*:\n${update.content.substring(0, 200)}${update.content.length > 200 ? '...' : ''}\n\nReview in KITT App Home → Pending Review`
+        channel: body.user.id,
+        text: `✅ Your update has been submitted for review!\n\n*Type*: ${update.type}\n*ID*: ${update.id}${fileUrl ? `\n*File*: ${fileUrl}` : ''}\n\nYou'll be notified once it has been reviewed.`
       });
-    }
 
+      // 通知可審核此類型的人（admin + 對應 scope 的 reviewer + required approvers）
+      await kbReview.notifyReviewers(client, update);
+    }
   } catch (error) {
     console.error('[KB] Failed to save update:', error);
 
@@ -146,37 +144,17 @@ async function handleSubmitModalSubmission({ client, ack, view, body }) {
 }
 
 /**
- * 載入所有 pending updates
+ * 載入所有待審的 KB updates
  */
 function loadPendingUpdates() {
-  try {
-    const files = fs.readdirSync(KB_CONFIG.pending.dir);
-    const updates = files
-      .filter(f => f.endsWith('.json'))
-      .map(f => {
-        const filepath = path.join(KB_CONFIG.pending.dir, f);
-        return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
-      })
-      .sort((a, b) => new Date(b.submitted_at) - new Date(a.submitted_at));
-
-    return updates;
-  } catch (error) {
-    console.error('[KB] Failed to load pending updates:', error);
-    return [];
-  }
+  return getPendingUpdates({ kind: 'kb' });
 }
 
 /**
- * 載入單一 update
+ * 載入單一 KB update
  */
 function loadUpdate(updateId) {
-  try {
-    const filepath = path.join(KB_CONFIG.pending.dir, `${updateId}.json`);
-    return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
-  } catch (error) {
-    console.error(`[KB] Failed to load update ${updateId}:`, error);
-    return null;
-  }
+  return getUpdate(updateId, { kind: 'kb' });
 }
 
 module.exports = {
@@ -0,0 +1,292 @@
+/**
+ * Memory Commands
+ * /kitt memory search|list|show|forget - 瀏覽與管理 KITT 記住的內容
+ */
+
+const {
+  searchMemories,
+  countMemories,
+  getMemory,
+  deleteMemory
+} = require('../storage/memory');
+
+const MEMORY_TYPES = ['decision', 'action', 'preference', 'fact', 'context'];
+
+const MEMORY_TYPE_EMOJI = {
+  decision: '🎯',
+  action: '📋',
+  preference: '💡',
+  fact: '📌',
+  context: '📝'
+};
+
+// Slack allows 50 blocks per message; keep result lists well below that
+const MAX_RESULTS = 15;
+
+const USAGE = `*🧠 Memory Commands:*
+• \`/kitt memory search [query]\` - Search approved memories
+   Filters: \`type:decision\` \`tag:hp\` \`since:2026-01-01\` \`until:2026-03-31\`
+• \`/kitt memory list [type] [--all]\` - List recent memories (${MEMORY_TYPES.join(', ')}); \`--all\` adds superseded and expired ones
+• \`/kitt memory show [id]\` - Show one memory in full
+• \`/kitt memory forget [id]\` - Delete a memory (admin only)`;
+
+/**
+ * Truncate text for list views
+ * @param {string} text - Text
+ * @param {number} max - Max characters
+ * @returns {string}
+ */
+function truncate(text, max) {
+  if (!text || text.length <= max) return text || '';
+  return text.substring(0, max - 1) + '…';
+}
+
+const SEARCH_FILTERS = ['type', 'tag', 'since', 'until'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split "tag:hp since:2026-01-01 合作" into filters and free-text query
+ * @param {string} text - Raw search text
+ * @returns {Object} { query, filters, error }
+ */
+function parseSearchText(text) {
+  const filters = {};
+  const words = [];
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const match = word.match(/^(\w+):(.+)$/);
+    if (!match || !SEARCH_FILTERS.includes(match[1].toLowerCase())) {
+      words.push(word);
+      continue;
+    }
+    filters[match[1].toLowerCase()] = match[2];
+  }
+
+  if (filters.type) {
+    filters.type = filters.type.toLowerCase();
+    if (!MEMORY_TYPES.includes(filters.type)) {
+      return { error: `Unknown memory type "${filters.type}". Use one of: ${MEMORY_TYPES.join(', ')}` };
+    }
+  }
+  for (const key of ['since', 'until']) {
+    if (filters[key] && !DATE_PATTERN.test(filters[key])) {
+      return { error: `\`${key}:\` expects a date like 2026-01-31` };
+    }
+  }
+
+  return { query: words.join(' '), filters };
+}
+
+/**
+ * Describe why a memory no longer applies
+ * @param {Object} mem - Memory row
+ * @returns {string|null} e.g. "superseded by `MEM-…`", or null if active
+ */
+function inactiveReason(mem) {
+  if (mem.superseded_by) return `superseded by \`${mem.superseded_by}\``;
+  const today = new Date().toISOString().slice(0, 10);
+  if (mem.valid_until && mem.valid_until < today) return `expired ${mem.valid_until}`;
+  return null;
+}
+
+/**
+ * One-line summary block for a memory (used by search/list)
+ * @param {Object} mem - Memory row
+ * @returns {Object} Block Kit section
+ */
+function memorySummaryBlock(mem) {
+  const emoji = MEMORY_TYPE_EMOJI[mem.type] || '•';
+  const date = (mem.approved_at || mem.created_at || '').slice(0, 10);
+  const threadLink = mem.thread_url ? ` · <${mem.thread_url}|thread>` : '';
+  const tags = mem.tags && mem.tags.length ? ` · ${mem.tags.map(t => `#${t}`).join(' ')}` : '';
+  const inactive = inactiveReason(mem);
+  const status = inactive ? ` · ⛔ ${inactive}` : '';
+
+  return {
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `${emoji} ${mem.snippet || truncate(mem.content, 280)}\n_\`${mem.id}\` · ${mem.type} · ${date}${tags}${threadLink}${status}_`
+    }
+  };
+}
+
+/**
+ * Blocks for a list of memories with a header line
+ * @param {string} title - Header text (mrkdwn)
+ * @param {Array} memories - Memory rows
+ * @returns {Array} Block Kit blocks
+ */
+function memoryListBlocks(title, memories) {
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: title } },
+    { type: 'divider' }
+  ];
+
+  for (const mem of memories.slice(0, MAX_RESULTS)) {
+    blocks.push(memorySummaryBlock(mem));
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: '_Use `/kitt memory show [id]` for details._' }]
+  });
+
+  return blocks;
+}
+
+/**
+ * Full detail blocks for one memory
+ * @param {Object} mem - Memory row
+ * @returns {Array} Block Kit blocks
+ */
+function memoryDetailBlocks(mem) {
+  const emoji = MEMORY_TYPE_EMOJI[mem.type] || '•';
+  const fields = [
+    { type: 'mrkdwn', text: `*Type:*\n${emoji} ${mem.type}` },
+    { type: 'mrkdwn', text: `*Channel:*\n${mem.channel ? `#${mem.channel}` : '—'}` },
+    { type: 'mrkdwn', text: `*Submitted by:*\n${mem.submitted_by ? `<@${mem.submitted_by}>` : '—'}` },
+    { type: 'mrkdwn', text: `*Approved:*\n${mem.approved_by ? `<@${mem.approved_by}>` : '—'} ${(mem.approved_at || '').slice(0, 10)}` }
+  ];
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*🧠 Memory \`${mem.id}\`*\n\n${mem.content}` }
+    },
+    { type: 'section', fields }
+  ];
+
+  const inactive = inactiveReason(mem);
+  if (inactive || mem.valid_until) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: inactive ? `⛔ *No longer applies:* ${inactive}` : `⏳ *Valid until:* ${mem.valid_until}` }
+    });
+  }
+
+  if (mem.context) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Context:*\n${truncate(mem.context, 2900)}` } });
+  }
+
+  const footer = [];
+  if (mem.tags && mem.tags.length) footer.push(mem.tags.map(t => `#${t}`).join(' '));
+  if (mem.thread_url) footer.push(`<${mem.thread_url}|View source thread>`);
+  if (footer.length) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: footer.join(' · ') }] });
+  }
+
+  return blocks;
+}
+
+/**
+ * Handle /kitt memory [subcommand] [args]
+ * @param {Object} params
+ * @param {Object} params.command - Slash command payload
+ * @param {Array<string>} params.args - Words after "memory"
+ * @param {Function} params.say - Bolt say()
+ * @param {boolean} params.isAdmin - Whether the caller may delete memories
+ */
+async function handleMemoryCommand({ command, args, say, isAdmin }) {
+  const subcommand = (args[0] || '').toLowerCase();
+  const rest = args.slice(1).join(' ').trim();
+
+  switch (subcommand) {
+    case 'search': {
+      if (!rest) {
+        await say('❌ Usage: `/kitt memory search [query]`');
+        return;
+      }
+
+      const { query, filters, error } = parseSearchText(rest);
+      if (error) {
+        await say(`❌ ${error}`);
+        return;
+      }
+
+      const results = searchMemories(query, { ...filters, limit: MAX_RESULTS });
+      if (results.length === 0) {
+        await say(`📭 No memories matching "${rest}".`);
+        return;
+      }
+
+      await say({
+        text: `Memory search: ${rest}`,
+        blocks: memoryListBlocks(`*🔍 Memories matching "${rest}" (${results.length}${results.length === MAX_RESULTS ? '+' : ''})*`, results)
+      });
+      return;
+    }
+
+    case 'list': {
+      const words = rest.toLowerCase().split(/\s+/).filter(Boolean);
+      const includeInactive = words.includes('--all');
+      const type = words.find(word => word !== '--all') || null;
+      if (type && !MEMORY_TYPES.includes(type)) {
+        await say(`❌ Unknown memory type "${type}". Use one of: ${MEMORY_TYPES.join(', ')}`);
+        return;
+      }
+
+      const memories = searchMemories('', { type, includeInactive, limit: MAX_RESULTS });
+      const label = `${includeInactive ? '' : 'active '}${type ? `${type} ` : ''}memories`;
+
+      if (memories.length === 0) {
+        await say(type || includeInactive ? `📭 No ${label} yet.` : '📭 No active memories. Say "@KITT 記住" in a thread to add some, or use `--all` to include superseded and expired ones.');
+        return;
+      }
+
+      const total = countMemories({ type, includeInactive });
+      await say({
+        text: 'Recent memories',
+        blocks: memoryListBlocks(
+          `*🧠 Recent ${type ? `${MEMORY_TYPE_EMOJI[type]} ` : ''}${label}* (showing ${memories.length} of ${total})`,
+          memories
+        )
+      });
+      return;
+    }
+
+    case 'show': {
+      const mem = rest && getMemory(rest);
+      if (!mem) {
+        await say(rest ? `❌ Memory \`${rest}\` not found.` : '❌ Usage: `/kitt memory show [id]`');
+        return;
+      }
+
+      await say({ text: `Memory ${mem.id}`, blocks: memoryDetailBlocks(mem) });
+      return;
+    }
+
+    case 'forget': {
+      if (!isAdmin) {
+        await say('❌ Only admin can delete memories.');
+        return;
+      }
+
+      const mem = rest && getMemory(rest);
+      if (!mem) {
+        await say(rest ? `❌ Memory \`${rest}\` not found.` : '❌ Usage: `/kitt memory forget [id]`');
+        return;
+      }
+
+      const { restoredIds } = deleteMemory(mem.id, command.user_id);
+      console.log(`[Memory] ${command.user_id} deleted memory ${mem.id}`);
+      const restored = restoredIds.length
+        ? `\n↩️ It had superseded ${restoredIds.map(id => `\`${id}\``).join(', ')}, which ${restoredIds.length === 1 ? 'applies' : 'apply'} again.`
+        : '';
+      await say(`🗑️ Forgot memory \`${mem.id}\`: _${truncate(mem.content, 200)}_${restored}\n_Recorded in \`/kitt audit ${mem.id}\`._`);
+      return;
+    }
+
+    default:
+      await say({
+        text: 'Memory commands',
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: USAGE } }]
+      });
+  }
+}
+
+module.exports = {
+  handleMemoryCommand,
+  MEMORY_TYPES,
+  MEMORY_TYPE_EMOJI
+};
@@ -0,0 +1,266 @@
+/**
+ * Memory Review
+ * 記憶候選的審核介面：逐條勾選 / 改類型後核准，或用結構化 Modal 編輯
+ */
+
+const { MEMORY_TYPES, MEMORY_TYPE_EMOJI } = require('./memory-commands');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Memories with their own controls. Slack allows 50 blocks per message
+// (2 per memory here) and 100 per modal (6 per memory); the rest are
+// listed read-only and kept as extracted.
+const MAX_REVIEW_MEMORIES = 16;
+
+// Section text is capped at 3000 characters
+const MAX_OVERFLOW_CHARS = 2800;
+
+/**
+ * Read-only list of the memories past MAX_REVIEW_MEMORIES
+ * @param {Object} candidate - Memory candidate
+ * @returns {Array} Zero or one Block Kit section
+ */
+function buildOverflowBlocks(candidate) {
+  const rest = candidate.extractedMemories.slice(MAX_REVIEW_MEMORIES);
+  if (rest.length === 0) return [];
+
+  let text = `*${rest.length} more memories (kept as extracted; reject the candidate to drop them):*`;
+  let shown = 0;
+  for (const mem of rest) {
+    const line = `\n*${MAX_REVIEW_MEMORIES + shown + 1}.* ${MEMORY_TYPE_EMOJI[mem.type] || '•'} ${mem.content}`;
+    if (text.length + line.length > MAX_OVERFLOW_CHARS) break;
+    text += line;
+    shown++;
+  }
+  if (shown < rest.length) text += `\n_…and ${rest.length - shown} more not shown_`;
+
+  return [{ type: 'section', text: { type: 'mrkdwn', text } }];
+}
+
+/**
+ * Static select option for a memory type
+ * @param {string} type - Memory type
+ * @returns {Object} Block Kit option
+ */
+function typeOption(type) {
+  return {
+    text: { type: 'plain_text', text: `${MEMORY_TYPE_EMOJI[type] || '•'} ${type}` },
+    value: type
+  };
+}
+
+/**
+ * Blocks listing each extracted memory with an include checkbox and a
+ * type selector (the first MAX_REVIEW_MEMORIES; the rest read-only).
+ * Read back with parseMemorySelection().
+ * @param {Object} candidate - Memory candidate
+ * @returns {Array} Block Kit blocks
+ */
+function buildMemorySelectionBlocks(candidate) {
+  const blocks = [];
+
+  candidate.extractedMemories.slice(0, MAX_REVIEW_MEMORIES).forEach((mem, i) => {
+    const type = MEMORY_TYPES.includes(mem.type) ? mem.type : 'fact';
+    const details = [
+      mem.context ? `_(${mem.context})_` : '',
+      mem.tags && mem.tags.length ? mem.tags.map(t => `#${t}`).join(' ') : '',
+      mem.valid_until ? `⏳ until ${mem.valid_until}` : ''
+    ].filter(Boolean).join(' · ');
+
+    const includeOption = { text: { type: 'mrkdwn', text: '*Approve*' }, value: String(i) };
+
+    blocks.push({
+      type: 'section',
+      block_id: `memory_${i}`,
+      text: {
+        type: 'mrkdwn',
+        text: `*${i + 1}.* ${mem.content}${details ? `\n${details}` : ''}`
+      },
+      accessory: {
+        type: 'checkboxes',
+        action_id: `memory_select_${i}`,
+        options: [includeOption],
+        initial_options: [includeOption]
+      }
+    });
+
+    blocks.push({
+      type: 'actions',
+      block_id: `memory_type_${i}`,
+      elements: [{
+        type: 'static_select',
+        action_id: `memory_type_${i}`,
+        options: MEMORY_TYPES.map(typeOption),
+        initial_option: typeOption(type)
+      }]
+    });
+  });
+
+  return blocks.concat(buildOverflowBlocks(candidate));
+}
+
+/**
+ * Read the admin's selection from a block_actions payload
+ * @param {Object} candidate - Memory candidate
+ * @param {Object} stateValues - body.state.values
+ * @returns {Array} Selected memories with the chosen types
+ */
+function parseMemorySelection(candidate, stateValues = {}) {
+  return candidate.extractedMemories.reduce((selected, mem, i) => {
+    const checkbox = stateValues[`memory_${i}`]?.[`memory_select_${i}`];
+    const typeSelect = stateValues[`memory_type_${i}`]?.[`memory_type_${i}`];
+
+    // Missing state means the block was never rendered with a checkbox; keep the item
+    const included = checkbox ? checkbox.selected_options.length > 0 : true;
+    if (!included) return selected;
+
+    selected.push({
+      ...mem,
+      type: typeSelect?.selected_option?.value || mem.type
+    });
+    return selected;
+  }, []);
+}
+
+/**
+ * Structured edit modal: type, content, context, tags and expiry per memory
+ * (the first MAX_REVIEW_MEMORIES; the rest read-only and kept).
+ * Clearing a memory's content drops it.
+ * @param {Object} candidate - Memory candidate
+ * @returns {Object} Modal view
+ */
+function buildMemoryEditView(candidate) {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*ID:* \`${candidate.id}\`\n*Channel:* #${candidate.channel_name || candidate.channel}\n_Clear a memory's content to drop it._`
+      }
+    }
+  ];
+
+  const editable = candidate.extractedMemories.slice(0, MAX_REVIEW_MEMORIES);
+  editable.forEach((mem, i) => {
+    const type = MEMORY_TYPES.includes(mem.type) ? mem.type : 'fact';
+
+    blocks.push({ type: 'divider' });
+    blocks.push({
+      type: 'input',
+      block_id: `type_${i}`,
+      label: { type: 'plain_text', text: `Memory ${i + 1} · Type` },
+      element: {
+        type: 'static_select',
+        action_id: 'value',
+        options: MEMORY_TYPES.map(typeOption),
+        initial_option: typeOption(type)
+      }
+    });
+    blocks.push({
+      type: 'input',
+      block_id: `content_${i}`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Content' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'value',
+        multiline: true,
+        initial_value: mem.content || ''
+      }
+    });
+    blocks.push({
+      type: 'input',
+      block_id: `context_${i}`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Context' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'value',
+        ...(mem.context ? { initial_value: mem.context } : {})
+      }
+    });
+    blocks.push({
+      type: 'input',
+      block_id: `tags_${i}`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Tags' },
+      hint: { type: 'plain_text', text: 'Comma-separated, e.g. hp, oem' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'value',
+        ...(mem.tags && mem.tags.length ? { initial_value: mem.tags.join(', ') } : {})
+      }
+    });
+    blocks.push({
+      type: 'input',
+      block_id: `valid_until_${i}`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Valid until' },
+      element: {
+        type: 'datepicker',
+        action_id: 'value',
+        ...(DATE_PATTERN.test(mem.valid_until || '') ? { initial_date: mem.valid_until } : {})
+      }
+    });
+  });
+
+  const overflow = buildOverflowBlocks(candidate);
+  if (overflow.length) blocks.push({ type: 'divider' }, ...overflow);
+
+  return {
+    type: 'modal',
+    callback_id: `edit_memory_modal_${candidate.id}`,
+    title: { type: 'plain_text', text: 'Edit Memories' },
+    submit: { type: 'plain_text', text: 'Save & Approve' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    private_metadata: String(editable.length),
+    blocks
+  };
+}
+
+/**
+ * Read memories back from the structured edit modal; memories past the
+ * editable ones are kept unchanged from the candidate
+ * @param {Object} view - Submitted view
+ * @param {Object} candidate - Memory candidate the modal was built from
+ * @returns {Object} { memories, errors } - errors is keyed by block_id (for response_action: 'errors')
+ */
+function parseMemoryEditSubmission(view, candidate) {
+  const values = view.state.values;
+  const count = parseInt(view.private_metadata, 10) || 0;
+  const memories = [];
+
+  for (let i = 0; i < count; i++) {
+    const content = (values[`content_${i}`]?.value?.value || '').trim();
+    if (!content) continue;
+
+    const tags = (values[`tags_${i}`]?.value?.value || '')
+      .split(',')
+      .map(tag => tag.trim().replace(/^#/, ''))
+      .filter(Boolean);
+
+    memories.push({
+      type: values[`type_${i}`]?.value?.selected_option?.value || 'fact',
+      content,
+      context: (values[`context_${i}`]?.value?.value || '').trim() || null,
+      tags,
+      valid_until: values[`valid_until_${i}`]?.value?.selected_date || null
+    });
+  }
+
+  memories.push(...candidate.extractedMemories.slice(count));
+
+  const errors = {};
+  if (memories.length === 0 && count > 0) {
+    errors.content_0 = 'Keep at least one memory, or reject the candidate instead.';
+  }
+
+  return { memories, errors };
+}
+
+module.exports = {
+  buildMemorySelectionBlocks,
+  parseMemorySelection,
+  buildMemoryEditView,
+  parseMemoryEditSubmission
+};
@@ -0,0 +1,99 @@
+/**
+ * Revert Handler
+ * /kitt revert [id] 與確認訊息上的 Revert 按鈕 - 撤回已套用的知識庫更新
+ */
+
+const { markReverted } = require('../storage/updates');
+const { revertItemWrites } = require('../lib/kb-writer');
+
+// Section text is capped at 3000 characters; leave room for the heading and fence
+const MAX_CONFLICT_DIFF_CHARS = 2500;
+
+// Slack allows 50 blocks per message
+const MAX_CONFLICT_BLOCKS = 10;
+
+/**
+ * Confirmation message with a Revert button (sent to the approving reviewer)
+ * @param {string} text - Confirmation text (mrkdwn)
+ * @param {string} updateId - Update ID
+ * @returns {Array} Block Kit blocks
+ */
+function buildRevertBlocks(text, updateId) {
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text } },
+    {
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        text: { type: 'plain_text', text: '↩️ Revert', emoji: true },
+        action_id: `revert_update_${updateId}`,
+        value: updateId,
+        confirm: {
+          title: { type: 'plain_text', text: 'Revert this update?' },
+          text: { type: 'mrkdwn', text: `Restore the knowledge base sections changed by \`${updateId}\` to how they were before.` },
+          confirm: { type: 'plain_text', text: 'Revert' },
+          deny: { type: 'plain_text', text: 'Cancel' }
+        }
+      }]
+    }
+  ];
+}
+
+/**
+ * Roll back an approved update's knowledge base writes
+ * @param {Object} update - Approved update
+ * @param {string} userId - Slack user ID reverting
+ * @returns {Promise<Object>} From revertItemWrites(): { status, files, conflicts }
+ */
+async function revertUpdate(update, userId) {
+  const result = await revertItemWrites(update.id, userId);
+  if (result.status === 'reverted') {
+    markReverted(update.id, userId);
+    console.log(`[Revert] ${userId} reverted ${update.id} (${result.files.join(', ')})`);
+  }
+  return result;
+}
+
+/**
+ * Reply for a revert attempt
+ * @param {Object} update - Update
+ * @param {Object} result - From revertUpdate()
+ * @returns {Object} { text, blocks }
+ */
+function formatRevertResult(update, result) {
+  if (result.status === 'reverted') {
+    const text = `↩️ Update \`${update.id}\` reverted. Restored ${result.files.map(f => `\`${f}\``).join(', ')}.`;
+    return { text, blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }] };
+  }
+
+  if (result.status === 'nothing') {
+    const text = `ℹ️ Update \`${update.id}\` has no knowledge base changes to revert.`;
+    return { text, blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }] };
+  }
+
+  const text = `⚠️ Can't revert \`${update.id}\`: the section${result.conflicts.length > 1 ? 's have' : ' has'} changed since it was applied. Nothing was written.`;
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: `${text}\n_Diff: as approved → as it reads now. Fix it by hand in the vault._` } }
+  ];
+
+  for (const conflict of result.conflicts.slice(0, MAX_CONFLICT_BLOCKS)) {
+    const diff = conflict.diff.length > MAX_CONFLICT_DIFF_CHARS
+      ? `${conflict.diff.substring(0, MAX_CONFLICT_DIFF_CHARS)}\n…`
+      : conflict.diff;
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*\`${conflict.file}\`* · ${conflict.section}${diff ? `\n\`\`\`${diff.replace(/```/g, 'ˋˋˋ')}\`\`\`` : ''}`
+      }
+    });
+  }
+
+  return { text, blocks };
+}
+
+module.exports = {
+  buildRevertBlocks,
+  revertUpdate,
+  formatRevertResult
+};
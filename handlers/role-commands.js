@@ -0,0 +1,136 @@
+/**
+ * Role Commands
+ * /kitt role grant|revoke|list - 管理誰可以審核、提交或只讀
+ */
+
+const { grantRole, revokeRole, getAllGrants } = require('../storage/roles');
+const { ROLES, SCOPE_PATTERN, parseUserId, can, getEffectiveGrants } = require('../lib/auth');
+
+const USAGE = `*🔐 Role Commands:*
+• \`/kitt role list [@user]\` - Show role grants
+• \`/kitt role grant @user [role] [scope]\` - Grant a role (admin only)
+• \`/kitt role revoke @user [role] [scope]\` - Revoke a role (admin only)
+Roles: ${ROLES.join(', ')}
+Reviewer scopes: \`*\` (default), \`type:customer\`, \`type:oem\`, \`type:memory\`, \`file:customers.md\``;
+
+/**
+ * Format grants as "• <@U…> reviewer (type:customer)"
+ * @param {Array} grants - Grants
+ * @returns {string} mrkdwn lines
+ */
+function formatGrants(grants) {
+  return grants.map(g => {
+    const scope = g.scope && g.scope !== '*' ? ` (${g.scope})` : '';
+    const by = g.grantedBy ? ` _· by <@${g.grantedBy}>_` : '';
+    return `• <@${g.userId}> *${g.role}*${scope}${by}`;
+  }).join('\n');
+}
+
+// Plain "@name" means the /kitt command isn't escaping mentions (slack-manifest.yaml)
+const UNRESOLVED_MENTION = 'Slack sent the mention as plain text. Enable "Escape channels, users, and links" for /kitt (should_escape: true in the manifest) and pick the user from the @ autocomplete.';
+
+/**
+ * Parse "@user role [scope]" for grant/revoke
+ * @param {Array<string>} args - Words after the subcommand
+ * @returns {Object} { userId, role, scope, error }
+ */
+function parseGrantArgs(args) {
+  const userId = parseUserId(args[0]);
+  const role = (args[1] || '').toLowerCase();
+  const scope = args[2] || null;
+
+  if (!userId && /^@/.test(args[0] || '')) return { error: `Can't resolve ${args[0]}. ${UNRESOLVED_MENTION}` };
+  if (!userId || !role) return { error: 'Usage: `/kitt role grant|revoke @user [role] [scope]`' };
+  if (!ROLES.includes(role)) return { error: `Unknown role "${role}". Use one of: ${ROLES.join(', ')}` };
+  if (scope && role !== 'reviewer') return { error: 'Only the reviewer role takes a scope.' };
+  if (scope && !SCOPE_PATTERN.test(scope)) {
+    return { error: `Invalid scope "${scope}". Use \`*\`, \`type:<update type>\` or \`file:<kb file>\`.` };
+  }
+
+  return { userId, role, scope };
+}
+
+/**
+ * Handle /kitt role [subcommand] [args]
+ * @param {Object} params
+ * @param {Object} params.command - Slash command payload
+ * @param {Array<string>} params.args - Words after "role"
+ * @param {Function} params.say - Bolt say()
+ */
+async function handleRoleCommand({ command, args, say }) {
+  const subcommand = (args[0] || '').toLowerCase();
+  const rest = args.slice(1).filter(Boolean);
+  const isAdmin = can(command.user_id, 'admin');
+
+  switch (subcommand) {
+    case 'list': {
+      const userId = rest[0] ? parseUserId(rest[0]) : null;
+      if (rest[0] && !userId) {
+        await say(/^@/.test(rest[0]) ? `❌ Can't resolve ${rest[0]}. ${UNRESOLVED_MENTION}` : '❌ Usage: `/kitt role list [@user]`');
+        return;
+      }
+
+      // Non-admins may only look themselves up
+      if (!isAdmin || userId) {
+        const target = isAdmin ? userId : command.user_id;
+        const grants = getEffectiveGrants(target).map(g => ({ ...g, userId: target }));
+        await say(`*🔐 Roles for <@${target}>*\n${formatGrants(grants)}`);
+        return;
+      }
+
+      const grants = getAllGrants();
+      const bootstrap = process.env.ADMIN_USER_ID
+        ? `\n_<@${process.env.ADMIN_USER_ID}> is always admin (ADMIN_USER_ID)._`
+        : '';
+      await say(grants.length
+        ? `*🔐 Role Grants (${grants.length})*\n${formatGrants(grants)}${bootstrap}`
+        : `📭 No role grants yet. Everyone else is a contributor by default.${bootstrap}`);
+      return;
+    }
+
+    case 'grant':
+    case 'revoke': {
+      if (!isAdmin) {
+        await say('❌ Only admins can change roles.');
+        return;
+      }
+
+      const { userId, role, scope, error } = parseGrantArgs(rest);
+      if (error) {
+        await say(`❌ ${error}`);
+        return;
+      }
+
+      if (subcommand === 'grant') {
+        const added = grantRole(userId, role, scope || '*', command.user_id);
+        console.log(`[Roles] ${command.user_id} granted ${role} (${scope || '*'}) to ${userId}`);
+        await say(added
+          ? `✅ <@${userId}> is now *${role}*${scope ? ` for \`${scope}\`` : ''}.`
+          : `ℹ️ <@${userId}> already has *${role}*${scope ? ` for \`${scope}\`` : ''}.`);
+        return;
+      }
+
+      if (userId === process.env.ADMIN_USER_ID && role === 'admin') {
+        await say('❌ ADMIN_USER_ID is always admin; change it in `.env` instead.');
+        return;
+      }
+
+      const removed = revokeRole(userId, role, scope);
+      console.log(`[Roles] ${command.user_id} revoked ${role} (${scope || 'all scopes'}) from ${userId}`);
+      await say(removed
+        ? `🗑️ Revoked *${role}*${scope ? ` for \`${scope}\`` : ''} from <@${userId}>.`
+        : `ℹ️ <@${userId}> has no *${role}* grant${scope ? ` for \`${scope}\`` : ''}.`);
+      return;
+    }
+
+    default:
+      await say({
+        text: 'Role commands',
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: USAGE } }]
+      });
+  }
+}
+
+module.exports = {
+  handleRoleCommand
+};
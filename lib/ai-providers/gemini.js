@@ -0,0 +1,72 @@
+/**
+ * Gemini Provider
+ *
+ * Direct Gemini API access (free tier API key).
+ */
+
+/**
+ * Map chat messages to Gemini request fields.
+ * System messages become systemInstruction; assistant turns use role "model".
+ * @param {Array} messages - [{ role, content }]
+ * @returns {Object} { systemInstruction, contents }
+ */
+function toGeminiRequest(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const contents = messages
+    .filter(m => m.role !== 'system')
+    .map(m => ({
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: m.content }]
+    }));
+
+  return {
+    ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+    contents
+  };
+}
+
+/**
+ * Create a Gemini provider instance
+ * @param {Object} config - Provider config from services/ai-config.js
+ * @param {string} config.name - Provider display name
+ * @param {string} config.apiKey - Gemini API key
+ * @param {string} config.model - Default model
+ * @returns {Object} Provider with complete()
+ */
+function create(config) {
+  return {
+    name: config.name,
+    type: 'gemini',
+    model: config.model,
+
+    async complete({ messages, model, temperature, maxTokens, signal }) {
+      if (!config.apiKey) throw new Error('GEMINI_API_KEY not configured');
+
+      const response = await fetch(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model || config.model}:generateContent?key=${config.apiKey}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          signal,
+          body: JSON.stringify({
+            ...toGeminiRequest(messages),
+            generationConfig: {
+              temperature,
+              maxOutputTokens: maxTokens
+            }
+          })
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Gemini API error: ${response.status} - ${error.substring(0, 200)}`);
+      }
+
+      const data = await response.json();
+      return data.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || '';
+    }
+  };
+}
+
+module.exports = { type: 'gemini', create };
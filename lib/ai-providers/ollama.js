@@ -0,0 +1,77 @@
+/**
+ * Ollama Provider
+ *
+ * Local models via the Ollama chat API (/api/chat).
+ */
+
+const { readLines } = require('./stream-utils');
+
+/**
+ * Create an Ollama provider instance
+ * @param {Object} config - Provider config from services/ai-config.js
+ * @param {string} config.name - Provider display name
+ * @param {string} config.baseUrl - Ollama base URL (e.g. http://localhost:11434)
+ * @param {string} config.model - Default model
+ * @returns {Object} Provider with complete() and stream()
+ */
+function create(config) {
+  const baseUrl = config.baseUrl.replace(/\/+$/, '');
+
+  async function request({ messages, model, temperature, maxTokens, signal }, stream) {
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal,
+      body: JSON.stringify({
+        model: model || config.model,
+        messages,
+        stream,
+        options: { temperature, num_predict: maxTokens, top_p: 0.9 }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama API error: ${response.status}`);
+    }
+
+    return response;
+  }
+
+  return {
+    name: config.name,
+    type: 'ollama',
+    model: config.model,
+
+    async complete(req) {
+      const response = await request(req, false);
+      const data = await response.json();
+      return (data.message?.content || '').trim();
+    },
+
+    /**
+     * Stream a completion (newline-delimited JSON chunks)
+     * @param {Object} req - Same as complete()
+     * @param {Function} onToken - Called with each text delta
+     * @returns {Promise<string>} Full generated text
+     */
+    async stream(req, onToken) {
+      const response = await request(req, true);
+
+      let text = '';
+      for await (const line of readLines(response.body)) {
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new Error(`Ollama API error: ${chunk.error}`);
+        const delta = chunk.message?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        if (chunk.done) break;
+      }
+
+      return text.trim();
+    }
+  };
+}
+
+module.exports = { type: 'ollama', create };
@@ -0,0 +1,94 @@
+/**
+ * OpenAI-compatible Provider
+ *
+ * Works with any `/v1/chat/completions` endpoint:
+ * CLIProxyAPI (Gemini/Claude via OAuth), OpenAI, etc.
+ */
+
+const { readLines } = require('./stream-utils');
+
+/**
+ * Create an OpenAI-compatible provider instance
+ * @param {Object} config - Provider config from services/ai-config.js
+ * @param {string} config.name - Provider display name
+ * @param {string} config.baseUrl - API base URL (without /v1)
+ * @param {string} [config.apiKey] - Bearer token
+ * @param {string} config.model - Default model
+ * @returns {Object} Provider with complete() and stream()
+ */
+function create(config) {
+  const baseUrl = config.baseUrl.replace(/\/+$/, '').replace(/\/v1$/, '');
+
+  async function request(body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+      headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`${config.name} API error: ${response.status} - ${error.substring(0, 200)}`);
+    }
+
+    return response;
+  }
+
+  return {
+    name: config.name,
+    type: 'openai-compatible',
+    model: config.model,
+
+    async complete({ messages, model, temperature, maxTokens, signal }) {
+      const response = await request({
+        model: model || config.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      }, signal);
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content?.trim() || '';
+    },
+
+    /**
+     * Stream a completion via server-sent events
+     * @param {Object} req - Same as complete()
+     * @param {Function} onToken - Called with each text delta
+     * @returns {Promise<string>} Full generated text
+     */
+    async stream({ messages, model, temperature, maxTokens, signal }, onToken) {
+      const response = await request({
+        model: model || config.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true
+      }, signal);
+
+      let text = '';
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith('data:')) continue;
+
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') break;
+
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      }
+
+      return text.trim();
+    }
+  };
+}
+
+module.exports = { type: 'openai-compatible', create };
@@ -0,0 +1,29 @@
+/**
+ * Streaming helpers shared by provider plugins
+ */
+
+/**
+ * Iterate a fetch response body line by line
+ * @param {ReadableStream} body - fetch Response.body
+ * @returns {AsyncGenerator<string>} Non-empty lines
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer.trim();
+}
+
+module.exports = { readLines };
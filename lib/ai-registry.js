@@ -0,0 +1,220 @@
+/**
+ * AI Provider Registry
+ *
+ * Each provider type (OpenAI-compatible, Ollama, Gemini) is a plugin
+ * under lib/ai-providers/. Providers are instantiated from
+ * services/ai-config.js and tried in order until one succeeds.
+ *
+ * Call sites ask for a named task profile instead of hardcoding
+ * model / temperature / token limits:
+ *   callAI(prompt, { task: 'intent' })
+ *   streamAI(messages, { task: 'chat', onToken })
+ *
+ * Input is either a prompt string or a chat message array
+ * ([{ role: 'system' | 'user' | 'assistant', content }]); providers
+ * always receive the message array.
+ */
+
+const AI_CONFIG = require('../services/ai-config');
+const { canAttempt, recordSuccess, recordFailure } = require('./provider-health');
+
+// Provider plugins by type
+const providerTypes = new Map();
+
+// Provider instances in fallback order
+let providers = [];
+
+/**
+ * Register a provider plugin
+ * @param {Object} plugin - { type, create(config) }
+ */
+function registerProviderType(plugin) {
+  if (!plugin || !plugin.type || typeof plugin.create !== 'function') {
+    throw new Error('Provider plugin must export { type, create }');
+  }
+  providerTypes.set(plugin.type, plugin);
+}
+
+/**
+ * Instantiate providers from config
+ * @param {Array} configs - Provider configs (defaults to AI_CONFIG.providers)
+ * @returns {Array} Provider instances
+ */
+function loadProviders(configs = AI_CONFIG.providers) {
+  providers = [];
+
+  for (const config of configs) {
+    if (!config.enabled) continue;
+
+    const plugin = providerTypes.get(config.type);
+    if (!plugin) {
+      console.warn(`[AI] Unknown provider type "${config.type}" for ${config.name}, skipping`);
+      continue;
+    }
+
+    providers.push(plugin.create(config));
+  }
+
+  console.log(`[AI] Providers: ${providers.map(p => p.name).join(' → ') || 'none'}`);
+  return providers;
+}
+
+/**
+ * Get loaded provider instances
+ * @returns {Array} Providers in fallback order
+ */
+function getProviders() {
+  return providers;
+}
+
+/**
+ * Resolve a task profile, merged over the default profile
+ * @param {string} task - Task name (intent, extraction, translation, chat, heartbeat)
+ * @returns {Object} Profile { temperature, maxTokens, timeoutMs, models, providers }
+ */
+function getProfile(task = 'default') {
+  const base = AI_CONFIG.profiles.default;
+  const profile = AI_CONFIG.profiles[task];
+
+  if (!profile) {
+    console.warn(`[AI] Unknown task profile "${task}", using default`);
+  }
+
+  return {
+    ...base,
+    ...(profile || {}),
+    models: { ...(base.models || {}), ...((profile && profile.models) || {}) }
+  };
+}
+
+/**
+ * Normalize AI input to a chat message array
+ * @param {string|Array} input - Prompt string or message array
+ * @returns {Array} Messages [{ role, content }]
+ */
+function toMessages(input) {
+  if (Array.isArray(input)) {
+    return input.filter(m => m && m.content);
+  }
+  return [{ role: 'user', content: input }];
+}
+
+/**
+ * Try providers in order until one returns text.
+ * Providers with an open circuit (see lib/provider-health.js) are skipped.
+ * Each attempt gets its own AbortSignal for the profile's timeoutMs; a
+ * provider that hangs is aborted and counted as a failure like any other.
+ * @param {string|Array} input - Prompt string or message array
+ * @param {Object} options - Normalized call options
+ * @param {Function} invoke - (provider, request) → Promise<string>;
+ *   request carries { messages, model, temperature, maxTokens, signal }
+ * @returns {Promise<string>} - Generated text
+ */
+async function runWithFallback(input, options, invoke) {
+  const messages = toMessages(input);
+  const profile = getProfile(options.task);
+  const maxTokens = options.maxTokens || profile.maxTokens;
+  const temperature = options.temperature !== undefined ? options.temperature : profile.temperature;
+
+  const candidates = profile.providers
+    ? profile.providers.map(name => providers.find(p => p.name === name)).filter(Boolean)
+    : providers;
+
+  let attempted = 0;
+
+  for (const provider of candidates) {
+    if (!canAttempt(provider.name)) {
+      console.log(`[AI] Skipping ${provider.name} (circuit open)`);
+      continue;
+    }
+
+    const model = profile.models[provider.name] || provider.model;
+    const signal = AbortSignal.timeout(profile.timeoutMs);
+    const startTime = Date.now();
+    attempted++;
+
+    try {
+      console.log(`[AI] Trying ${provider.name} (${model}, task: ${options.task || 'default'})...`);
+      const result = await invoke(provider, { messages, model, temperature, maxTokens, signal });
+      if (!result) {
+        throw new Error('Empty response');
+      }
+      recordSuccess(provider.name, Date.now() - startTime);
+      console.log(`[AI] ${provider.name} succeeded in ${Date.now() - startTime}ms`);
+      return result;
+    } catch (caught) {
+      const error = signal.aborted
+        ? new Error(`Timed out after ${profile.timeoutMs}ms`)
+        : caught;
+      recordFailure(provider.name, Date.now() - startTime, error);
+      console.warn(`[AI] ${provider.name} failed after ${Date.now() - startTime}ms: ${error.message}`);
+    }
+  }
+
+  throw new Error(attempted === 0 ? 'All AI providers unavailable (circuits open)' : 'All AI providers failed');
+}
+
+/**
+ * Unified AI call with provider fallback
+ * @param {string|Array} input - Prompt string or chat message array
+ * @param {Object|number} [options] - Task options, or maxTokens (legacy)
+ * @param {string} [options.task] - Task profile name
+ * @param {number} [options.maxTokens] - Override profile token limit
+ * @param {number} [options.temperature] - Override profile temperature
+ * @returns {Promise<string>} - Generated text
+ */
+async function callAI(input, options = {}) {
+  if (typeof options === 'number') {
+    options = { maxTokens: options };
+  }
+
+  return runWithFallback(input, options, (provider, req) => provider.complete(req));
+}
+
+/**
+ * Streaming AI call with provider fallback.
+ * Providers without stream() fall back to a blocking complete() and
+ * report the whole answer as a single token.
+ *
+ * onToken receives (delta, textSoFar). If a provider fails mid-stream
+ * the next provider starts over, so callers should render textSoFar
+ * rather than appending deltas.
+ * @param {string|Array} input - Prompt string or chat message array
+ * @param {Object} options - Same as callAI, plus:
+ * @param {Function} options.onToken - (delta, textSoFar) => void
+ * @returns {Promise<string>} - Full generated text
+ */
+async function streamAI(input, options = {}) {
+  const onToken = options.onToken || (() => {});
+
+  return runWithFallback(input, options, async (provider, req) => {
+    if (typeof provider.stream !== 'function') {
+      const result = await provider.complete(req);
+      if (result) onToken(result, result);
+      return result;
+    }
+
+    let textSoFar = '';
+    return provider.stream(req, delta => {
+      textSoFar += delta;
+      onToken(delta, textSoFar);
+    });
+  });
+}
+
+// Built-in provider plugins
+registerProviderType(require('./ai-providers/openai-compatible'));
+registerProviderType(require('./ai-providers/ollama'));
+registerProviderType(require('./ai-providers/gemini'));
+
+loadProviders();
+
+module.exports = {
+  registerProviderType,
+  loadProviders,
+  getProviders,
+  getProfile,
+  toMessages,
+  callAI,
+  streamAI
+};
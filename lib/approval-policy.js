@@ -0,0 +1,111 @@
+/**
+ * Approval Policies
+ *
+ * Per-type rules from KB_CONFIG.approval_policies deciding when a queued
+ * update (quick or KB) is approved:
+ * - quorum:             distinct reviewer approvals needed
+ * - required_approvers: Slack user IDs that must be among the approvers
+ * - auto_approve:       submitters whose updates skip review
+ *
+ * Each reviewer's click is recorded in update_approvals; the update is only
+ * applied once the policy is satisfied.
+ */
+
+const KB_CONFIG = require('../services/kb-config');
+const { addApproval, getApprovals } = require('../storage/updates');
+const { getReviewerIds, getUpdateResource } = require('./auth');
+
+// reviewed_by value for updates approved by an auto_approve rule
+const AUTO_APPROVER = 'auto-approve';
+
+/**
+ * Effective policy for an update type (type rules over the default)
+ * @param {string} type - Update type
+ * @returns {Object} { quorum, required_approvers, auto_approve }
+ */
+function getApprovalPolicy(type) {
+  const policies = KB_CONFIG.approval_policies || {};
+  const policy = { ...policies.default, ...policies[type] };
+
+  return {
+    quorum: Math.max(1, parseInt(policy.quorum, 10) || 1),
+    required_approvers: policy.required_approvers || [],
+    auto_approve: policy.auto_approve || []
+  };
+}
+
+/**
+ * Whether an update skips review because of who submitted it
+ * @param {Object} update - Update
+ * @returns {boolean}
+ */
+function isAutoApproved(update) {
+  return getApprovalPolicy(update.type).auto_approve.includes(update.submittedBy);
+}
+
+/**
+ * Where an update stands against its policy
+ * @param {Object} update - Update
+ * @returns {Object} { policy, approvers, missingRequired, remaining, satisfied }
+ */
+function getApprovalState(update) {
+  const policy = getApprovalPolicy(update.type);
+  const approvers = getApprovals(update.id).map(a => a.userId);
+  const missingRequired = policy.required_approvers.filter(id => !approvers.includes(id));
+  const remaining = Math.max(policy.quorum - approvers.length, missingRequired.length);
+
+  return { policy, approvers, missingRequired, remaining, satisfied: remaining === 0 };
+}
+
+/**
+ * Record a reviewer's approval and return the new state
+ * @param {Object} update - Update
+ * @param {string} userId - Slack user ID of reviewer
+ * @returns {Object} Approval state (see getApprovalState) plus `added`
+ *   (false if this reviewer had already approved)
+ */
+function recordApproval(update, userId) {
+  const added = addApproval(update.id, userId);
+  return { ...getApprovalState(update), added };
+}
+
+/**
+ * Who still needs to be asked: reviewers in scope plus required approvers,
+ * minus anyone who already approved
+ * @param {Object} update - Update
+ * @returns {Array<string>} Slack user IDs
+ */
+function getPendingReviewerIds(update) {
+  const { policy, approvers } = getApprovalState(update);
+  const ids = new Set([...getReviewerIds(getUpdateResource(update)), ...policy.required_approvers]);
+  return Array.from(ids).filter(id => !approvers.includes(id));
+}
+
+/**
+ * One-line summary for review messages, e.g.
+ * "👥 Approvals 1/2: <@U1> · waiting on <@U2>"
+ * @param {Object} state - From getApprovalState()
+ * @returns {string|null} null for single-approver policies with no approvals yet
+ */
+function formatApprovalState(state) {
+  const { policy, approvers, missingRequired } = state;
+  if (policy.quorum === 1 && policy.required_approvers.length === 0 && approvers.length === 0) {
+    return null;
+  }
+
+  const who = approvers.length ? approvers.map(id => `<@${id}>`).join(', ') : 'none yet';
+  const waiting = missingRequired.length
+    ? ` · waiting on ${missingRequired.map(id => `<@${id}>`).join(', ')}`
+    : '';
+  return `👥 *Approvals ${Math.min(approvers.length, policy.quorum)}/${policy.quorum}*: ${who}${waiting}`;
+}
+
+module.exports = {
+  AUTO_APPROVER,
+  getApprovalPolicy,
+  isAutoApproved,
+  getApprovalState,
+  recordApproval,
+  getPendingReviewerIds,
+  formatApprovalState
+};
@@ -0,0 +1,204 @@
+/**
+ * Authorization
+ *
+ * Roles, most to least privileged:
+ * - admin:       everything, including /kitt role and deleting memories
+ * - reviewer:    approve / edit / reject submissions within their scope
+ * - contributor: submit updates, KB submissions and memory requests
+ * - viewer:      ask questions and browse only
+ *
+ * Reviewer grants carry a scope: '*' (everything), 'type:<update type>'
+ * (e.g. type:customer, type:oem, type:memory) or 'file:<kb file>'
+ * (e.g. file:customers.md). ADMIN_USER_ID is always an admin so a fresh
+ * install can bootstrap the roles table; users without any grant get
+ * KITT_DEFAULT_ROLE (contributor).
+ */
+
+const KB_CONFIG = require('../services/kb-config');
+const { getUserGrants, getAllGrants } = require('../storage/roles');
+
+const ROLES = ['admin', 'reviewer', 'contributor', 'viewer'];
+
+// Lowest role that holds each permission ('review' is additionally scoped)
+const PERMISSION_ROLES = {
+  view: 'viewer',
+  submit: 'contributor',
+  review: 'reviewer',
+  admin: 'admin'
+};
+
+const SCOPE_PATTERN = /^(\*|type:[\w-]+|file:[\w.-]+)$/;
+
+/**
+ * Extract a Slack user ID from "<@U123|name>", "<@U123>" or "U123".
+ * Slash commands only send the escaped form when the app's manifest sets
+ * should_escape: true; plain "@name" text can't be resolved.
+ * @param {string} text - Argument
+ * @returns {string|null} User ID
+ */
+function parseUserId(text) {
+  const match = (text || '').match(/^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$|^([UW][A-Z0-9]+)$/);
+  return match ? (match[1] || match[2]) : null;
+}
+
+/**
+ * Rank of a role (higher is more privileged)
+ * @param {string} role - Role name
+ * @returns {number} Rank, -1 for unknown roles
+ */
+function roleRank(role) {
+  const index = ROLES.indexOf(role);
+  return index === -1 ? -1 : ROLES.length - 1 - index;
+}
+
+/**
+ * Role given to users with no grant
+ * @returns {string} Role name
+ */
+function getDefaultRole() {
+  const role = process.env.KITT_DEFAULT_ROLE;
+  return ROLES.includes(role) && role !== 'admin' ? role : 'contributor';
+}
+
+/**
+ * All grants that apply to a user, including the ADMIN_USER_ID bootstrap
+ * and the default role
+ * @param {string} userId - Slack user ID
+ * @returns {Array} [{role, scope}]
+ */
+function getEffectiveGrants(userId) {
+  if (!userId) return [];
+
+  const grants = getUserGrants(userId).map(({ role, scope }) => ({ role, scope }));
+  if (userId === process.env.ADMIN_USER_ID) {
+    grants.unshift({ role: 'admin', scope: '*' });
+  }
+  if (grants.length === 0) {
+    grants.push({ role: getDefaultRole(), scope: '*' });
+  }
+  return grants;
+}
+
+/**
+ * Whether a scope covers a resource
+ * @param {string} scope - '*', 'type:…' or 'file:…'
+ * @param {Object} resource - { type, file }
+ * @returns {boolean}
+ */
+function scopeMatches(scope, resource = {}) {
+  if (scope === '*') return true;
+  const [kind, value] = scope.split(':');
+  if (kind === 'type') return resource.type === value;
+  if (kind === 'file') return resource.file === value;
+  return false;
+}
+
+/**
+ * Check a permission.
+ * Without a resource, 'review' passes for any reviewer grant (e.g. to open
+ * the inbox); with one, a reviewer's scope must cover it.
+ * @param {string} userId - Slack user ID
+ * @param {string} permission - 'view' | 'submit' | 'review' | 'admin'
+ * @param {Object} [resource] - { type, file } of the item being acted on
+ * @returns {boolean}
+ */
+function can(userId, permission, resource = null) {
+  const required = PERMISSION_ROLES[permission];
+  if (!required) throw new Error(`Unknown permission: ${permission}`);
+
+  return getEffectiveGrants(userId).some(grant => {
+    if (grant.role === 'admin') return true;
+    if (roleRank(grant.role) < roleRank(required)) return false;
+    if (grant.role === 'reviewer' && permission === 'review' && resource) {
+      return scopeMatches(grant.scope, resource);
+    }
+    return true;
+  });
+}
+
+/**
+ * Authorization resource for a queued update
+ * @param {Object} update - Update from storage/updates.js
+ * @returns {Object} { type, file }
+ */
+function getUpdateResource(update) {
+  if (update.kind === 'kb') {
+    const typeConfig = KB_CONFIG.update_types.find(t => t.value === update.type);
+    return { type: update.type, file: typeConfig?.target_file || null };
+  }
+  // Same target file applyUpdate writes (kb.config.json quick_updates)
+  const route = KB_CONFIG.quick_updates[update.type];
+  return { type: update.type, file: route ? route.file : null };
+}
+
+// Memory candidates are reviewed as their own type
+const MEMORY_RESOURCE = { type: 'memory', file: null };
+
+/**
+ * Users who can approve items of a resource (for review notifications)
+ * @param {Object} resource - { type, file }
+ * @returns {Array<string>} Slack user IDs
+ */
+function getReviewerIds(resource) {
+  const ids = new Set();
+  if (process.env.ADMIN_USER_ID) ids.add(process.env.ADMIN_USER_ID);
+
+  for (const grant of getAllGrants()) {
+    if (grant.role === 'admin' || (grant.role === 'reviewer' && scopeMatches(grant.scope, resource))) {
+      ids.add(grant.userId);
+    }
+  }
+  return Array.from(ids);
+}
+
+/**
+ * The workspace owner (Lman): receives relayed and App Home messages.
+ * ADMIN_USER_ID, or the earliest admin grant.
+ * @returns {string|null} Slack user ID
+ */
+function getOwnerId() {
+  if (process.env.ADMIN_USER_ID) return process.env.ADMIN_USER_ID;
+  const [firstAdmin] = getAllGrants('admin');
+  return firstAdmin ? firstAdmin.userId : null;
+}
+
+/**
+ * Bolt listener middleware: run the handler only if the user holds the
+ * permission, otherwise ack and DM them why.
+ * @param {string} permission - Permission name
+ * @param {Function} [getResource] - (body) => resource; return null when the
+ *   item no longer exists so the handler can report "not found"
+ * @returns {Function} Middleware
+ */
+function requirePermission(permission, getResource = () => undefined) {
+  return async ({ body, ack, client, next }) => {
+    const userId = body.user?.id || body.user_id;
+    const resource = getResource(body);
+
+    if (resource === null || can(userId, permission, resource)) {
+      await next();
+      return;
+    }
+
+    await ack();
+    const on = resource ? ` on ${resource.type}${resource.file ? ` (${resource.file})` : ''}` : '';
+    console.log(`[Auth] Denied ${permission}${on} for ${userId}`);
+    await client.chat.postMessage({
+      channel: userId,
+      text: `🔒 You don't have *${permission}* permission${on}. Ask an admin: \`/kitt role list\``
+    });
+  };
+}
+
+module.exports = {
+  ROLES,
+  SCOPE_PATTERN,
+  MEMORY_RESOURCE,
+  parseUserId,
+  can,
+  getEffectiveGrants,
+  getUpdateResource,
+  getReviewerIds,
+  getOwnerId,
+  requirePermission
+};
@@ -0,0 +1,142 @@
+/**
+ * Markdown Front Matter
+ *
+ * Reads the YAML block at the top of a knowledge base file:
+ *
+ *   ---
+ *   owner: Lman
+ *   tags: [oem, hp]
+ *   visibility: private
+ *   updated: 2026-01-05
+ *   ---
+ *
+ * Only the subset PKM notes use is supported: `key: value` scalars,
+ * inline lists (`[a, b]`), block lists (`- a` lines), folded and literal
+ * blocks (`key: >` / `key: |` followed by indented lines), quoted or not,
+ * and `#` comments. Anything else is reported as an error instead of
+ * being guessed at; a top-level `visibility:` line is still read so a
+ * private note stays private.
+ *
+ * Lines may end in "\n" or "\r\n" (notes synced from Windows); the body is
+ * returned with its original line endings.
+ */
+
+const FENCE = /^---\s*$/;
+const KEY_LINE = /^([A-Za-z_][\w-]*)\s*:\s*(.*)$/;
+const LIST_ITEM = /^\s+-\s+(.*)$/;
+const BLOCK_SCALAR = /^[>|][+-]?$/;
+const INDENTED = /^\s+\S/;
+
+/**
+ * Unquote and trim a scalar; drops a trailing " # comment"
+ * @param {string} raw - Raw value
+ * @returns {string}
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+  const quoted = value.match(/^"(.*)"$|^'(.*)'$/);
+  if (quoted) return quoted[1] !== undefined ? quoted[1] : quoted[2];
+  return value.replace(/\s+#.*$/, '').trim();
+}
+
+/**
+ * "[a, 'b']" → ['a', 'b']
+ * @param {string} raw - Inline list
+ * @returns {Array<string>}
+ */
+function parseInlineList(raw) {
+  return raw.trim().slice(1, -1).split(',').map(parseScalar).filter(Boolean);
+}
+
+/**
+ * Fields that can still be trusted from front matter that failed to parse
+ * @param {Array<string>} lines - Lines between the fences
+ * @returns {Object} { visibility } if a top-level visibility line exists
+ */
+function salvageFields(lines) {
+  const data = {};
+  for (const line of lines) {
+    const field = line.match(KEY_LINE);
+    if (field && field[1] === 'visibility') data.visibility = parseScalar(field[2]);
+  }
+  return data;
+}
+
+/**
+ * Split front matter from the body
+ * @param {string} text - File content
+ * @returns {Object} { data, body, error } - data is {} and body the whole
+ *   text when there is no front matter; error names the first bad line,
+ *   and data then holds only a salvaged visibility
+ */
+function parseFrontMatter(text) {
+  const rawLines = text.split(/(?<=\n)/);
+  const lines = rawLines.map(line => line.replace(/\r?\n$/, ''));
+  if (!FENCE.test(lines[0] || '')) return { data: {}, body: text, error: null };
+
+  const end = lines.findIndex((line, i) => i > 0 && FENCE.test(line));
+  if (end === -1) {
+    return { data: salvageFields(lines.slice(1)), body: text, error: 'front matter is not closed with ---' };
+  }
+
+  const data = {};
+  let listKey = null;
+  let blockKey = null;
+  const blockStyles = {};
+
+  for (let i = 1; i < end; i++) {
+    const line = lines[i];
+
+    if (blockKey) {
+      if (!line.trim() || INDENTED.test(line)) {
+        data[blockKey].push(line.trim());
+        continue;
+      }
+      blockKey = null;
+    }
+
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const item = line.match(LIST_ITEM);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+
+    const field = line.match(KEY_LINE);
+    if (!field) {
+      return {
+        data: salvageFields(lines.slice(1, end)),
+        body: text,
+        error: `front matter line ${i + 1} is not "key: value": ${line.trim()}`
+      };
+    }
+
+    const [, key, raw] = field;
+    listKey = null;
+    if (BLOCK_SCALAR.test(raw.trim())) {
+      // Folded (>) or literal (|) text on the indented lines below
+      data[key] = [];
+      blockKey = key;
+      blockStyles[key] = raw.trim()[0];
+    } else if (raw.trim() === '') {
+      // Block list follows (or an empty value)
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(raw.trim())) {
+      data[key] = parseInlineList(raw);
+    } else {
+      data[key] = parseScalar(raw);
+    }
+  }
+
+  for (const [key, style] of Object.entries(blockStyles)) {
+    data[key] = data[key].join(style === '|' ? '\n' : ' ').trim();
+  }
+
+  return { data, body: rawLines.slice(end + 1).join(''), error: null };
+}
+
+module.exports = {
+  parseFrontMatter
+};
@@ -0,0 +1,136 @@
+/**
+ * Knowledge Base Git Versioning
+ *
+ * Optional (KB_GIT_ENABLED=true): every KITT write to the knowledge base
+ * directory is committed to a git repository inside that directory, so the
+ * vault has a per-change history beyond Dropbox's. The repository is
+ * created on the first commit. Git failures are logged and never block the
+ * write itself; the audit log (lib/kb-writer.js) stays the source of truth.
+ *
+ * Commits run in the background, one at a time in write order, after the
+ * write (and its lock) is done. Each commit stages the content that was
+ * written rather than re-reading the file, so a later write or an Obsidian
+ * edit can't end up in an earlier write's commit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const KB_CONFIG = require('../services/kb-config');
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT_MS = 15000;
+const COMMIT_AUTHOR = { name: 'KITT', email: 'kitt@irisgo.local' };
+
+// Commits share one index, so they run strictly one after another
+let commitQueue = Promise.resolve();
+
+/**
+ * Whether git versioning is turned on
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return process.env.KB_GIT_ENABLED === 'true';
+}
+
+/**
+ * Run git in the knowledge base directory
+ * @param {Array<string>} args - git arguments
+ * @param {string} [input] - Written to git's stdin
+ * @returns {Promise<string>} stdout
+ */
+async function git(args, input = '') {
+  const run = execFileAsync('git', [
+    '-c', `user.name=${COMMIT_AUTHOR.name}`,
+    '-c', `user.email=${COMMIT_AUTHOR.email}`,
+    ...args
+  ], {
+    cwd: KB_CONFIG.local.pm_dir,
+    encoding: 'utf-8',
+    timeout: GIT_TIMEOUT_MS
+  });
+  run.child.stdin.end(input);
+  const { stdout } = await run;
+  return stdout;
+}
+
+/**
+ * Create the repository on first use
+ */
+async function ensureRepo() {
+  if (fs.existsSync(path.join(KB_CONFIG.local.pm_dir, '.git'))) return;
+  await git(['init', '-q']);
+  console.log(`[KB Git] Initialized repository in ${KB_CONFIG.local.pm_dir}`);
+}
+
+/**
+ * Queue a commit of one knowledge base write. Returns at once; the commit
+ * runs after any queued before it.
+ * @param {Object} write
+ * @param {string} write.filePath - Absolute path of the written file
+ * @param {string} write.content - Content that was written
+ * @param {string} write.action - 'apply_update' | 'admin_correction' | 'archive' | 'revert'
+ * @param {string} [write.itemId] - Update ID
+ * @param {string} write.actor - Approver (Slack user ID or AUTO_APPROVER)
+ * @param {number} [write.auditId] - kb_audit entry
+ * @returns {Promise<string|null>} Commit hash, or null if nothing was committed
+ */
+function commitWrite(write) {
+  const run = commitQueue.then(() => commitNow(write));
+  commitQueue = run;
+  return run;
+}
+
+/**
+ * Stage the written content and commit it (never throws)
+ * @param {Object} write - See commitWrite()
+ * @returns {Promise<string|null>} Commit hash, or null if nothing was committed
+ */
+async function commitNow({ filePath, content, action, itemId, actor, auditId }) {
+  const relative = path.relative(KB_CONFIG.local.pm_dir, filePath).split(path.sep).join('/');
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    console.warn(`[KB Git] ${filePath} is outside ${KB_CONFIG.local.pm_dir}; not committed`);
+    return null;
+  }
+
+  const by = action === 'revert' ? 'reverted by' : 'approved by';
+  const subject = `${action} ${relative}${itemId ? ` (update ${itemId})` : ''}, ${by} ${actor}`;
+  const body = auditId ? `\n\nKITT audit entry #${auditId}` : '';
+
+  try {
+    await ensureRepo();
+    const blob = (await git(['hash-object', '-w', '--stdin'], content)).trim();
+    await git(['update-index', '--add', '--cacheinfo', `100644,${blob},${relative}`]);
+    await git(['commit', '-q', '-m', subject + body]);
+    const hash = (await git(['rev-parse', '--short', 'HEAD'])).trim();
+    console.log(`[KB Git] ${hash} ${subject}`);
+    return hash;
+  } catch (error) {
+    console.error(`[KB Git] Commit failed for ${relative}:`, (error.stderr || error.message).toString().trim());
+    return null;
+  }
+}
+
+/**
+ * Recent commits touching a file, newest first
+ * @param {string} file - File name relative to the knowledge base directory
+ * @param {number} [limit=10] - Max commits
+ * @returns {Promise<Array>} [{hash, date, author, subject}]; [] if there is no repository
+ */
+async function getFileHistory(file, limit = 10) {
+  if (!fs.existsSync(path.join(KB_CONFIG.local.pm_dir, '.git'))) return [];
+
+  const output = await git(['log', `-n${limit}`, '--format=%h%x1f%aI%x1f%an%x1f%s', '--', file]);
+  return output.split('\n').filter(Boolean).map(line => {
+    const [hash, date, author, subject] = line.split('\x1f');
+    return { hash, date, author, subject };
+  });
+}
+
+module.exports = {
+  isEnabled,
+  commitWrite,
+  getFileHistory
+};
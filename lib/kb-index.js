@@ -0,0 +1,247 @@
+/**
+ * Knowledge Base Search Index
+ *
+ * Splits knowledge base markdown into heading-aware chunks, stores them
+ * in SQLite (storage/kb-index.js) and ranks them per question with BM25.
+ *
+ * Documents are re-chunked only when their content hash changes, so
+ * indexDocument() can be called on every reload.
+ */
+
+const crypto = require('crypto');
+const { tokenize, termFrequencies } = require('./tokenizer');
+const store = require('../storage/kb-index');
+
+const MAX_CHUNK_CHARS = 1200;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// In-memory postings, rebuilt from SQLite whenever a document changes
+let index = null;
+
+/**
+ * Hash file content
+ * @param {string} content - File content
+ * @returns {string} sha1 hex
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Split markdown into chunks along headings.
+ * Each chunk carries its heading path (e.g. "OEM Partners › HP");
+ * sections longer than MAX_CHUNK_CHARS are split on blank lines.
+ * @param {string} content - Markdown text
+ * @returns {Array} [{heading, content}]
+ */
+function chunkMarkdown(content) {
+  const chunks = [];
+  const headingStack = [];
+  let buffer = [];
+  let inCodeFence = false;
+
+  function flush() {
+    const text = buffer.join('\n').trim();
+    buffer = [];
+    if (!text) return;
+
+    const heading = headingStack.filter(Boolean).join(' › ');
+    for (const piece of splitLongText(text)) {
+      chunks.push({ heading, content: piece });
+    }
+  }
+
+  for (const line of content.split('\n')) {
+    if (/^\s*```/.test(line)) inCodeFence = !inCodeFence;
+
+    const match = !inCodeFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      flush();
+      const level = match[1].length;
+      headingStack.length = level - 1;
+      headingStack[level - 1] = match[2].trim();
+      continue;
+    }
+
+    buffer.push(line);
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Split text on blank lines into pieces of at most MAX_CHUNK_CHARS
+ * @param {string} text - Section text
+ * @returns {Array<string>} Pieces
+ */
+function splitLongText(text) {
+  if (text.length <= MAX_CHUNK_CHARS) return [text];
+
+  const pieces = [];
+  let current = '';
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (current && current.length + paragraph.length + 2 > MAX_CHUNK_CHARS) {
+      pieces.push(current);
+      current = '';
+    }
+    // A single oversized paragraph (e.g. a long table) is hard-split by lines
+    if (paragraph.length > MAX_CHUNK_CHARS) {
+      const lines = paragraph.split('\n').flatMap(line =>
+        line.match(new RegExp(`[\\s\\S]{1,${MAX_CHUNK_CHARS}}`, 'g')) || ['']
+      );
+      for (const line of lines) {
+        if (current && current.length + line.length + 1 > MAX_CHUNK_CHARS) {
+          pieces.push(current);
+          current = '';
+        }
+        current += (current ? '\n' : '') + line;
+      }
+      continue;
+    }
+    current += (current ? '\n\n' : '') + paragraph;
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+/**
+ * Index (or re-index) a knowledge base document if its content changed
+ * @param {string} docKey - Knowledge base key (e.g. 'customers')
+ * @param {string} filename - Source filename (for citations)
+ * @param {string} content - File content
+ * @returns {boolean} True if the document was re-chunked
+ */
+function indexDocument(docKey, filename, content) {
+  const contentHash = hashContent(content || '');
+  const existing = store.getDocument(docKey);
+
+  if (existing && existing.contentHash === contentHash && existing.filename === filename) {
+    return false;
+  }
+
+  const chunks = chunkMarkdown(content || '').map(chunk => {
+    const terms = tokenize(`${chunk.heading}\n${chunk.content}`);
+    return { ...chunk, terms: termFrequencies(terms), length: terms.length };
+  });
+
+  store.replaceDocumentChunks({ docKey, filename, contentHash }, chunks);
+  index = null;
+
+  console.log(`[KB Index] Indexed ${filename}: ${chunks.length} chunks`);
+  return true;
+}
+
+/**
+ * Remove a document from the index
+ * @param {string} docKey - Knowledge base key
+ */
+function removeDocument(docKey) {
+  store.deleteDocument(docKey);
+  index = null;
+}
+
+/**
+ * Remove indexed documents that are no longer part of the knowledge base
+ * (deleted, renamed or excluded since they were indexed)
+ * @param {Array<string>} keepKeys - Keys of the current documents
+ * @returns {Array<string>} Removed keys
+ */
+function pruneDocuments(keepKeys) {
+  const keep = new Set(keepKeys);
+  const stale = store.listDocumentKeys().filter(key => !keep.has(key));
+  stale.forEach(removeDocument);
+  return stale;
+}
+
+/**
+ * Build in-memory BM25 statistics from stored chunks
+ * @returns {Object} {chunks, df, avgLength}
+ */
+function loadIndex() {
+  if (index) return index;
+
+  const chunks = store.getAllChunks();
+  const df = Object.create(null);
+  let totalLength = 0;
+
+  for (const chunk of chunks) {
+    totalLength += chunk.length;
+
+    // Stored as JSON: copy into a prototype-free map, dropping counts an
+    // older index mangled ("constructor" → "function Object()…1")
+    const terms = Object.create(null);
+    for (const [term, count] of Object.entries(chunk.terms)) {
+      if (typeof count === 'number') terms[term] = count;
+    }
+    chunk.terms = terms;
+
+    for (const term of Object.keys(terms)) {
+      df[term] = (df[term] || 0) + 1;
+    }
+  }
+
+  index = {
+    chunks,
+    df,
+    avgLength: chunks.length ? totalLength / chunks.length : 0
+  };
+  return index;
+}
+
+/**
+ * Retrieve the top-k chunks for a question
+ * @param {string} query - User question
+ * @param {Object} [options]
+ * @param {number} [options.topK=6] - Max chunks to return
+ * @param {Array<string>} [options.docKeys] - Restrict to these documents
+ * @returns {Array} [{docKey, filename, heading, content, score}]
+ */
+function search(query, options = {}) {
+  const { topK = 6, docKeys } = options;
+  const { chunks, df, avgLength } = loadIndex();
+  const queryTerms = Array.from(new Set(tokenize(query)));
+
+  if (queryTerms.length === 0 || chunks.length === 0) return [];
+
+  const N = chunks.length;
+  const results = [];
+
+  for (const chunk of chunks) {
+    if (docKeys && !docKeys.includes(chunk.docKey)) continue;
+
+    let score = 0;
+    for (const term of queryTerms) {
+      if (!Object.hasOwn(chunk.terms, term)) continue;
+      const tf = chunk.terms[term];
+
+      const idf = Math.log(1 + (N - df[term] + 0.5) / (df[term] + 0.5));
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / (avgLength || 1));
+      score += idf * (tf * (BM25_K1 + 1)) / norm;
+    }
+
+    if (score > 0) {
+      results.push({
+        docKey: chunk.docKey,
+        filename: chunk.filename,
+        heading: chunk.heading,
+        content: chunk.content,
+        score
+      });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+module.exports = {
+  chunkMarkdown,
+  hashContent,
+  indexDocument,
+  removeDocument,
+  pruneDocuments,
+  search
+};
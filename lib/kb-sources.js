@@ -0,0 +1,257 @@
+/**
+ * Knowledge Base Sources
+ *
+ * Works out which markdown files make up the knowledge base: the documents
+ * with a role in kb.config.json, plus every file under each `sources`
+ * folder that matches its include globs and none of its exclude globs.
+ * Folders and files whose name starts with "." (.git, .obsidian, .trash,
+ * KITT's own temp files) are always skipped.
+ *
+ * Globs are matched against the path relative to the source folder:
+ * `*` and `?` stay within one folder, `**` spans folders, `{a,b}` picks
+ * one of the alternatives.
+ *
+ * Each document is { key, file, path, role }: role documents are keyed by
+ * role, the rest by their path relative to the knowledge base root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const KB_CONFIG = require('../services/kb-config');
+
+// A runaway include (e.g. a source pointed at $HOME) stops the walk here
+const MAX_DOCUMENTS = 2000;
+
+const globCache = new Map();
+
+/**
+ * Compile a glob to a RegExp
+ * @param {string} glob - e.g. "meetings/**\/*.md"
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  if (globCache.has(glob)) return globCache.get(glob);
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more folders; a trailing "**" matches the rest
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const close = glob.indexOf('}', i);
+      if (close === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${glob.slice(i + 1, close).split(',').map(part => globToRegExp(part).source.slice(1, -1)).join('|')})`;
+      i = close;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  globCache.set(glob, regex);
+  return regex;
+}
+
+/**
+ * Whether a relative path matches any of the globs
+ * @param {string} relative - Path relative to the source folder ("/" separated)
+ * @param {Array<string>} globs - Globs
+ * @returns {boolean}
+ */
+function matchesAny(relative, globs) {
+  return globs.some(glob => globToRegExp(glob).test(relative));
+}
+
+/**
+ * Whether any path segment is hidden (".git", ".customers.md.kitt-1.tmp")
+ * @param {string} relative - Relative path
+ * @returns {boolean}
+ */
+function isHidden(relative) {
+  return relative.split(/[/\\]/).some(segment => segment.startsWith('.') && segment !== '.' && segment !== '..');
+}
+
+/**
+ * Document for a file found under a source folder
+ * @param {string} filePath - Absolute path
+ * @returns {Object} { key, file, path, role }
+ */
+function toDocument(filePath) {
+  const file = path.relative(KB_CONFIG.local.pm_dir, filePath).split(path.sep).join('/');
+  return { key: file, file, path: filePath, role: null };
+}
+
+/**
+ * The source a file belongs to, if it is included
+ * @param {string} filePath - Absolute path
+ * @returns {Object|null} Source from KB_CONFIG.sources
+ */
+function findSource(filePath) {
+  return KB_CONFIG.sources.find(source => {
+    const relative = path.relative(source.dir, filePath).split(path.sep).join('/');
+    if (relative.startsWith('..') || path.isAbsolute(relative) || isHidden(relative)) return false;
+    return matchesAny(relative, source.include) && !matchesAny(relative, source.exclude);
+  }) || null;
+}
+
+/**
+ * Document for a path that just appeared (watch event), or null if the
+ * path isn't part of the knowledge base
+ * @param {string} filePath - Absolute path
+ * @returns {Object|null} { key, file, path, role }
+ */
+function matchDocument(filePath) {
+  const roleDoc = KB_CONFIG.documents.find(doc => doc.path === filePath);
+  if (roleDoc) return { key: roleDoc.key, file: roleDoc.file, path: roleDoc.path, role: roleDoc.role };
+  return findSource(filePath) ? toDocument(filePath) : null;
+}
+
+/**
+ * Walk a source folder in name order, stopping after `limit` files
+ * @param {Object} source - { dir, include, exclude }
+ * @param {Function} visit - Called with each included absolute path;
+ *   returns true if the file was counted
+ * @param {number} limit - Stop once this many files were counted
+ * @returns {number} Files counted
+ */
+function walkSource(source, visit, limit) {
+  const pending = [source.dir];
+  let counted = 0;
+
+  while (pending.length && counted < limit) {
+    const dir = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      console.warn(`[KB Sources] Cannot read ${dir}: ${error.message}`);
+      continue;
+    }
+
+    const subdirs = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(dir, entry.name);
+
+      // Symlinked folders are not followed, so a link can't loop the walk
+      if (entry.isDirectory()) {
+        subdirs.push(entryPath);
+      } else if (entry.isFile()) {
+        const relative = path.relative(source.dir, entryPath).split(path.sep).join('/');
+        if (matchesAny(relative, source.include) && !matchesAny(relative, source.exclude) && visit(entryPath)) {
+          if (++counted >= limit) break;
+        }
+      }
+    }
+
+    // Stack: push in reverse so folders are walked in name order
+    pending.push(...subdirs.reverse());
+  }
+
+  return counted;
+}
+
+/**
+ * Every knowledge base document: role documents first, then source files
+ * in path order. The walk stops at MAX_DOCUMENTS, so which files make the
+ * cut follows folder name order.
+ * @returns {Array} [{ key, file, path, role }]
+ */
+function discoverDocuments() {
+  const documents = KB_CONFIG.documents.map(doc => ({ key: doc.key, file: doc.file, path: doc.path, role: doc.role }));
+  const seen = new Set(documents.map(doc => doc.path));
+  const found = [];
+
+  for (const source of KB_CONFIG.sources) {
+    // Already warned by the source that reached the cap
+    const limit = MAX_DOCUMENTS - documents.length - found.length;
+    if (limit <= 0) break;
+    if (!fs.existsSync(source.dir)) {
+      console.warn(`[KB Sources] Source folder ${source.dir} does not exist`);
+      continue;
+    }
+
+    const counted = walkSource(source, filePath => {
+      if (seen.has(filePath)) return false;
+      seen.add(filePath);
+      found.push(filePath);
+      return true;
+    }, limit);
+
+    if (counted >= limit) {
+      console.warn(`[KB Sources] Reached ${MAX_DOCUMENTS} documents; stopped scanning ${source.dir}. Narrow the include globs in kb.config.json.`);
+    }
+  }
+
+  return documents.concat(found.sort().map(toDocument));
+}
+
+/**
+ * The front matter fields KITT uses, normalized
+ * (lib/front-matter.js parses the YAML)
+ * @param {Object} data - Parsed front matter
+ * @returns {Object} { owner, tags, visibility, updated } - visibility
+ *   'private' keeps a document out of the search index
+ */
+function documentMeta(data) {
+  const text = value => (Array.isArray(value) ? value.join(', ') : value) || null;
+  const tags = Array.isArray(data.tags) ? data.tags : String(data.tags || '').split(',');
+
+  return {
+    owner: text(data.owner),
+    tags: tags.map(tag => String(tag).trim().replace(/^#/, '')).filter(Boolean),
+    visibility: text(data.visibility) ? text(data.visibility).toLowerCase() : null,
+    updated: text(data.updated)
+  };
+}
+
+/**
+ * Whether a document may go into the search index. Fails closed: front
+ * matter that didn't parse may hide a `visibility: private` line
+ * @param {Object} meta - From documentMeta
+ * @param {string|null} frontMatterError - From parseFrontMatter
+ * @returns {boolean}
+ */
+function isSearchable(meta, frontMatterError) {
+  return !frontMatterError && meta.visibility !== 'private';
+}
+
+/**
+ * Folders to watch: the knowledge base root and every source folder
+ * outside it
+ * @returns {Array<string>} Absolute paths
+ */
+function getWatchDirs() {
+  const root = KB_CONFIG.local.pm_dir;
+  const outside = KB_CONFIG.sources
+    .map(source => source.dir)
+    .filter(dir => {
+      const relative = path.relative(root, dir);
+      return relative.startsWith('..') || path.isAbsolute(relative);
+    });
+  return Array.from(new Set([root, ...outside]));
+}
+
+module.exports = {
+  discoverDocuments,
+  matchDocument,
+  documentMeta,
+  isSearchable,
+  getWatchDirs,
+  isHidden,
+  matchesAny
+};
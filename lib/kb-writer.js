@@ -0,0 +1,386 @@
+/**
+ * Knowledge Base Writer
+ *
+ * The single place that rewrites knowledge base markdown files. Every write
+ * appends a kb_audit row (actor, item, file, before/after hash, unified
+ * diff) so `/kitt audit` can show who changed what.
+ *
+ * With KB_GIT_ENABLED=true the write is also committed to the knowledge
+ * base's git repository (lib/kb-git.js).
+ *
+ * Each write also snapshots the `## ` sections it changed. Reverting an
+ * update restores those sections, but only if they still read exactly as
+ * the update left them; otherwise the revert stops and reports a conflict.
+ *
+ * Files are edited outside KITT too (Obsidian, Dropbox sync), so writes are
+ * computed from a fresh read, not from the in-memory copy in bot.js:
+ * - withWriteLock() serializes writers, in this process (a promise queue)
+ *   and across processes (a lock file in the OS temp directory)
+ * - writeKnowledgeFile() is given the hash of the content it was computed
+ *   from and refuses to write (error.code 'KB_CONFLICT') if the file no
+ *   longer has it
+ * - the new content goes to a temp file in the same directory and is
+ *   renamed over the original, so readers never see a half-written file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { unifiedDiff, diffStats } = require('./text-diff');
+const kbGit = require('./kb-git');
+const KB_CONFIG = require('../services/kb-config');
+const { addAuditEntry, addSnapshot, getRevertableSnapshots, markSnapshotsReverted } = require('../storage/audit');
+
+// One lock per knowledge base directory, shared by every KITT process on this machine
+const LOCK_PATH = path.join(
+  os.tmpdir(),
+  `kitt-kb-${crypto.createHash('sha1').update(KB_CONFIG.local.pm_dir).digest('hex').slice(0, 12)}.lock`
+);
+const LOCK_RETRY_MS = 100;
+const LOCK_TIMEOUT_MS = 10000;
+
+// A write takes milliseconds; a lock this old was left behind by a crash
+const LOCK_STALE_MS = 60000;
+
+let writeQueue = Promise.resolve();
+let lockHeld = false;
+
+/**
+ * SHA-256 of file content
+ * @param {string} content - Text
+ * @returns {string} Hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content, 'utf-8').digest('hex');
+}
+
+/**
+ * Read a knowledge base file with the hash writes are checked against
+ * @param {string} filePath - Absolute path of the markdown file
+ * @returns {Object} { content, hash } (both null if the file doesn't exist)
+ */
+function readKnowledgeFile(filePath) {
+  if (!fs.existsSync(filePath)) return { content: null, hash: null };
+  const content = fs.readFileSync(filePath, 'utf-8');
+  return { content, hash: hashContent(content) };
+}
+
+/**
+ * Whether the process that wrote a lock file is gone or the lock is stale
+ * @returns {boolean}
+ */
+function isLockStale() {
+  try {
+    const { mtimeMs } = fs.statSync(LOCK_PATH);
+    if (Date.now() - mtimeMs > LOCK_STALE_MS) return true;
+
+    const pid = parseInt(fs.readFileSync(LOCK_PATH, 'utf-8'), 10);
+    if (!pid) return false;
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    // ENOENT: released meanwhile; ESRCH: holder exited without releasing
+    return error.code === 'ENOENT' || error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Take the cross-process lock file, waiting for another holder to finish
+ * @throws {Error} After LOCK_TIMEOUT_MS
+ */
+async function acquireLockFile() {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      fs.writeFileSync(LOCK_PATH, String(process.pid), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (isLockStale()) {
+      console.warn(`[KB Writer] Removing stale lock ${LOCK_PATH}`);
+      fs.rmSync(LOCK_PATH, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Another knowledge base write is still in progress; try again in a moment');
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+/**
+ * Run fn while holding the knowledge base write lock. Writes queue up in
+ * order; read the files, compute the change and write it inside fn so no
+ * other write can land in between.
+ * @param {Function} fn - (Async) function doing the reads and writes
+ * @returns {Promise<*>} fn's result
+ */
+function withWriteLock(fn) {
+  const run = writeQueue.then(async () => {
+    await acquireLockFile();
+    lockHeld = true;
+    try {
+      return await fn();
+    } finally {
+      lockHeld = false;
+      fs.rmSync(LOCK_PATH, { force: true });
+    }
+  });
+
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Replace a file via a temp file in the same directory and a rename
+ * @param {string} filePath - Absolute path
+ * @param {string} content - New content
+ */
+function writeAtomic(filePath, content) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.kitt-${process.pid}.tmp`);
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, content, 'utf-8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Split markdown into top-level (`## `) sections. Text before the first
+ * heading is keyed ''; repeated headings get " (2)", " (3)"… appended.
+ * @param {string} content - Markdown
+ * @returns {Array} [{key, text}]; the texts concatenate back to content
+ */
+function splitSections(content) {
+  const sections = [{ key: '', text: '' }];
+  const seen = {};
+
+  for (const line of content.split(/(?<=\n)/)) {
+    if (line.startsWith('## ')) {
+      const heading = line.trim();
+      seen[heading] = (seen[heading] || 0) + 1;
+      sections.push({ key: seen[heading] > 1 ? `${heading} (${seen[heading]})` : heading, text: '' });
+    }
+    sections[sections.length - 1].text += line;
+  }
+  return sections;
+}
+
+/**
+ * Sections that differ between two versions of a file
+ * @param {string|null} before - Old content (null for a new file)
+ * @param {string} after - New content
+ * @returns {Array} [{key, before, after}] (null where the section is absent)
+ */
+function changedSections(before, after) {
+  const oldSections = new Map(splitSections(before || '').map(s => [s.key, s.text]));
+  const newSections = new Map(splitSections(after).map(s => [s.key, s.text]));
+  const keys = new Set([...newSections.keys(), ...oldSections.keys()]);
+
+  return Array.from(keys)
+    .filter(key => oldSections.get(key) !== newSections.get(key))
+    .map(key => ({ key, before: oldSections.get(key) ?? null, after: newSections.get(key) ?? null }));
+}
+
+/**
+ * Write a knowledge base file and record it in the audit log.
+ * Must run inside withWriteLock(). Identical content is not rewritten and
+ * not audited.
+ * @param {string} filePath - Absolute path of the markdown file
+ * @param {string} content - New file content
+ * @param {Object} meta
+ * @param {string} meta.actor - Slack user ID behind the write (or AUTO_APPROVER)
+ * @param {string} meta.action - 'apply_update' | 'admin_correction' | 'archive' | 'revert'
+ * @param {string} [meta.itemId] - Update ID the write comes from
+ * @param {string|null} meta.expectedHash - Hash of the content this write was
+ *   computed from (readKnowledgeFile().hash; null for a new file)
+ * @returns {Object} { changed, beforeHash, afterHash, auditId }
+ * @throws {Error} error.code 'KB_CONFLICT' if the file changed since it was read
+ */
+function writeKnowledgeFile(filePath, content, { actor, action, itemId = null, expectedHash }) {
+  if (!lockHeld) {
+    throw new Error('writeKnowledgeFile must run inside withWriteLock()');
+  }
+
+  const file = path.basename(filePath);
+  const { content: before, hash: beforeHash } = readKnowledgeFile(filePath);
+  const afterHash = hashContent(content);
+
+  if (beforeHash !== expectedHash) {
+    const error = new Error(`${file} was changed outside KITT since it was read; nothing was written`);
+    error.code = 'KB_CONFLICT';
+    throw error;
+  }
+
+  if (beforeHash === afterHash) {
+    return { changed: false, beforeHash, afterHash, auditId: null };
+  }
+
+  writeAtomic(filePath, content);
+
+  const diff = unifiedDiff(before || '', content, {
+    fromFile: before === null ? '/dev/null' : `a/${file}`,
+    toFile: `b/${file}`
+  });
+  const { added, removed } = diffStats(diff);
+
+  const auditId = addAuditEntry({
+    actor: actor || 'system',
+    action,
+    itemId,
+    file,
+    beforeHash,
+    afterHash,
+    linesAdded: added,
+    linesRemoved: removed,
+    diff
+  });
+
+  addSnapshot(auditId, { itemId, path: filePath, sections: changedSections(before, content) });
+
+  if (kbGit.isEnabled()) {
+    kbGit.commitWrite({ filePath, content, action, itemId, actor: actor || 'system', auditId });
+  }
+
+  console.log(`[Audit] #${auditId} ${action} ${file} by ${actor || 'system'} (+${added} -${removed})`);
+  return { changed: true, beforeHash, afterHash, auditId };
+}
+
+/**
+ * Dry run of writeKnowledgeFile: the diff the write would record
+ * @param {string} filePath - Absolute path of the markdown file
+ * @param {string} content - New file content
+ * @param {Object} [options]
+ * @param {number} [options.context=1] - Context lines around changes
+ * @returns {string} Unified diff, '' if the content would not change
+ */
+function previewWrite(filePath, content, { context = 1 } = {}) {
+  const file = path.basename(filePath);
+  const before = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+
+  return unifiedDiff(before || '', content, {
+    fromFile: before === null ? '/dev/null' : `a/${file}`,
+    toFile: `b/${file}`,
+    context
+  });
+}
+
+/**
+ * Put a snapshot's "before" sections back into the current content
+ * @param {string} content - Current file content
+ * @param {Object} snapshot - From getRevertableSnapshots()
+ * @returns {Object} { content } or { conflicts: [{file, section, diff}] }
+ */
+function restoreSnapshot(content, snapshot) {
+  const current = splitSections(content);
+  const currentByKey = new Map(current.map(s => [s.key, s.text]));
+
+  const conflicts = snapshot.sections
+    .filter(s => (currentByKey.get(s.key) ?? null) !== s.after)
+    .map(s => ({
+      file: snapshot.file,
+      section: s.key || '(top of file)',
+      diff: unifiedDiff(s.after || '', currentByKey.get(s.key) || '', {
+        fromFile: `approved/${snapshot.file}`,
+        toFile: `current/${snapshot.file}`
+      })
+    }));
+  if (conflicts.length) return { conflicts };
+
+  const restore = new Map(snapshot.sections.map(s => [s.key, s.before]));
+  const restored = current
+    .map(s => (restore.has(s.key) ? restore.get(s.key) || '' : s.text))
+    .join('');
+
+  // Sections the write removed come back at the end of the file
+  const removed = snapshot.sections
+    .filter(s => s.after === null && s.before !== null)
+    .map(s => s.before)
+    .join('');
+
+  return { content: restored + removed };
+}
+
+/**
+ * Roll back every knowledge base write made for an item (newest first).
+ * Nothing is written unless all of them can be restored cleanly.
+ * @param {string} itemId - Update ID
+ * @param {string} actor - Slack user ID reverting
+ * @returns {Promise<Object>} { status: 'nothing' | 'conflict' | 'reverted', files, conflicts }
+ */
+function revertItemWrites(itemId, actor) {
+  return withWriteLock(() => revertLocked(itemId, actor));
+}
+
+/**
+ * revertItemWrites() body, run under the write lock
+ * @param {string} itemId - Update ID
+ * @param {string} actor - Slack user ID reverting
+ * @returns {Object} { status, files, conflicts }
+ */
+function revertLocked(itemId, actor) {
+  const snapshots = getRevertableSnapshots(itemId);
+  if (snapshots.length === 0) return { status: 'nothing', files: [], conflicts: [] };
+
+  // Restore in memory first, chaining writes to the same file
+  const originals = new Map();
+  const contents = new Map();
+  const conflicts = [];
+  for (const snapshot of snapshots) {
+    if (!contents.has(snapshot.path)) {
+      const original = readKnowledgeFile(snapshot.path);
+      originals.set(snapshot.path, original.hash);
+      contents.set(snapshot.path, original.content);
+    }
+
+    const content = contents.get(snapshot.path);
+    if (content === null) {
+      conflicts.push({ file: snapshot.file, section: '(file missing)', diff: '' });
+      continue;
+    }
+
+    const result = restoreSnapshot(content, snapshot);
+    if (result.conflicts) {
+      conflicts.push(...result.conflicts);
+    } else {
+      contents.set(snapshot.path, result.content);
+    }
+  }
+
+  if (conflicts.length) return { status: 'conflict', files: [], conflicts };
+
+  const auditIds = new Map();
+  for (const [filePath, content] of contents) {
+    const { auditId } = writeKnowledgeFile(filePath, content, {
+      actor, itemId, action: 'revert', expectedHash: originals.get(filePath)
+    });
+    auditIds.set(filePath, auditId);
+  }
+  markSnapshotsReverted(
+    snapshots.map(s => ({ auditId: s.auditId, revertAuditId: auditIds.get(s.path) })),
+    actor
+  );
+
+  return { status: 'reverted', files: Array.from(new Set(snapshots.map(s => s.file))), conflicts: [] };
+}
+
+module.exports = {
+  hashContent,
+  readKnowledgeFile,
+  withWriteLock,
+  writeKnowledgeFile,
+  previewWrite,
+  revertItemWrites
+};
@@ -0,0 +1,317 @@
+/**
+ * Markdown Section Editor
+ *
+ * Parses a PKM markdown file into a heading tree and finds sections by
+ * heading path (e.g. ['決策脈絡'] or ['待辦追蹤', '等待回覆']) instead of
+ * searching for literal strings. Within a section it reads:
+ * - fields:  `**狀態**: 進行中` lines
+ * - tables:  pipe tables (header, separator, rows)
+ * - tasks:   `- [ ]` / `- [x]` list items
+ *
+ * Path elements match headings ignoring leading emoji and case, so
+ * "## 🧠 決策脈絡" matches '決策脈絡'; a RegExp element is tested against
+ * the raw heading text. The first element may match at any depth, each
+ * following one anywhere below the previous. A missing path throws an
+ * Error naming the file, the path and the last heading that was found.
+ *
+ * Editing helpers take the parsed doc and a section, and return the new
+ * file text with only the inserted or replaced lines changed.
+ */
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FIELD_PATTERN = /^\s*[-*]?\s*\*\*(.+?)\*\*\s*[:：]\s*(.*)$/;
+const TASK_PATTERN = /^\s*[-*]\s+\[([ xX])\]\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const RULE_PATTERN = /^\s*(-{3,}|\*{3,}|_{3,})\s*$/;
+
+/**
+ * Heading text for comparisons: no leading emoji/symbols, lowercase
+ * @param {string} title - Heading text
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return title.replace(/^[^\p{L}\p{N}]+/u, '').trim().toLowerCase();
+}
+
+/**
+ * Parse markdown into sections
+ * @param {string} text - Markdown
+ * @param {Object} [options]
+ * @param {string} [options.name='document'] - File name used in error messages
+ * @returns {Object} { name, lines, root, sections } where each section is
+ *   { title, level, line, end, parent, children }; `line` is the heading
+ *   line and `end` the first line after the section (both 0-based)
+ */
+function parseMarkdown(text, { name = 'document' } = {}) {
+  const lines = text.split('\n');
+  const root = { title: null, level: 0, line: -1, end: lines.length, parent: null, children: [] };
+  const sections = [];
+  const stack = [root];
+  let inCodeFence = false;
+
+  lines.forEach((line, index) => {
+    if (/^\s*```/.test(line)) inCodeFence = !inCodeFence;
+    const match = !inCodeFence && line.match(HEADING_PATTERN);
+    if (!match) return;
+
+    const level = match[1].length;
+    while (stack[stack.length - 1].level >= level) {
+      stack.pop().end = index;
+    }
+
+    const parent = stack[stack.length - 1];
+    const section = { title: match[2], level, line: index, end: lines.length, parent, children: [] };
+    parent.children.push(section);
+    sections.push(section);
+    stack.push(section);
+  });
+
+  return { name, lines, root, sections };
+}
+
+/**
+ * Whether a heading matches one path element
+ * @param {Object} section - Section
+ * @param {string|RegExp} element - Path element
+ * @returns {boolean}
+ */
+function titleMatches(section, element) {
+  return element instanceof RegExp
+    ? element.test(section.title)
+    : normalizeTitle(section.title) === normalizeTitle(element);
+}
+
+/**
+ * All sections below a section, in document order
+ * @param {Object} section - Section
+ * @returns {Array} Sections
+ */
+function descendants(section) {
+  return section.children.flatMap(child => [child, ...descendants(child)]);
+}
+
+/**
+ * Readable heading path, e.g. "待辦追蹤 › 等待回覆"
+ * @param {Array} path - Path elements
+ * @returns {string}
+ */
+function formatPath(path) {
+  return path.map(element => (element instanceof RegExp ? element.toString() : element)).join(' › ');
+}
+
+/**
+ * Find a section by heading path
+ * @param {Object} doc - From parseMarkdown()
+ * @param {Array<string|RegExp>} path - Heading path
+ * @returns {Object} Section
+ * @throws {Error} When no heading matches the path
+ */
+function findSection(doc, path) {
+  let deepest = null;
+  let deepestDepth = 0;
+
+  function search(scope, depth) {
+    if (depth === path.length) return scope;
+    for (const candidate of descendants(scope)) {
+      if (!titleMatches(candidate, path[depth])) continue;
+      if (depth + 1 > deepestDepth) {
+        deepest = candidate;
+        deepestDepth = depth + 1;
+      }
+      const found = search(candidate, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  const found = search(doc.root, 0);
+  if (found) return found;
+
+  const missing = path[deepestDepth];
+  const under = deepest ? ` under "${'#'.repeat(deepest.level)} ${deepest.title}"` : '';
+  throw new Error(
+    `Section "${formatPath(path)}" not found in ${doc.name}: no heading "${formatPath([missing])}"${under}`
+  );
+}
+
+/**
+ * Sections matching a predicate, in document order
+ * @param {Object} doc - From parseMarkdown()
+ * @param {Function} predicate - (section, doc) => boolean
+ * @returns {Array} Sections
+ */
+function findSections(doc, predicate) {
+  return doc.sections.filter(section => predicate(section, doc));
+}
+
+/**
+ * Line range of a section's own body (up to its first subsection)
+ * @param {Object} section - Section
+ * @returns {Array<number>} [start, end)
+ */
+function ownBody(section) {
+  const end = section.children.length ? section.children[0].line : section.end;
+  return [section.line + 1, end];
+}
+
+/**
+ * Read a `**key**: value` field from a section's own body
+ * @param {Object} doc - From parseMarkdown()
+ * @param {Object} section - Section
+ * @param {string} key - Field name, e.g. '狀態'
+ * @returns {Object|null} { value, line }
+ */
+function getField(doc, section, key) {
+  const [start, end] = ownBody(section);
+  for (let i = start; i < end; i++) {
+    const match = doc.lines[i].match(FIELD_PATTERN);
+    if (match && match[1].trim() === key) return { value: match[2].trim(), line: i };
+  }
+  return null;
+}
+
+/**
+ * Split a table row into trimmed cells
+ * @param {string} line - "| a | b |"
+ * @returns {Array<string>} Cells
+ */
+function parseTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Read the first pipe table in a section's own body
+ * @param {Object} doc - From parseMarkdown()
+ * @param {Object} section - Section
+ * @returns {Object|null} { header, rows: [{cells, line}], line, end }
+ */
+function getTable(doc, section) {
+  const [start, end] = ownBody(section);
+  for (let i = start; i < end - 1; i++) {
+    if (!doc.lines[i].trim().startsWith('|') || !TABLE_SEPARATOR_PATTERN.test(doc.lines[i + 1])) continue;
+
+    const rows = [];
+    let j = i + 2;
+    while (j < end && doc.lines[j].trim().startsWith('|')) {
+      rows.push({ cells: parseTableRow(doc.lines[j]), line: j });
+      j++;
+    }
+    return { header: parseTableRow(doc.lines[i]), rows, line: i, end: j };
+  }
+  return null;
+}
+
+/**
+ * Read task list items in a section's own body
+ * @param {Object} doc - From parseMarkdown()
+ * @param {Object} section - Section
+ * @returns {Array} [{done, text, line}]
+ */
+function getTasks(doc, section) {
+  const [start, end] = ownBody(section);
+  const tasks = [];
+  for (let i = start; i < end; i++) {
+    const match = doc.lines[i].match(TASK_PATTERN);
+    if (match) tasks.push({ done: match[1] !== ' ', text: match[2].trim(), line: i });
+  }
+  return tasks;
+}
+
+/**
+ * Replace lines and return the new text
+ * @param {Object} doc - From parseMarkdown()
+ * @param {number} index - First line to replace
+ * @param {number} count - Lines to remove
+ * @param {Array<string>} newLines - Lines to insert
+ * @returns {string} Text
+ */
+function spliceLines(doc, index, count, newLines) {
+  const lines = doc.lines.slice();
+  lines.splice(index, count, ...newLines);
+  return lines.join('\n');
+}
+
+/**
+ * "### HP" style label for error messages
+ * @param {Object} section - Section
+ * @returns {string}
+ */
+function sectionLabel(section) {
+  return section.level ? `${'#'.repeat(section.level)} ${section.title}` : '(top of file)';
+}
+
+/**
+ * Set a `**key**: value` field in a section
+ * @param {Object} doc - From parseMarkdown()
+ * @param {Object} section - Section (e.g. from findSection())
+ * @param {string} key - Field name
+ * @param {string} value - New value
+ * @returns {string} New text
+ * @throws {Error} When the section has no such field
+ */
+function setField(doc, section, key, value) {
+  const field = getField(doc, section, key);
+  if (!field) {
+    throw new Error(`"${sectionLabel(section)}" in ${doc.name} has no **${key}** field`);
+  }
+
+  const line = doc.lines[field.line];
+  const valueStart = line.length - line.match(FIELD_PATTERN)[2].length;
+  return spliceLines(doc, field.line, 1, [line.slice(0, valueStart) + value]);
+}
+
+/**
+ * Append a row to the first table in a section
+ * @param {Object} doc - From parseMarkdown()
+ * @param {Object} section - Section
+ * @param {Array<string>} cells - Cell values
+ * @returns {string} New text
+ * @throws {Error} When the section has no table
+ */
+function appendTableRow(doc, section, cells) {
+  const table = getTable(doc, section);
+  if (!table) {
+    throw new Error(`"${sectionLabel(section)}" in ${doc.name} has no table`);
+  }
+
+  const row = `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ')} |`;
+  return spliceLines(doc, table.end, 0, [row]);
+}
+
+/**
+ * Append lines at the end of a section (after its subsections, before
+ * trailing blank lines). Pass doc.root to append to the file.
+ * @param {Object} doc - From parseMarkdown()
+ * @param {Object} section - Section
+ * @param {string|Array<string>} block - Lines to insert
+ * @param {Object} [options]
+ * @param {boolean} [options.beforeRule=false] - Insert above a closing `---`
+ * @returns {string} New text
+ */
+function appendToSection(doc, section, block, { beforeRule = false } = {}) {
+  const newLines = Array.isArray(block) ? block : block.split('\n');
+  const bodyStart = section.line + 1;
+  const isBlank = i => doc.lines[i].trim() === '';
+
+  let insertAt = section.end;
+  while (insertAt > bodyStart && isBlank(insertAt - 1)) insertAt--;
+  if (beforeRule && insertAt > bodyStart && RULE_PATTERN.test(doc.lines[insertAt - 1])) {
+    insertAt--;
+    while (insertAt > bodyStart && isBlank(insertAt - 1)) insertAt--;
+  }
+
+  return spliceLines(doc, insertAt, 0, newLines);
+}
+
+module.exports = {
+  parseMarkdown,
+  normalizeTitle,
+  findSection,
+  findSections,
+  getField,
+  getTable,
+  getTasks,
+  setField,
+  appendTableRow,
+  appendToSection
+};
@@ -0,0 +1,145 @@
+/**
+ * Memory Retrieval for KITT Answers
+ *
+ * Ranks approved memories (storage/memory.js) against a question by
+ * term overlap (same tokenizer as the knowledge base index) with a
+ * recency boost, so recent decisions outrank stale ones.
+ * Superseded and expired memories are never returned.
+ *
+ * Also flags likely conflicts when a new memory is approved, so the
+ * admin can mark the older one superseded.
+ */
+
+const { tokenize, termFrequencies } = require('./tokenizer');
+const { getActiveMemories } = require('../storage/memory');
+
+// How many recent memories to consider per question
+const CANDIDATE_POOL = 300;
+// Recency boost half-life in days
+const RECENCY_HALF_LIFE_DAYS = 30;
+// Extra weight for memories from the channel the question was asked in
+const CHANNEL_BOOST = 1.3;
+// Minimum similarity for an existing memory to be flagged as a conflict
+const CONFLICT_THRESHOLD = 0.3;
+
+/**
+ * Parse a SQLite datetime('now') string (UTC) into a Date
+ * @param {string} value - 'YYYY-MM-DD HH:MM:SS'
+ * @returns {Date|null}
+ */
+function parseSqliteDate(value) {
+  if (!value) return null;
+  const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Retrieve approved memories relevant to a question
+ * @param {string} question - User question
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Max memories to return
+ * @param {Array<string>} [options.channels] - Only memories from these channels
+ *   (names or IDs); omit to search every channel
+ * @param {Array<string>} [options.boostChannels] - Prefer memories from these channels
+ * @returns {Array} Memories with a `score` field, best first
+ */
+function retrieveMemories(question, options = {}) {
+  const { limit = 5, channels, boostChannels = [] } = options;
+  const queryTerms = Array.from(new Set(tokenize(question)));
+  if (queryTerms.length === 0) return [];
+
+  let memories = getActiveMemories(CANDIDATE_POOL);
+  if (channels) {
+    const visible = new Set(channels.filter(Boolean));
+    memories = memories.filter(mem => visible.has(mem.channel));
+  }
+  if (memories.length === 0) return [];
+
+  // Document frequencies across the pool (for IDF)
+  const docs = memories.map(mem => termFrequencies(tokenize(
+    [mem.content, mem.context, (mem.tags || []).join(' ')].filter(Boolean).join('\n')
+  )));
+  const df = Object.create(null);
+  for (const tf of docs) {
+    for (const term of Object.keys(tf)) df[term] = (df[term] || 0) + 1;
+  }
+
+  const now = Date.now();
+  const results = [];
+
+  memories.forEach((mem, i) => {
+    let score = 0;
+    for (const term of queryTerms) {
+      if (!Object.hasOwn(docs[i], term)) continue;
+      const tf = docs[i][term];
+      score += (1 + Math.log(tf)) * Math.log(1 + memories.length / df[term]);
+    }
+    if (score <= 0) return;
+
+    const created = parseSqliteDate(mem.approved_at || mem.created_at);
+    const ageDays = created ? Math.max(0, (now - created.getTime()) / 86400000) : RECENCY_HALF_LIFE_DAYS;
+    score *= 1 + Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+
+    if (boostChannels.filter(Boolean).includes(mem.channel)) {
+      score *= CHANNEL_BOOST;
+    }
+
+    results.push({ ...mem, score });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Jaccard similarity of two term lists
+ * @param {Array<string>} a - Terms
+ * @param {Array<string>} b - Terms
+ * @returns {number} 0..1
+ */
+function jaccard(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let shared = 0;
+  for (const term of setA) {
+    if (setB.has(term)) shared++;
+  }
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Find active memories a new memory likely contradicts or restates:
+ * same type or overlapping tags, with similar wording.
+ * @param {Object} memory - New memory ({ id, type, content, tags })
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludeIds] - Memories to ignore (e.g. same approval batch)
+ * @param {number} [options.limit=3] - Max conflicts
+ * @returns {Array} Existing memories with a `similarity` field, most similar first
+ */
+function findConflictingMemories(memory, options = {}) {
+  const { excludeIds = [], limit = 3 } = options;
+  const terms = tokenize(memory.content);
+  const tags = new Set((memory.tags || []).map(tag => tag.toLowerCase()));
+
+  const conflicts = [];
+  for (const existing of getActiveMemories(CANDIDATE_POOL)) {
+    if (existing.id === memory.id || excludeIds.includes(existing.id)) continue;
+
+    const sameType = existing.type === memory.type;
+    const sharedTags = (existing.tags || []).filter(tag => tags.has(tag.toLowerCase()));
+    if (!sameType && sharedTags.length === 0) continue;
+
+    const similarity = jaccard(terms, tokenize(existing.content))
+      + (sharedTags.length > 0 ? 0.15 : 0)
+      + (sameType ? 0.05 : 0);
+
+    if (similarity >= CONFLICT_THRESHOLD) {
+      conflicts.push({ ...existing, similarity });
+    }
+  }
+
+  return conflicts.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+}
+
+module.exports = { retrieveMemories, findConflictingMemories, parseSqliteDate };
@@ -0,0 +1,156 @@
+/**
+ * AI Provider Health Tracking (Circuit Breaker)
+ *
+ * Tracks consecutive failures and latency per provider so callAI can
+ * skip providers that keep failing instead of paying their full timeout
+ * on every request.
+ *
+ * States:
+ *   closed    - healthy, requests go through
+ *   open      - failing, skipped until the cooldown window passes
+ *   half-open - cooldown passed, a single probe request is allowed;
+ *               success closes the circuit, failure re-opens it
+ *               with a doubled cooldown (capped at maxCooldownMs)
+ */
+
+const AI_CONFIG = require('../services/ai-config');
+
+const health = new Map();
+
+/**
+ * Get (or create) health state for a provider
+ * @param {string} name - Provider name
+ * @returns {Object} Mutable health state
+ */
+function getState(name) {
+  if (!health.has(name)) {
+    health.set(name, {
+      name,
+      state: 'closed',
+      consecutiveFailures: 0,
+      cooldownMs: AI_CONFIG.circuitBreaker.cooldownMs,
+      cooldownUntil: null,
+      probeInFlight: false,
+      lastLatencyMs: null,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      totalCalls: 0,
+      totalFailures: 0
+    });
+  }
+  return health.get(name);
+}
+
+/**
+ * Check whether a provider may be called right now.
+ * Moves an open circuit to half-open once its cooldown has passed.
+ * @param {string} name - Provider name
+ * @returns {boolean} True if the call should be attempted
+ */
+function canAttempt(name) {
+  const s = getState(name);
+
+  if (s.state === 'closed') return true;
+
+  if (s.state === 'open') {
+    if (Date.now() < s.cooldownUntil) return false;
+    s.state = 'half-open';
+    s.probeInFlight = true;
+    console.log(`[AI Health] ${name}: half-open, sending probe`);
+    return true;
+  }
+
+  // half-open: only one probe at a time
+  if (s.probeInFlight) return false;
+  s.probeInFlight = true;
+  return true;
+}
+
+/**
+ * Record a successful call
+ * @param {string} name - Provider name
+ * @param {number} latencyMs - Call duration
+ */
+function recordSuccess(name, latencyMs) {
+  const s = getState(name);
+
+  if (s.state !== 'closed') {
+    console.log(`[AI Health] ${name}: recovered, circuit closed`);
+  }
+
+  s.state = 'closed';
+  s.consecutiveFailures = 0;
+  s.cooldownMs = AI_CONFIG.circuitBreaker.cooldownMs;
+  s.cooldownUntil = null;
+  s.probeInFlight = false;
+  s.lastLatencyMs = latencyMs;
+  s.lastSuccessAt = Date.now();
+  s.totalCalls++;
+}
+
+/**
+ * Record a failed call and open the circuit if needed
+ * @param {string} name - Provider name
+ * @param {number} latencyMs - Call duration
+ * @param {Error} error - The failure
+ */
+function recordFailure(name, latencyMs, error) {
+  const s = getState(name);
+  const { failureThreshold, maxCooldownMs } = AI_CONFIG.circuitBreaker;
+
+  s.consecutiveFailures++;
+  s.lastLatencyMs = latencyMs;
+  s.lastError = error ? error.message : 'unknown error';
+  s.lastFailureAt = Date.now();
+  s.totalCalls++;
+  s.totalFailures++;
+
+  if (s.state === 'half-open') {
+    // Probe failed → back to open with a longer cooldown
+    s.cooldownMs = Math.min(s.cooldownMs * 2, maxCooldownMs);
+    openCircuit(s);
+  } else if (s.state === 'closed' && s.consecutiveFailures >= failureThreshold) {
+    openCircuit(s);
+  }
+}
+
+/**
+ * Open the circuit for the current cooldown window
+ * @param {Object} s - Health state
+ */
+function openCircuit(s) {
+  s.state = 'open';
+  s.probeInFlight = false;
+  s.cooldownUntil = Date.now() + s.cooldownMs;
+  console.warn(`[AI Health] ${s.name}: circuit open for ${Math.round(s.cooldownMs / 1000)}s after ${s.consecutiveFailures} failures`);
+}
+
+/**
+ * Get a snapshot of all provider health states
+ * @returns {Array} Health states (copies)
+ */
+function getHealthSnapshot() {
+  return Array.from(health.values()).map(s => ({ ...s }));
+}
+
+/**
+ * Reset health state (all providers, or one)
+ * @param {string} [name] - Provider name
+ */
+function resetHealth(name) {
+  if (name) {
+    health.delete(name);
+  } else {
+    health.clear();
+  }
+}
+
+module.exports = {
+  canAttempt,
+  recordSuccess,
+  recordFailure,
+  getState,
+  getHealthSnapshot,
+  resetHealth
+};
@@ -0,0 +1,198 @@
+/**
+ * Review Inbox
+ *
+ * One list of everything waiting for an admin decision:
+ * - quick updates (/kitt update, DM-detected)  → approve_update_ / edit_update_ / reject_update_
+ * - KB Manager submissions (App Home)          → kb_approve_ / kb_edit_ / kb_reject_
+ * - memory candidates ("@KITT 記住")           → approve_memory_ / edit_memory_ / reject_memory_
+ *
+ * Buttons reuse each item's existing action handler, so the inbox only
+ * has to list and render.
+ */
+
+const { getPendingUpdates } = require('../storage/updates');
+const { getPendingCandidates } = require('../storage/memory');
+const { getUpdateResource, MEMORY_RESOURCE } = require('./auth');
+const { getApprovalState, formatApprovalState } = require('./approval-policy');
+
+const KIND_BADGES = {
+  update: '⚡ Update',
+  kb: '📚 KB',
+  memory: '🧠 Memory'
+};
+
+/**
+ * Parse a stored timestamp (ISO string or SQLite UTC datetime)
+ * @param {string} value - Timestamp
+ * @returns {Date}
+ */
+function parseTimestamp(value) {
+  if (!value) return new Date(NaN);
+  return new Date(/T/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Human-readable age ("5m", "3h", "2d")
+ * @param {Date} date - When the item was submitted
+ * @param {number} [now] - Current time in ms
+ * @returns {string}
+ */
+function formatAge(date, now = Date.now()) {
+  const minutes = Math.floor((now - date.getTime()) / 60000);
+  if (isNaN(minutes)) return '?';
+  if (minutes < 60) return `${Math.max(minutes, 0)}m`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h`;
+  return `${Math.floor(minutes / (60 * 24))}d`;
+}
+
+/**
+ * Truncate text for a one-line summary
+ * @param {string} text - Text
+ * @param {number} max - Max characters
+ * @returns {string}
+ */
+function truncate(text, max) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? clean.substring(0, max - 1) + '…' : clean;
+}
+
+/**
+ * Collect all pending review items, oldest first.
+ * Filter with can(userId, 'review', item.resource) before showing them.
+ * @returns {Array} [{kind, id, type, summary, submittedBy, submittedAt, resource, approvals, actions: {approve, edit, reject}}]
+ */
+function getInboxItems() {
+  const items = [];
+
+  for (const update of getPendingUpdates({ kind: 'quick' })) {
+    items.push({
+      kind: 'update',
+      id: update.id,
+      type: update.type,
+      summary: `${update.target || '—'} → ${truncate(update.value, 150)}`,
+      submittedBy: update.submittedBy,
+      submittedAt: parseTimestamp(update.submittedAt),
+      resource: getUpdateResource(update),
+      approvals: formatApprovalState(getApprovalState(update)),
+      actions: {
+        approve: { action_id: `approve_update_${update.id}` },
+        edit: { action_id: `edit_update_${update.id}` },
+        reject: { action_id: `reject_update_${update.id}` }
+      }
+    });
+  }
+
+  for (const update of getPendingUpdates({ kind: 'kb' })) {
+    items.push({
+      kind: 'kb',
+      id: update.id,
+      type: update.type,
+      summary: truncate(update.value, 150),
+      submittedBy: update.submittedBy,
+      submittedAt: parseTimestamp(update.submittedAt),
+      resource: getUpdateResource(update),
+      approvals: formatApprovalState(getApprovalState(update)),
+      actions: {
+        approve: { action_id: `kb_approve_${update.id}`, value: update.id },
+        edit: { action_id: `kb_edit_${update.id}`, value: update.id },
+        reject: { action_id: `kb_reject_${update.id}`, value: update.id }
+      }
+    });
+  }
+
+  for (const candidate of getPendingCandidates()) {
+    const memories = candidate.extractedMemories;
+    const first = memories[0] ? truncate(memories[0].content, 120) : '(no memories)';
+
+    items.push({
+      kind: 'memory',
+      id: candidate.id,
+      type: `${memories.length} item${memories.length === 1 ? '' : 's'} · #${candidate.channel_name || candidate.channel}`,
+      summary: memories.length > 1 ? `${first} (+${memories.length - 1} more)` : first,
+      submittedBy: candidate.submitted_by,
+      submittedAt: parseTimestamp(candidate.submitted_at),
+      resource: MEMORY_RESOURCE,
+      actions: {
+        approve: { action_id: `approve_memory_${candidate.id}` },
+        edit: { action_id: `edit_memory_${candidate.id}` },
+        reject: { action_id: `reject_memory_${candidate.id}` }
+      }
+    });
+  }
+
+  return items.sort((a, b) => (a.submittedAt.getTime() || 0) - (b.submittedAt.getTime() || 0));
+}
+
+/**
+ * Count pending items per kind
+ * @param {Array} [items] - From getInboxItems()
+ * @returns {Object} { total, update, kb, memory }
+ */
+function countInboxItems(items = getInboxItems()) {
+  const counts = { total: items.length, update: 0, kb: 0, memory: 0 };
+  for (const item of items) counts[item.kind]++;
+  return counts;
+}
+
+/**
+ * Render inbox items as Block Kit (section + action buttons per item)
+ * @param {Array} items - From getInboxItems()
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Max items to render (Slack caps blocks per message/view)
+ * @returns {Array} Block Kit blocks
+ */
+function buildInboxBlocks(items, options = {}) {
+  const { limit = 10 } = options;
+  const counts = countInboxItems(items);
+
+  const blocks = [{
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `*📥 Review Inbox* (${counts.total})\n${KIND_BADGES.update}: ${counts.update} · ${KIND_BADGES.kb}: ${counts.kb} · ${KIND_BADGES.memory}: ${counts.memory}`
+    }
+  }];
+
+  if (items.length === 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: '✅ _Nothing waiting for review._' }]
+    });
+    return blocks;
+  }
+
+  for (const item of items.slice(0, limit)) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `\`${KIND_BADGES[item.kind]}\` *${item.type}* · ${item.summary}\n_<@${item.submittedBy}> · ${formatAge(item.submittedAt)} ago · \`${item.id}\`_${item.approvals ? `\n${item.approvals}` : ''}`
+      }
+    });
+    blocks.push({
+      type: 'actions',
+      elements: [
+        { type: 'button', text: { type: 'plain_text', text: '✅ Approve' }, style: 'primary', ...item.actions.approve },
+        { type: 'button', text: { type: 'plain_text', text: '✏️ Edit' }, ...item.actions.edit },
+        { type: 'button', text: { type: 'plain_text', text: '❌ Reject' }, style: 'danger', ...item.actions.reject }
+      ]
+    });
+  }
+
+  if (items.length > limit) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `_…and ${items.length - limit} more (oldest shown first)._` }]
+    });
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  getInboxItems,
+  countInboxItems,
+  buildInboxBlocks,
+  formatAge,
+  KIND_BADGES
+};
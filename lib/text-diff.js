@@ -0,0 +1,175 @@
+/**
+ * Line-based unified diff
+ *
+ * Knowledge base writes usually touch a few lines in the middle of a long
+ * file, so the common prefix/suffix is trimmed first and only the changed
+ * middle goes through the LCS table. A middle too large for the table is
+ * reported as a whole-block replacement.
+ */
+
+const DEFAULT_CONTEXT = 3;
+
+// LCS table cells (rows × columns) before falling back to replace-all
+const MAX_LCS_CELLS = 2000000;
+
+/**
+ * Split text into lines (a trailing newline does not add an empty line)
+ * @param {string} text - Text
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Edit script between two line arrays
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array} [{op: ' ' | '-' | '+', line}]
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(line => ({ op: ' ', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    midA.forEach(line => ops.push({ op: '-', line }));
+    midB.forEach(line => ops.push({ op: '+', line }));
+  } else {
+    ops.push(...lcsOps(midA, midB));
+  }
+
+  a.slice(endA).forEach(line => ops.push({ op: ' ', line }));
+  return ops;
+}
+
+/**
+ * Longest-common-subsequence edit script
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array} [{op, line}]
+ */
+function lcsOps(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      ops.push({ op: '-', line: a[i++] });
+    } else {
+      ops.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: '-', line: a[i++] });
+  while (j < m) ops.push({ op: '+', line: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Unified diff of two texts
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @param {Object} [options]
+ * @param {string} [options.fromFile='a'] - Old file label
+ * @param {string} [options.toFile='b'] - New file label
+ * @param {number} [options.context=3] - Context lines around changes
+ * @returns {string} Diff, or '' when the texts are identical
+ */
+function unifiedDiff(before, after, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = DEFAULT_CONTEXT } = options;
+  const ops = diffLines(splitLines(before), splitLines(after));
+
+  const changed = ops.map((o, index) => (o.op !== ' ' ? index : -1)).filter(index => index !== -1);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  let hunk = null;
+  for (const index of changed) {
+    if (hunk && index - hunk.end <= context * 2) {
+      hunk.end = index;
+    } else {
+      hunk = { start: index, end: index };
+      hunks.push(hunk);
+    }
+  }
+
+  // Line numbers (1-based) of each op in the old and new text
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const o of ops) {
+    positions.push({ oldLine, newLine });
+    if (o.op !== '+') oldLine++;
+    if (o.op !== '-') newLine++;
+  }
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const { start, end } of hunks) {
+    const from = Math.max(0, start - context);
+    const to = Math.min(ops.length - 1, end + context);
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter(o => o.op !== '+').length;
+    const newCount = slice.filter(o => o.op !== '-').length;
+    const oldStart = oldCount ? positions[from].oldLine : positions[from].oldLine - 1;
+    const newStart = newCount ? positions[from].newLine : positions[from].newLine - 1;
+
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(o => out.push(`${o.op}${o.line}`));
+  }
+
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Count added / removed lines in a unified diff
+ * @param {string} diff - Unified diff
+ * @returns {Object} { added, removed }
+ */
+function diffStats(diff) {
+  let added = 0;
+  let removed = 0;
+  // Skip the ---/+++ header; markdown rules ("---") can appear as content
+  for (const line of splitLines(diff).slice(2)) {
+    if (line.startsWith('+')) added++;
+    else if (line.startsWith('-')) removed++;
+  }
+  return { added, removed };
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff,
+  diffStats
+};
@@ -114,6 +114,7 @@ ${formattedMessages}
 - content: 記憶內容（簡潔明確）
 - context: 相關脈絡（可選）
 - tags: 標籤陣列（可選）
+- valid_until: 有效期限 YYYY-MM-DD（可選，只在內容明確有時效時填寫，例如限時優惠、某日前的目標）
 
 範例：
 [
@@ -180,7 +181,7 @@ function parseAIResponse(response) {
 /**
  * Analyze a thread and extract memories
  * @param {Object} client - Slack client
- * @param {Function} callAI - AI call function
+ * @param {Function} callAI - AI call function (prompt, { task }) → text
  * @param {string} channel - Channel ID
  * @param {string} threadTs - Thread timestamp
  * @param {string} submittedBy - User who requested
@@ -224,7 +225,7 @@ async function analyzeThread(client, callAI, channel, threadTs, submittedBy) {
   const prompt = buildExtractionPrompt(formattedMessages, channelName);
 
   try {
-    const aiResponse = await callAI(prompt, 1500);
+    const aiResponse = await callAI(prompt, { task: 'extraction' });
     console.log(`[ThreadAnalyzer] AI response length: ${aiResponse.length}`);
 
     // Parse extracted memories
@@ -0,0 +1,63 @@
+/**
+ * Text Tokenizer for Search
+ *
+ * Mixed Chinese/English tokenizer used by the knowledge base index
+ * and memory retrieval:
+ * - Latin words / numbers → lowercase terms
+ * - CJK runs → overlapping bigrams (single characters for 1-char runs)
+ */
+
+const CJK_RUN = /[㐀-䶿一-鿿豈-﫿぀-ヿ가-힯]+/g;
+const LATIN_WORD = /[a-z0-9][a-z0-9_\-.]*[a-z0-9]|[a-z0-9]/g;
+
+// Very common words that add noise to scoring
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'is', 'are', 'was',
+  'be', 'it', 'this', 'that', 'with', 'what', 'how', 'about', 'me', 'we', 'our',
+  '的', '了', '是', '嗎', '呢', '我', '你', '在', '有', '和'
+]);
+
+/**
+ * Tokenize text into search terms
+ * @param {string} text - Input text
+ * @returns {Array<string>} Terms (with duplicates, in order)
+ */
+function tokenize(text) {
+  if (!text) return [];
+
+  const lower = text.toLowerCase();
+  const terms = [];
+
+  for (const word of lower.replace(CJK_RUN, ' ').match(LATIN_WORD) || []) {
+    if (!STOPWORDS.has(word)) terms.push(word);
+  }
+
+  for (const run of lower.match(CJK_RUN) || []) {
+    if (run.length === 1) {
+      if (!STOPWORDS.has(run)) terms.push(run);
+      continue;
+    }
+    for (let i = 0; i < run.length - 1; i++) {
+      terms.push(run.slice(i, i + 2));
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Count term frequencies
+ * Prototype-free, so terms like "constructor" are counted, not looked up
+ * on Object.prototype
+ * @param {Array<string>} terms - Terms from tokenize()
+ * @returns {Object} term → count
+ */
+function termFrequencies(terms) {
+  const tf = Object.create(null);
+  for (const term of terms) {
+    tf[term] = (tf[term] || 0) + 1;
+  }
+  return tf;
+}
+
+module.exports = { tokenize, termFrequencies };
@@ -0,0 +1,121 @@
+/**
+ * AI Provider Configuration
+ * 設定 AI provider（依 fallback 順序）與各呼叫點的 task profile
+ *
+ * Task profile 決定 model / temperature / token 上限，
+ * 調整模型只需改這裡或設定環境變數，不需要動 bot.js。
+ */
+
+/**
+ * Parse per-provider model overrides from an env var.
+ * Format: "CLIProxyAPI=gemini-2.5-flash-lite,Ollama=qwen2.5:1.5b"
+ * A bare value (no "=") applies to the first provider (CLIProxyAPI).
+ * @param {string} name - Environment variable name
+ * @returns {Object} Map of provider name → model
+ */
+function envModels(name) {
+  const raw = process.env[name];
+  if (!raw) return {};
+
+  const models = {};
+  for (const part of raw.split(',').map(p => p.trim()).filter(Boolean)) {
+    const eq = part.indexOf('=');
+    if (eq === -1) {
+      models.CLIProxyAPI = part;
+    } else {
+      models[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
+    }
+  }
+  return models;
+}
+
+const AI_CONFIG = {
+  // Provider 清單（順序 = fallback 順序）
+  providers: [
+    {
+      // CLIProxyAPI - Unified AI proxy (OAuth + API keys)
+      // Supports: gemini-2.5-flash, claude-haiku-4-5, gpt-4o-mini, etc.
+      name: 'CLIProxyAPI',
+      type: 'openai-compatible',
+      enabled: true,
+      baseUrl: process.env.CLIPROXY_URL || 'http://127.0.0.1:8317',
+      apiKey: process.env.CLIPROXY_API_KEY || 'magi-proxy-key-2026',
+      model: process.env.CLIPROXY_MODEL || 'gemini-2.5-flash'  // OAuth model, no quota limits
+    },
+    {
+      name: 'OpenAI',
+      type: 'openai-compatible',
+      enabled: Boolean(process.env.OPENAI_API_KEY),
+      baseUrl: 'https://api.openai.com',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    },
+    {
+      name: 'Gemini',
+      type: 'gemini',
+      enabled: Boolean(process.env.GEMINI_API_KEY),
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-2.0-flash'
+    },
+    {
+      // Local fallback
+      name: 'Ollama',
+      type: 'ollama',
+      enabled: true,
+      baseUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_MODEL || 'qwen2.5:3b'
+    }
+  ],
+
+  // Circuit breaker：連續失敗 N 次後暫停使用該 provider，冷卻後送一次探測請求
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.AI_FAILURE_THRESHOLD) || 3,
+    cooldownMs: parseInt(process.env.AI_COOLDOWN_MS) || 60 * 1000,   // 1 分鐘
+    maxCooldownMs: 10 * 60 * 1000                                     // 探測失敗時倍增，上限 10 分鐘
+  },
+
+  // Task profiles（每個呼叫點一個）
+  // models: provider name → model，未指定則用 provider 預設 model
+  // providers: 限定使用的 provider（依順序），未指定則用全部
+  // timeoutMs: 單次 provider 請求上限（含串流），逾時算失敗並換下一個 provider
+  profiles: {
+    default: {
+      temperature: 0.3,
+      maxTokens: 300,
+      timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 30 * 1000
+    },
+    // detectKnowledgeUpdateIntent_LLM - YES/NO 分類，用便宜模型
+    intent: {
+      temperature: 0,
+      maxTokens: 10,
+      timeoutMs: 10 * 1000,
+      models: envModels('AI_MODELS_INTENT')
+    },
+    // analyzeThread - 記憶擷取，需要較強模型
+    extraction: {
+      temperature: 0.2,
+      maxTokens: 1500,
+      timeoutMs: 90 * 1000,
+      models: envModels('AI_MODELS_EXTRACTION')
+    },
+    translation: {
+      temperature: 0.3,
+      maxTokens: 500,
+      models: envModels('AI_MODELS_TRANSLATION')
+    },
+    // generateAIResponse - 一般問答
+    chat: {
+      temperature: 0.3,
+      maxTokens: 500,
+      models: envModels('AI_MODELS_CHAT')
+    },
+    heartbeat: {
+      temperature: 0.3,
+      maxTokens: 1024,
+      timeoutMs: 60 * 1000,
+      models: envModels('AI_MODELS_HEARTBEAT')
+    }
+  }
+};
+
+module.exports = AI_CONFIG;
@@ -1,10 +1,243 @@
 /**
  * Knowledge Base Manager - Configuration
  * 配置 NotebookLM 同步和知識庫設定
+ *
+ * 知識庫根目錄、文件清單（含 role）和各 update type 寫入哪個文件 / section
+ * 定義在 kb.config.json（可用 KITT_KB_CONFIG 指定別的檔案，例如測試用的 fixture vault）。
+ * 啟動時載入並驗證，有錯就列出所有問題並拋錯。
  */
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../kb.config.json');
+
+// 程式會用到的文件 role（也是 bot.js 記憶體中 knowledgeBase 的 key）
+const DOCUMENT_ROLES = {
+  product: 'Product overview (App Home intro, AI context)',
+  customers: 'OEM pipeline (/kitt oem, oem updates)',
+  roadmap: 'Roadmap (App Home)',
+  priorities: 'Priorities (App Home, heartbeat)',
+  resources: 'Resources (App Home)',
+  pmMemory: 'PM memory log: decisions and pending replies'
+};
+
+// /kitt update 的類型與各自需要的寫入位置：field = 目標標題下的欄位，section = 標題路徑
+const QUICK_UPDATE_TYPES = {
+  oem: 'field',
+  pending: 'section',
+  contact: 'section',
+  admin_correction: 'section'
+};
+
+/**
+ * "~/x" → $HOME/x; relative paths are relative to the config file
+ * @param {string} value - Path from the config
+ * @param {string} baseDir - Directory of the config file
+ * @returns {string} Absolute path
+ */
+function resolvePath(value, baseDir) {
+  if (value === '~' || value.startsWith('~/')) {
+    return path.join(process.env.HOME || os.homedir(), value.slice(1));
+  }
+  return path.resolve(baseDir, value);
+}
+
+/**
+ * A heading path: "決策脈絡" or ["待辦追蹤", "等待回覆"]
+ * @param {*} value - Config value
+ * @returns {boolean}
+ */
+function isSectionPath(value) {
+  return typeof value === 'string'
+    ? value.trim() !== ''
+    : Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim() !== '');
+}
+
+/**
+ * Check a parsed config and list every problem
+ * @param {Object} raw - Parsed kb.config.json
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateKbConfig(raw) {
+  const problems = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return ['the file must contain a JSON object'];
+  }
+
+  if (typeof raw.root !== 'string' || raw.root.trim() === '') {
+    problems.push('root: must be the knowledge base directory (e.g. "~/Dropbox/PKM-Vault/Product")');
+  }
+
+  const files = new Set();
+  const roles = new Set();
+  if (!Array.isArray(raw.documents) || raw.documents.length === 0) {
+    problems.push('documents: must be a non-empty list of { "file": "x.md", "role": "..." }');
+  } else {
+    raw.documents.forEach((doc, i) => {
+      const where = `documents[${i}]`;
+      if (!doc || typeof doc.file !== 'string' || !/^[^/\\]+\.md$/i.test(doc.file)) {
+        problems.push(`${where}.file: must be a markdown file name inside root, got ${JSON.stringify(doc && doc.file)}`);
+        return;
+      }
+      if (files.has(doc.file)) problems.push(`${where}.file: "${doc.file}" is listed twice`);
+      files.add(doc.file);
+
+      if (doc.role === undefined || doc.role === null) return;
+      if (!DOCUMENT_ROLES[doc.role]) {
+        problems.push(`${where}.role: unknown role "${doc.role}" (expected one of ${Object.keys(DOCUMENT_ROLES).join(', ')})`);
+      } else if (roles.has(doc.role)) {
+        problems.push(`${where}.role: role "${doc.role}" is already assigned to another document`);
+      }
+      roles.add(doc.role);
+    });
+  }
+
+  if (raw.sources !== undefined) {
+    if (!Array.isArray(raw.sources)) {
+      problems.push('sources: must be a list of { "dir": "...", "include": [globs], "exclude": [globs] }');
+    } else {
+      raw.sources.forEach((source, i) => {
+        const where = `sources[${i}]`;
+        if (!source || typeof source.dir !== 'string' || !source.dir.trim()) {
+          problems.push(`${where}.dir: must be a folder (relative to root, or ~/…)`);
+        }
+        for (const key of ['include', 'exclude']) {
+          const globs = source && source[key];
+          if (globs !== undefined && !(Array.isArray(globs) && globs.every(g => typeof g === 'string' && g.trim()))) {
+            problems.push(`${where}.${key}: must be a list of globs such as "**/*.md"`);
+          }
+        }
+      });
+    }
+  }
+
+  const quickUpdates = raw.quick_updates;
+  if (!quickUpdates || typeof quickUpdates !== 'object' || Array.isArray(quickUpdates)) {
+    problems.push(`quick_updates: must map each of ${Object.keys(QUICK_UPDATE_TYPES).join(', ')} to { "document": role, "section" | "field" }`);
+  } else {
+    for (const type of Object.keys(quickUpdates)) {
+      if (!QUICK_UPDATE_TYPES[type]) {
+        problems.push(`quick_updates.${type}: unknown update type (expected ${Object.keys(QUICK_UPDATE_TYPES).join(', ')})`);
+      }
+    }
+    for (const [type, needs] of Object.entries(QUICK_UPDATE_TYPES)) {
+      const where = `quick_updates.${type}`;
+      const route = quickUpdates[type];
+      if (!route || typeof route !== 'object') {
+        problems.push(`${where}: missing`);
+        continue;
+      }
+      if (!roles.has(route.document)) {
+        problems.push(`${where}.document: "${route.document}" is not the role of any document`);
+      }
+      if (needs === 'section' && !isSectionPath(route.section)) {
+        problems.push(`${where}.section: must be a heading or a list of headings`);
+      }
+      if (needs === 'field' && (typeof route.field !== 'string' || !route.field.trim())) {
+        problems.push(`${where}.field: must be a field name such as "狀態"`);
+      }
+    }
+  }
+
+  const values = new Set();
+  if (!Array.isArray(raw.update_types) || raw.update_types.length === 0) {
+    problems.push('update_types: must be a non-empty list of { "value", "label", "target_file", "section" }');
+  } else {
+    raw.update_types.forEach((type, i) => {
+      const where = `update_types[${i}]`;
+      if (!type || typeof type.value !== 'string' || !/^[a-z0-9_-]+$/.test(type.value)) {
+        problems.push(`${where}.value: must be a lowercase identifier, got ${JSON.stringify(type && type.value)}`);
+        return;
+      }
+      if (values.has(type.value)) problems.push(`${where}.value: "${type.value}" is listed twice`);
+      values.add(type.value);
+
+      if (typeof type.label !== 'string' || !type.label.trim()) {
+        problems.push(`${where}.label: required`);
+      }
+      if (type.target_file === null || type.target_file === undefined) return;
+      if (!files.has(type.target_file)) {
+        problems.push(`${where}.target_file: "${type.target_file}" is not in documents`);
+      }
+      if (type.section !== null && type.section !== undefined && !isSectionPath(type.section)) {
+        problems.push(`${where}.section: must be a heading or a list of headings`);
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Load and validate kb.config.json
+ * @param {string} configPath - Path of the config file
+ * @returns {Object} { config_path, local: { pm_dir }, documents, sources, quick_updates, update_types };
+ *   quick_updates maps each type to { document, file, section, field }
+ * @throws {Error} Listing every problem, when the file is missing or invalid
+ */
+function loadKbConfig(configPath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read knowledge base config ${configPath}: ${error.message}`);
+  }
+
+  const problems = validateKbConfig(raw);
+  if (problems.length) {
+    throw new Error(`Invalid knowledge base config ${configPath}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  }
+
+  const root = resolvePath(raw.root, path.dirname(configPath));
+  if (!fs.existsSync(root)) {
+    console.warn(`⚠️  Knowledge base root ${root} does not exist (from ${configPath})`);
+  }
+
+  // Documents without a role are still loaded and searchable, keyed by file name
+  const documents = raw.documents.map(doc => ({
+    key: doc.role || doc.file,
+    role: doc.role || null,
+    file: doc.file,
+    path: path.join(root, doc.file)
+  }));
+
+  // Folders scanned for more documents (lib/kb-sources.js); dir is relative to root
+  const sources = (raw.sources || []).map(source => ({
+    dir: resolvePath(source.dir, root),
+    include: source.include || ['**/*.md'],
+    exclude: source.exclude || []
+  }));
+
+  const quickUpdates = {};
+  for (const [type, route] of Object.entries(raw.quick_updates)) {
+    quickUpdates[type] = {
+      document: route.document,
+      file: documents.find(d => d.role === route.document).file,
+      section: route.section ? [].concat(route.section) : null,
+      field: route.field || null
+    };
+  }
+
+  const updateTypes = raw.update_types.map(type => ({
+    value: type.value,
+    label: type.label,
+    description: type.description || '',
+    target_file: type.target_file || null,
+    section: type.section ? [].concat(type.section) : null
+  }));
+
+  return {
+    config_path: configPath,
+    local: { pm_dir: root },
+    documents,
+    sources,
+    quick_updates: quickUpdates,
+    update_types: updateTypes
+  };
+}
+
 const KB_CONFIG = {
   // NotebookLM 設定
   notebooklm: {
@@ -13,13 +246,8 @@ const KB_CONFIG = {
     skill_path: path.join(process.env.HOME, '.claude/skills/notebooklm')
   },
 
-  // 本地 PM 文件路徑
-  local: {
-    pm_dir: path.join(process.env.HOME, 'Dropbox/PKM-Vault/1-Projects/IrisGo/Product'),
-    pm_memory: path.join(process.env.HOME, 'Dropbox/PKM-Vault/1-Projects/IrisGo/Product/pm-memory.md'),
-    customers: path.join(process.env.HOME, 'Dropbox/PKM-Vault/1-Projects/IrisGo/Product/customers.md'),
-    priorities: path.join(process.env.HOME, 'Dropbox/PKM-Vault/1-Projects/IrisGo/Product/priorities.md')
-  },
+  // 知識庫位置、文件清單與 update 寫入目標：見 kb.config.json
+  ...loadKbConfig(process.env.KITT_KB_CONFIG || DEFAULT_CONFIG_PATH),
 
   // Google Drive 設定
   drive: {
@@ -27,50 +255,21 @@ const KB_CONFIG = {
     folder_id: '15slyQFtU2B14ZxYjGjCy6uY7ShbRPM67'
   },
 
-  // Pending updates 設定
+  // 舊版 JSON 待審佇列（啟動時由 storage/migrations.js 匯入 SQLite）
   pending: {
     dir: path.join(__dirname, '../pending-updates'),
     archive_dir: path.join(__dirname, '../pending-archive')
   },
 
-  // Update 類型定義
-  update_types: [
-    {
-      value: 'meeting',
-      label: 'Meeting Record',
-      description: '會議記錄',
-      target_file: 'pm-memory.md',
-      section: '決策脈絡'
-    },
-    {
-      value: 'customer',
-      label: 'Customer Update',
-      description: '客戶進度更新',
-      target_file: 'customers.md',
-      section: 'OEM Partners'
-    },
-    {
-      value: 'priority',
-      label: 'Priority Update',
-      description: '優先級調整',
-      target_file: 'priorities.md',
-      section: 'P0 - Critical'
-    },
-    {
-      value: 'decision',
-      label: 'Decision',
-      description: '重要決策記錄',
-      target_file: 'pm-memory.md',
-      section: '決策脈絡'
-    },
-    {
-      value: 'other',
-      label: 'Other',
-      description: '其他類型',
-      target_file: null,
-      section: null
-    }
-  ],
+  // 審核規則（依 update type，KB 與 /kitt update 共用；沒列出的 type 用 default）
+  // - quorum: 需要幾位不同 reviewer 核准
+  // - required_approvers: 一定要在核准者之中的 Slack user ID
+  // - auto_approve: 這些 Slack user ID 提交的直接核准，不進審核佇列
+  approval_policies: {
+    default: { quorum: 1, required_approvers: [], auto_approve: [] },
+    priority: { quorum: 2 },
+    meeting: { auto_approve: [] }
+  },
 
   // 標籤選項
   tags: [
@@ -89,4 +288,11 @@ const KB_CONFIG = {
   ]
 };
 
+/**
+ * Document with a role (e.g. 'customers'), or undefined
+ * @param {string} role - Document role
+ * @returns {Object|undefined} { key, role, file, path }
+ */
+KB_CONFIG.getDocument = role => KB_CONFIG.documents.find(d => d.role === role);
+
 module.exports = KB_CONFIG;
@@ -31,6 +31,7 @@ class Heartbeat {
    * @param {string} options.persona - Agent persona description for AI
    * @param {number} [options.interval] - Check interval in ms (default: 30 min)
    * @param {Object} [options.activeHours] - Active hours { start, end }
+   * @param {Function} [options.callAI] - AI call function (prompt, { task }) → text
    */
   constructor(options) {
     this.agentId = options.agentId;
@@ -46,10 +47,8 @@ class Heartbeat {
     this.lastRun = null;
     this.lastResult = null;
 
-    // CLIProxyAPI settings (using fetch)
-    this.apiUrl = process.env.CLIPROXY_URL || 'http://127.0.0.1:8317/v1';
-    this.apiKey = process.env.CLIPROXY_API_KEY || 'magi-proxy-key-2026';
-    this.model = process.env.CLIPROXY_MODEL || 'gemini-2.5-flash';
+    // AI 呼叫統一走 provider registry（'heartbeat' task profile）
+    this.callAI = options.callAI || require('../lib/ai-registry').callAI;
 
     // 確保目錄存在
     this._ensureDir();
@@ -194,26 +193,7 @@ ${content}
 5. 不要重複或推測之前對話的任務，只根據 HEARTBEAT.md 的內容判斷`;
 
     try {
-      const response = await fetch(`${this.apiUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`,
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages: [{ role: 'user', content: prompt }],
-          max_tokens: 1024,
-          temperature: 0.3,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      const reply = data.choices?.[0]?.message?.content || '';
+      const reply = await this.callAI(prompt, { task: 'heartbeat' });
       const durationMs = Date.now() - startTime;
 
       // 5. 判斷是否需要通知
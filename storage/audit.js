@@ -0,0 +1,183 @@
+/**
+ * KITT Knowledge Base Audit Log Storage
+ *
+ * Append-only record of every knowledge base file write (see lib/kb-writer.js),
+ * plus memory deletions (file 'memories', see storage/memory.js).
+ * The kb_audit table rejects UPDATE and DELETE, so entries can only be added.
+ *
+ * Each entry also has a kb_snapshots row holding the changed sections before
+ * and after the write, which /kitt revert uses to roll an update back.
+ */
+
+const { getDB } = require('./database');
+
+/**
+ * Map a kb_audit row to an entry object.
+ * @param {Object} row - Database row
+ * @returns {Object} Audit entry
+ */
+function rowToEntry(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    actor: row.actor,
+    action: row.action,
+    itemId: row.item_id,
+    file: row.file,
+    beforeHash: row.before_hash,
+    afterHash: row.after_hash,
+    linesAdded: row.lines_added,
+    linesRemoved: row.lines_removed,
+    diff: row.diff
+  };
+}
+
+/**
+ * Append an audit entry.
+ * @param {Object} entry
+ * @param {string} entry.actor - Slack user ID (or 'auto-approve' / 'system')
+ * @param {string} entry.action - What wrote the file (e.g. 'apply_update', 'archive')
+ * @param {string} [entry.itemId] - Update / item ID behind the write
+ * @param {string} entry.file - File name relative to the knowledge base directory
+ * @param {string} [entry.beforeHash] - Content hash before (null for a new file)
+ * @param {string} entry.afterHash - Content hash after
+ * @param {number} entry.linesAdded - Added lines
+ * @param {number} entry.linesRemoved - Removed lines
+ * @param {string} entry.diff - Unified diff
+ * @returns {number} Entry ID
+ */
+function addAuditEntry(entry) {
+  const db = getDB();
+  const result = db.prepare(`
+    INSERT INTO kb_audit
+    (actor, action, item_id, file, before_hash, after_hash, lines_added, lines_removed, diff)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entry.actor,
+    entry.action,
+    entry.itemId || null,
+    entry.file,
+    entry.beforeHash || null,
+    entry.afterHash,
+    entry.linesAdded || 0,
+    entry.linesRemoved || 0,
+    entry.diff
+  );
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Get one audit entry.
+ * @param {number} id - Entry ID
+ * @returns {Object|null} Entry
+ */
+function getAuditEntry(id) {
+  const db = getDB();
+  const row = db.prepare('SELECT * FROM kb_audit WHERE id = ?').get(id);
+  return row ? rowToEntry(row) : null;
+}
+
+/**
+ * Query the audit log, newest first.
+ * @param {Object} [options]
+ * @param {string} [options.file] - File name
+ * @param {string} [options.actor] - Slack user ID
+ * @param {string} [options.itemId] - Update / item ID
+ * @param {string} [options.text] - Substring of the diff
+ * @param {number} [options.limit=20] - Max entries
+ * @returns {Array} Entries
+ */
+function queryAudit(options = {}) {
+  const db = getDB();
+  const { file, actor, itemId, text, limit = 20 } = options;
+  const conditions = [];
+  const params = [];
+
+  if (file) {
+    conditions.push('file = ?');
+    params.push(file);
+  }
+  if (actor) {
+    conditions.push('actor = ?');
+    params.push(actor);
+  }
+  if (itemId) {
+    conditions.push('item_id = ?');
+    params.push(itemId);
+  }
+  if (text) {
+    conditions.push("diff LIKE ? ESCAPE '\\'");
+    params.push(`%${text.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`SELECT * FROM kb_audit ${where} ORDER BY id DESC LIMIT ?`)
+    .all(...params, limit)
+    .map(rowToEntry);
+}
+
+/**
+ * Store the section snapshot of an audited write.
+ * @param {number} auditId - kb_audit entry
+ * @param {Object} snapshot
+ * @param {string} [snapshot.itemId] - Update / item ID behind the write
+ * @param {string} snapshot.path - Absolute file path
+ * @param {Array} snapshot.sections - [{key, before, after}]
+ */
+function addSnapshot(auditId, { itemId, path, sections }) {
+  const db = getDB();
+  db.prepare(`
+    INSERT INTO kb_snapshots (audit_id, item_id, path, sections) VALUES (?, ?, ?, ?)
+  `).run(auditId, itemId || null, path, JSON.stringify(sections));
+}
+
+/**
+ * Snapshots of an item's writes that have not been reverted, newest first.
+ * Writes made by a revert are not themselves revertable.
+ * @param {string} itemId - Update / item ID
+ * @returns {Array} [{auditId, itemId, path, file, sections}]
+ */
+function getRevertableSnapshots(itemId) {
+  const db = getDB();
+  return db.prepare(`
+    SELECT s.*, a.file FROM kb_snapshots s
+    JOIN kb_audit a ON a.id = s.audit_id
+    WHERE s.item_id = ? AND s.reverted_at IS NULL AND a.action != 'revert'
+    ORDER BY s.audit_id DESC
+  `).all(itemId).map(row => ({
+    auditId: row.audit_id,
+    itemId: row.item_id,
+    path: row.path,
+    file: row.file,
+    sections: JSON.parse(row.sections)
+  }));
+}
+
+/**
+ * Mark snapshots as reverted.
+ * @param {Array} reverted - [{auditId, revertAuditId}]: the snapshot rolled
+ *   back and the kb_audit entry written by the revert
+ * @param {string} revertedBy - Slack user ID
+ */
+function markSnapshotsReverted(reverted, revertedBy) {
+  const db = getDB();
+  const mark = db.prepare(`
+    UPDATE kb_snapshots
+    SET reverted_at = datetime('now'), reverted_by = ?, revert_audit_id = ?
+    WHERE audit_id = ? AND reverted_at IS NULL
+  `);
+  db.transaction(() => {
+    for (const { auditId, revertAuditId } of reverted) {
+      mark.run(revertedBy, revertAuditId || null, auditId);
+    }
+  })();
+}
+
+module.exports = {
+  addAuditEntry,
+  getAuditEntry,
+  queryAudit,
+  addSnapshot,
+  getRevertableSnapshots,
+  markSnapshotsReverted
+};
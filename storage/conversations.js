@@ -109,6 +109,22 @@ function formatForPrompt(history) {
   return `\n\n## 最近對話記錄:\n${formatted}\n`;
 }
 
+/**
+ * Map conversation history to chat message turns.
+ * @param {Array} history - Array of message objects from getHistory()
+ * @returns {Array} Chat messages [{role: 'user'|'assistant', content}]
+ */
+function toChatMessages(history) {
+  if (!history || history.length === 0) return [];
+
+  return history
+    .filter(msg => msg.content)
+    .map(msg => ({
+      role: msg.role === 'user' ? 'user' : 'assistant',
+      content: msg.content
+    }));
+}
+
 /**
  * Get conversation statistics for a user.
  * @param {string} userId - Slack user ID
@@ -138,6 +154,7 @@ module.exports = {
   clearHistory,
   cleanupExpired,
   formatForPrompt,
+  toChatMessages,
   getUserStats,
   CONVERSATION_MAX_MESSAGES,
   CONVERSATION_TIMEOUT_MS
@@ -1,63 +1,94 @@
 /**
  * KITT SQLite Database Management
  *
- * Handles database initialization and connection management.
+ * Single connection manager for all KITT tables (conversation history,
+ * update queue, KB search index, memories, relay messages).
+ * The schema is created and evolved by numbered migrations in
+ * storage/migrations.js; every storage module goes through getDB().
  */
 
 const Database = require('better-sqlite3');
+const fs = require('fs');
 const path = require('path');
+const { migrations } = require('./migrations');
 
-const DB_PATH = path.join(__dirname, '..', 'kitt.db');
+// Single database for all KITT data. Defaults to the shared Dropbox path
+// so MAGI (Iris/Lucy) can read memories and relay messages.
+const DB_PATH = process.env.KITT_DB_PATH || path.join(
+  process.env.HOME,
+  'Dropbox/PKM-Vault/.ai-butler-system/kitt-memory/memory.db'
+);
 
 let db = null;
 
 /**
- * Initialize the database and create tables if they don't exist.
+ * Current schema version (0 for a fresh database)
+ * @param {Database} database - Database instance
+ * @returns {number} Highest applied migration version
+ */
+function readSchemaVersion(database) {
+  return database.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_version').get().version;
+}
+
+/**
+ * Apply pending migrations from storage/migrations.js, each in its own transaction.
+ * Refuses to start against a database written by a newer KITT build.
+ * @param {Database} database - Database instance
+ * @returns {number} Schema version after migrating
+ */
+function runMigrations(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  const current = readSchemaVersion(database);
+  const latest = migrations[migrations.length - 1].version;
+
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than this KITT build supports (${latest}): ${DB_PATH}`);
+  }
+
+  const record = database.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+
+  for (const migration of migrations) {
+    if (migration.version <= current) continue;
+
+    database.transaction(() => {
+      migration.up(database);
+      record.run(migration.version, migration.name);
+    })();
+    console.log(`[DB] Applied migration ${migration.version}: ${migration.name}`);
+  }
+
+  return readSchemaVersion(database);
+}
+
+/**
+ * Open the database and bring its schema up to date.
  * @returns {Database} The database instance
  */
 function initDB() {
   if (db) return db;
 
-  db = new Database(DB_PATH);
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  const database = new Database(DB_PATH);
 
   // Enable foreign keys
-  db.pragma('foreign_keys = ON');
-
-  // Create messages table for conversation history
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS messages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT NOT NULL,
-      role TEXT NOT NULL,
-      content TEXT NOT NULL,
-      created_at INTEGER NOT NULL,
-      expires_at INTEGER NOT NULL
-    );
-    CREATE INDEX IF NOT EXISTS idx_messages_user ON messages(user_id, created_at DESC);
-    CREATE INDEX IF NOT EXISTS idx_messages_expires ON messages(expires_at);
-  `);
+  database.pragma('foreign_keys = ON');
 
-  // Create pending_updates table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS pending_updates (
-      id TEXT PRIMARY KEY,
-      type TEXT NOT NULL,
-      target TEXT,
-      value TEXT,
-      submitted_by TEXT NOT NULL,
-      submitted_at TEXT NOT NULL,
-      status TEXT NOT NULL DEFAULT 'pending',
-      source TEXT,
-      processed_at TEXT,
-      edited_at TEXT,
-      edited_by TEXT,
-      note TEXT
-    );
-    CREATE INDEX IF NOT EXISTS idx_updates_status ON pending_updates(status, submitted_at DESC);
-    CREATE INDEX IF NOT EXISTS idx_updates_submitter ON pending_updates(submitted_by);
-  `);
+  try {
+    const version = runMigrations(database);
+    console.log(`[DB] SQLite initialized: ${DB_PATH} (schema v${version})`);
+  } catch (error) {
+    database.close();
+    throw error;
+  }
 
-  console.log(`[DB] SQLite initialized: ${DB_PATH}`);
+  db = database;
   return db;
 }
 
@@ -100,6 +131,7 @@ function getStats() {
     activeUsers: activeUsers,
     totalUpdates: updateCount,
     pendingUpdates: pendingCount,
+    schemaVersion: readSchemaVersion(database),
     dbPath: DB_PATH
   };
 }
@@ -108,5 +140,6 @@ module.exports = {
   initDB,
   getDB,
   closeDB,
-  getStats
+  getStats,
+  DB_PATH
 };
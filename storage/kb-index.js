@@ -0,0 +1,114 @@
+/**
+ * KITT Knowledge Base Index Storage
+ *
+ * Persists markdown chunks and their term frequencies in SQLite so the
+ * search index survives restarts and only changed files are re-chunked.
+ */
+
+const { getDB } = require('./database');
+
+/**
+ * Get the indexed state of a document.
+ * @param {string} docKey - Knowledge base key (e.g. 'customers')
+ * @returns {Object|null} {docKey, filename, contentHash, chunkCount, indexedAt}
+ */
+function getDocument(docKey) {
+  const db = getDB();
+  const row = db.prepare('SELECT * FROM kb_documents WHERE doc_key = ?').get(docKey);
+
+  if (!row) return null;
+
+  return {
+    docKey: row.doc_key,
+    filename: row.filename,
+    contentHash: row.content_hash,
+    chunkCount: row.chunk_count,
+    indexedAt: row.indexed_at
+  };
+}
+
+/**
+ * Replace all chunks of a document (single transaction).
+ * @param {Object} doc - {docKey, filename, contentHash}
+ * @param {Array} chunks - [{heading, content, terms, length}]
+ */
+function replaceDocumentChunks(doc, chunks) {
+  const db = getDB();
+
+  const deleteChunks = db.prepare('DELETE FROM kb_chunks WHERE doc_key = ?');
+  const insertChunk = db.prepare(`
+    INSERT INTO kb_chunks (doc_key, position, heading, content, terms, length)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const upsertDoc = db.prepare(`
+    INSERT INTO kb_documents (doc_key, filename, content_hash, chunk_count, indexed_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(doc_key) DO UPDATE SET
+      filename = excluded.filename,
+      content_hash = excluded.content_hash,
+      chunk_count = excluded.chunk_count,
+      indexed_at = excluded.indexed_at
+  `);
+
+  db.transaction(() => {
+    deleteChunks.run(doc.docKey);
+    chunks.forEach((chunk, i) => {
+      insertChunk.run(doc.docKey, i, chunk.heading, chunk.content, JSON.stringify(chunk.terms), chunk.length);
+    });
+    upsertDoc.run(doc.docKey, doc.filename, doc.contentHash, chunks.length, new Date().toISOString());
+  })();
+}
+
+/**
+ * Remove a document and its chunks from the index.
+ * @param {string} docKey - Knowledge base key
+ */
+function deleteDocument(docKey) {
+  const db = getDB();
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM kb_chunks WHERE doc_key = ?').run(docKey);
+    db.prepare('DELETE FROM kb_documents WHERE doc_key = ?').run(docKey);
+  })();
+}
+
+/**
+ * Keys of every indexed document.
+ * @returns {Array<string>} Document keys
+ */
+function listDocumentKeys() {
+  const db = getDB();
+  return db.prepare('SELECT doc_key FROM kb_documents').all().map(row => row.doc_key);
+}
+
+/**
+ * Load all chunks (for building the in-memory search index).
+ * @returns {Array} [{id, docKey, filename, position, heading, content, terms, length}]
+ */
+function getAllChunks() {
+  const db = getDB();
+  const select = db.prepare(`
+    SELECT c.*, d.filename FROM kb_chunks c
+    JOIN kb_documents d ON d.doc_key = c.doc_key
+    ORDER BY c.doc_key, c.position
+  `);
+
+  return select.all().map(row => ({
+    id: row.id,
+    docKey: row.doc_key,
+    filename: row.filename,
+    position: row.position,
+    heading: row.heading,
+    content: row.content,
+    terms: JSON.parse(row.terms),
+    length: row.length
+  }));
+}
+
+module.exports = {
+  getDocument,
+  replaceDocumentChunks,
+  deleteDocument,
+  listDocumentKeys,
+  getAllChunks
+};
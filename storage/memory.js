@@ -1,8 +1,9 @@
 /**
  * KITT Long-term Memory System
  *
- * Stores approved memories in a shared SQLite database (via Dropbox)
- * so that MAGI (Iris/Lucy) can also query KITT's memories.
+ * Stores approved memories in the shared SQLite database (via Dropbox,
+ * see storage/database.js) so that MAGI (Iris/Lucy) can also query
+ * KITT's memories.
  *
  * Flow:
  * 1. User says "@KITT 記住" in a thread
@@ -12,66 +13,15 @@
  * 5. KITT (and MAGI) can query these memories
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
+const { getDB } = require('./database');
+const { addAuditEntry } = require('./audit');
 
-// Shared memory database path (via Dropbox)
-const MEMORY_DB_PATH = path.join(
-  process.env.HOME,
-  'Dropbox/PKM-Vault/.ai-butler-system/kitt-memory/memory.db'
-);
+// SQL condition for memories that still apply (not superseded, not expired)
+const ACTIVE_MEMORY_SQL = "superseded_by IS NULL AND (valid_until IS NULL OR valid_until >= date('now'))";
 
-// Ensure directory exists
-const memoryDir = path.dirname(MEMORY_DB_PATH);
-if (!fs.existsSync(memoryDir)) {
-  fs.mkdirSync(memoryDir, { recursive: true });
-}
-
-// Initialize database
-const db = new Database(MEMORY_DB_PATH);
-
-// Create tables
-db.exec(`
-  -- Approved memories (long-term storage)
-  CREATE TABLE IF NOT EXISTS memories (
-    id TEXT PRIMARY KEY,
-    type TEXT NOT NULL,           -- 'decision', 'preference', 'fact', 'action', 'context'
-    content TEXT NOT NULL,        -- The actual memory content
-    context TEXT,                 -- Additional context (e.g., meeting name)
-    source TEXT,                  -- 'slack-thread', 'slack-dm'
-    channel TEXT,                 -- Slack channel name
-    thread_ts TEXT,               -- Slack thread timestamp
-    submitted_by TEXT,            -- User who triggered the memory
-    approved_by TEXT,             -- Admin who approved
-    created_at TEXT DEFAULT (datetime('now')),
-    approved_at TEXT,
-    tags TEXT                     -- JSON array of tags for search
-  );
-
-  -- Pending memory candidates (waiting for approval)
-  CREATE TABLE IF NOT EXISTS memory_candidates (
-    id TEXT PRIMARY KEY,
-    source TEXT NOT NULL,         -- 'slack-thread', 'slack-dm'
-    channel TEXT,
-    channel_name TEXT,
-    thread_ts TEXT,
-    thread_url TEXT,              -- Slack permalink to thread
-    raw_messages TEXT,            -- JSON array of original messages
-    extracted_memories TEXT,      -- JSON array of extracted memory objects
-    submitted_by TEXT,
-    submitted_at TEXT DEFAULT (datetime('now')),
-    status TEXT DEFAULT 'pending', -- 'pending', 'approved', 'rejected'
-    reviewed_by TEXT,
-    reviewed_at TEXT,
-    notes TEXT
-  );
-
-  -- Create indexes for search
-  CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(type);
-  CREATE INDEX IF NOT EXISTS idx_memories_created ON memories(created_at);
-  CREATE INDEX IF NOT EXISTS idx_candidates_status ON memory_candidates(status);
-`);
+// Trigram tokens need at least 3 characters; shorter terms use LIKE
+const FTS_MIN_TERM_LENGTH = 3;
 
 /**
  * Generate unique ID for memory
@@ -88,6 +38,7 @@ function generateId(prefix = 'MEM') {
  * @returns {Object} Created candidate
  */
 function createCandidate(data) {
+  const db = getDB();
   const id = generateId('CAND');
   const stmt = db.prepare(`
     INSERT INTO memory_candidates
@@ -114,6 +65,7 @@ function createCandidate(data) {
  * Get a memory candidate by ID
  */
 function getCandidate(id) {
+  const db = getDB();
   const stmt = db.prepare('SELECT * FROM memory_candidates WHERE id = ?');
   const row = stmt.get(id);
   if (row) {
@@ -127,6 +79,7 @@ function getCandidate(id) {
  * Get all pending candidates
  */
 function getPendingCandidates() {
+  const db = getDB();
   const stmt = db.prepare('SELECT * FROM memory_candidates WHERE status = ? ORDER BY submitted_at DESC');
   const rows = stmt.all('pending');
   return rows.map(row => {
@@ -144,6 +97,7 @@ function getPendingCandidates() {
  * @returns {Array} Created memory IDs
  */
 function approveCandidate(candidateId, approvedBy, selectedMemories = null) {
+  const db = getDB();
   const candidate = getCandidate(candidateId);
   if (!candidate || candidate.status !== 'pending') {
     return null;
@@ -154,8 +108,8 @@ function approveCandidate(candidateId, approvedBy, selectedMemories = null) {
 
   const insertStmt = db.prepare(`
     INSERT INTO memories
-    (id, type, content, context, source, channel, thread_ts, submitted_by, approved_by, approved_at, tags)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?)
+    (id, type, content, context, source, channel, thread_ts, thread_url, submitted_by, approved_by, approved_at, tags, valid_until)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?, ?)
   `);
 
   for (const mem of memoriesToApprove) {
@@ -168,9 +122,11 @@ function approveCandidate(candidateId, approvedBy, selectedMemories = null) {
       candidate.source,
       candidate.channel_name || candidate.channel,
       candidate.thread_ts,
+      candidate.thread_url,
       candidate.submitted_by,
       approvedBy,
-      JSON.stringify(mem.tags || [])
+      JSON.stringify(mem.tags || []),
+      /^\d{4}-\d{2}-\d{2}$/.test(mem.valid_until || '') ? mem.valid_until : null
     );
     createdIds.push(memId);
   }
@@ -190,6 +146,7 @@ function approveCandidate(candidateId, approvedBy, selectedMemories = null) {
  * Reject a memory candidate
  */
 function rejectCandidate(candidateId, rejectedBy, notes = null) {
+  const db = getDB();
   const stmt = db.prepare(`
     UPDATE memory_candidates
     SET status = 'rejected', reviewed_by = ?, reviewed_at = datetime('now'), notes = ?
@@ -203,6 +160,7 @@ function rejectCandidate(candidateId, rejectedBy, notes = null) {
  * Edit extracted memories in a candidate before approving
  */
 function editCandidateMemories(candidateId, newMemories) {
+  const db = getDB();
   const stmt = db.prepare(`
     UPDATE memory_candidates
     SET extracted_memories = ?
@@ -213,31 +171,85 @@ function editCandidateMemories(candidateId, newMemories) {
 }
 
 /**
- * Search memories by keyword
- * @param {string} query - Search query
+ * Search memories by keyword across content, context and tags.
+ * Terms of 3+ characters go through the FTS5 index (ranked by bm25,
+ * with a highlighted snippet); shorter terms are matched with LIKE.
+ * Without a query, matching memories are returned newest first.
+ * @param {string} query - Search query (space-separated terms, all must match)
  * @param {Object} options - Search options
- * @returns {Array} Matching memories
+ * @param {string} [options.type] - Memory type
+ * @param {string} [options.tag] - Tag the memory must carry
+ * @param {string} [options.channel] - Channel name (substring)
+ * @param {string} [options.since] - Approved on/after date (YYYY-MM-DD)
+ * @param {string} [options.until] - Approved on/before date (YYYY-MM-DD)
+ * @param {boolean} [options.includeInactive] - Include superseded/expired memories
+ * @param {number} [options.limit=20] - Max results
+ * @returns {Array} Matching memories ({...memory, snippet, rank} when ranked)
  */
 function searchMemories(query, options = {}) {
-  const { type, limit = 20, channel } = options;
-
-  let sql = `
-    SELECT * FROM memories
-    WHERE content LIKE ?
+  const db = getDB();
+  const { type, tag, channel, since, until, includeInactive, limit = 20 } = options;
+
+  const terms = (query || '').split(/\s+/).filter(Boolean);
+  const ftsTerms = terms.filter(term => term.length >= FTS_MIN_TERM_LENGTH);
+  const likeTerms = terms.filter(term => term.length < FTS_MIN_TERM_LENGTH);
+  const useFts = ftsTerms.length > 0;
+
+  let sql = useFts
+    ? `
+    SELECT m.*,
+      snippet(memories_fts, -1, '*', '*', '…', 48) AS snippet,
+      bm25(memories_fts, 0, 1.0, 0.5, 1.0) AS rank
+    FROM memories_fts
+    JOIN memories m ON m.id = memories_fts.id
+    WHERE memories_fts MATCH ?
+  `
+    : `
+    SELECT m.* FROM memories m
+    WHERE 1 = 1
   `;
-  const params = [`%${query}%`];
+  const params = [];
+
+  if (useFts) {
+    // Quote each term as a phrase so FTS5 syntax characters are literal
+    params.push(ftsTerms.map(term => `"${term.replace(/"/g, '""')}"`).join(' AND '));
+  }
+
+  if (!includeInactive) {
+    sql += ` AND ${ACTIVE_MEMORY_SQL.replace(/(superseded_by|valid_until)/g, 'm.$1')}`;
+  }
+
+  for (const term of likeTerms) {
+    sql += " AND (m.content LIKE ? OR m.context LIKE ? OR m.tags LIKE ?)";
+    params.push(`%${term}%`, `%${term}%`, `%${term}%`);
+  }
 
   if (type) {
-    sql += ' AND type = ?';
+    sql += ' AND m.type = ?';
     params.push(type);
   }
 
+  if (tag) {
+    sql += ' AND EXISTS (SELECT 1 FROM json_each(m.tags) WHERE lower(json_each.value) = lower(?))';
+    params.push(tag.replace(/^#/, ''));
+  }
+
   if (channel) {
-    sql += ' AND channel LIKE ?';
+    sql += ' AND m.channel LIKE ?';
     params.push(`%${channel}%`);
   }
 
-  sql += ' ORDER BY created_at DESC LIMIT ?';
+  if (since) {
+    sql += ' AND COALESCE(m.approved_at, m.created_at) >= date(?)';
+    params.push(since);
+  }
+
+  if (until) {
+    sql += " AND COALESCE(m.approved_at, m.created_at) < date(?, '+1 day')";
+    params.push(until);
+  }
+
+  sql += useFts ? ' ORDER BY rank LIMIT ?' : ' ORDER BY m.created_at DESC LIMIT ?';
   params.push(limit);
 
   const stmt = db.prepare(sql);
@@ -253,6 +265,7 @@ function searchMemories(query, options = {}) {
  * Get all memories (for export/review)
  */
 function getAllMemories(limit = 100) {
+  const db = getDB();
   const stmt = db.prepare('SELECT * FROM memories ORDER BY created_at DESC LIMIT ?');
   const rows = stmt.all(limit);
   return rows.map(row => {
@@ -261,10 +274,65 @@ function getAllMemories(limit = 100) {
   });
 }
 
+/**
+ * Get memories that still apply (not superseded, not expired), newest first
+ * @param {number} [limit=100] - Max memories
+ * @returns {Array} Memories
+ */
+function getActiveMemories(limit = 100) {
+  const db = getDB();
+  const stmt = db.prepare(`SELECT * FROM memories WHERE ${ACTIVE_MEMORY_SQL} ORDER BY created_at DESC LIMIT ?`);
+  const rows = stmt.all(limit);
+  return rows.map(row => {
+    row.tags = JSON.parse(row.tags || '[]');
+    return row;
+  });
+}
+
+/**
+ * Count memories, active only unless asked otherwise
+ * @param {Object} [options]
+ * @param {string} [options.type] - Memory type
+ * @param {boolean} [options.includeInactive] - Also count superseded and expired
+ * @returns {number}
+ */
+function countMemories(options = {}) {
+  const db = getDB();
+  const conditions = [];
+  const params = [];
+
+  if (!options.includeInactive) conditions.push(ACTIVE_MEMORY_SQL);
+  if (options.type) {
+    conditions.push('type = ?');
+    params.push(options.type);
+  }
+
+  const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`SELECT COUNT(*) as count FROM memories${where}`).get(...params).count;
+}
+
+/**
+ * Mark a memory as replaced by a newer one
+ * @param {string} oldId - Memory that no longer applies
+ * @param {string} newId - Memory that replaces it
+ * @returns {boolean} True if the old memory was updated
+ */
+function supersedeMemory(oldId, newId) {
+  const db = getDB();
+  if (oldId === newId) return false;
+  const stmt = db.prepare(`
+    UPDATE memories
+    SET superseded_by = ?, superseded_at = datetime('now')
+    WHERE id = ? AND superseded_by IS NULL
+  `);
+  return stmt.run(newId, oldId).changes > 0;
+}
+
 /**
  * Get memory by ID
  */
 function getMemory(id) {
+  const db = getDB();
   const stmt = db.prepare('SELECT * FROM memories WHERE id = ?');
   const row = stmt.get(id);
   if (row) {
@@ -274,17 +342,54 @@ function getMemory(id) {
 }
 
 /**
- * Delete a memory
+ * Delete a memory. In one transaction, memories it superseded apply again
+ * (their superseded_by would point at nothing) and the deletion goes to
+ * the audit log with the deleted content.
+ * @param {string} id - Memory ID
+ * @param {string} deletedBy - Slack user ID
+ * @returns {Object|null} { memory, restoredIds }, or null if not found
  */
-function deleteMemory(id) {
-  const stmt = db.prepare('DELETE FROM memories WHERE id = ?');
-  return stmt.run(id);
+function deleteMemory(id, deletedBy) {
+  const db = getDB();
+
+  const remove = db.transaction(() => {
+    const memory = getMemory(id);
+    if (!memory) return null;
+
+    const restoredIds = db.prepare('SELECT id FROM memories WHERE superseded_by = ?').all(id).map(row => row.id);
+    db.prepare('UPDATE memories SET superseded_by = NULL, superseded_at = NULL WHERE superseded_by = ?').run(id);
+    db.prepare('DELETE FROM memories WHERE id = ?').run(id);
+
+    const lines = [
+      `${memory.type}: ${memory.content}`,
+      memory.context ? `context: ${memory.context}` : null,
+      memory.tags.length ? `tags: ${memory.tags.join(', ')}` : null,
+      `channel: ${memory.channel || '—'} · submitted by ${memory.submitted_by || '—'} · approved by ${memory.approved_by || '—'} ${memory.approved_at || ''}`.trim(),
+      restoredIds.length ? `superseded (now active again): ${restoredIds.join(', ')}` : null
+    ].filter(Boolean).join('\n').split('\n');
+
+    addAuditEntry({
+      actor: deletedBy,
+      action: 'forget_memory',
+      itemId: id,
+      file: 'memories',
+      beforeHash: crypto.createHash('sha256').update(JSON.stringify(memory)).digest('hex'),
+      afterHash: '',
+      linesRemoved: lines.length,
+      diff: `--- memory ${id}\n+++ (deleted)\n${lines.map(line => `-${line}`).join('\n')}`
+    });
+
+    return { memory, restoredIds };
+  });
+
+  return remove();
 }
 
 /**
  * Get memory statistics
  */
 function getStats() {
+  const db = getDB();
   const stats = {};
 
   stats.totalMemories = db.prepare('SELECT COUNT(*) as count FROM memories').get().count;
@@ -311,8 +416,10 @@ module.exports = {
   editCandidateMemories,
   searchMemories,
   getAllMemories,
+  getActiveMemories,
+  countMemories,
+  supersedeMemory,
   getMemory,
   deleteMemory,
-  getStats,
-  MEMORY_DB_PATH
+  getStats
 };
@@ -5,47 +5,8 @@
  * Part of the "Personal PM" feature set.
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
 const crypto = require('crypto');
-
-// Use shared Dropbox path for MAGI access
-const DB_PATH = path.join(
-  process.env.HOME,
-  'Dropbox/PKM-Vault/.ai-butler-system/kitt-memory/memory.db'
-);
-
-let db = null;
-
-/**
- * Initialize database and create messages table
- */
-function initDB() {
-  if (db) return db;
-
-  db = new Database(DB_PATH);
-
-  // Create messages table if not exists
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS relay_messages (
-      id TEXT PRIMARY KEY,
-      from_user TEXT NOT NULL,
-      from_user_name TEXT,
-      message TEXT NOT NULL,
-      channel TEXT,
-      channel_name TEXT,
-      thread_ts TEXT,
-      status TEXT DEFAULT 'pending',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      read_at DATETIME,
-      replied_at DATETIME,
-      reply_text TEXT
-    )
-  `);
-
-  console.log('[Messages] Database initialized');
-  return db;
-}
+const { getDB } = require('./database');
 
 /**
  * Generate a unique message ID
@@ -58,7 +19,7 @@ function generateId() {
  * Create a new relay message
  */
 function createMessage({ fromUser, fromUserName, message, channel, channelName, threadTs }) {
-  const db = initDB();
+  const db = getDB();
   const id = generateId();
 
   const stmt = db.prepare(`
@@ -76,7 +37,7 @@ function createMessage({ fromUser, fromUserName, message, channel, channelName,
  * Get a message by ID
  */
 function getMessage(id) {
-  const db = initDB();
+  const db = getDB();
   const stmt = db.prepare('SELECT * FROM relay_messages WHERE id = ?');
   return stmt.get(id);
 }
@@ -85,7 +46,7 @@ function getMessage(id) {
  * Mark message as read
  */
 function markAsRead(id) {
-  const db = initDB();
+  const db = getDB();
   const stmt = db.prepare(`
     UPDATE relay_messages
     SET status = 'read', read_at = CURRENT_TIMESTAMP
@@ -99,7 +60,7 @@ function markAsRead(id) {
  * Mark message as replied
  */
 function markAsReplied(id, replyText) {
-  const db = initDB();
+  const db = getDB();
   const stmt = db.prepare(`
     UPDATE relay_messages
     SET status = 'replied', replied_at = CURRENT_TIMESTAMP, reply_text = ?
@@ -113,7 +74,7 @@ function markAsReplied(id, replyText) {
  * Get pending messages (not yet read)
  */
 function getPendingMessages() {
-  const db = initDB();
+  const db = getDB();
   const stmt = db.prepare(`
     SELECT * FROM relay_messages
     WHERE status = 'pending'
@@ -126,7 +87,7 @@ function getPendingMessages() {
  * Get recent messages (last 7 days)
  */
 function getRecentMessages(limit = 20) {
-  const db = initDB();
+  const db = getDB();
   const stmt = db.prepare(`
     SELECT * FROM relay_messages
     WHERE created_at > datetime('now', '-7 days')
@@ -140,7 +101,7 @@ function getRecentMessages(limit = 20) {
  * Get message statistics
  */
 function getStats() {
-  const db = initDB();
+  const db = getDB();
 
   const total = db.prepare('SELECT COUNT(*) as count FROM relay_messages').get().count;
   const pending = db.prepare("SELECT COUNT(*) as count FROM relay_messages WHERE status = 'pending'").get().count;
@@ -151,7 +112,6 @@ function getStats() {
 }
 
 module.exports = {
-  initDB,
   createMessage,
   getMessage,
   markAsRead,
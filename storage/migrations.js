@@ -0,0 +1,429 @@
+/**
+ * KITT Database Migrations
+ *
+ * Numbered, forward-only schema changes applied by storage/database.js.
+ * Each migration runs once inside a transaction and is recorded in the
+ * schema_version table. Never edit a released migration — add a new one.
+ *
+ * The early migrations adopt databases created before versioning
+ * (the old kitt.db and the shared memory.db), so they only create
+ * what is missing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const KB_CONFIG = require('../services/kb-config');
+
+// Conversation history / update queue lived here before the single database
+const LEGACY_DB_PATH = path.join(__dirname, '..', 'kitt.db');
+
+// KB Manager submissions were JSON files before moving into pending_updates
+const LEGACY_KB_DIRS = [KB_CONFIG.pending.dir, KB_CONFIG.pending.archive_dir];
+
+/**
+ * Add a column unless the table already has it
+ * @param {Database} db - Database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type / constraints
+ * @returns {boolean} True if the column was added
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+  if (columns.includes(column)) return false;
+
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+const migrations = [
+  {
+    version: 1,
+    name: 'conversation history and update queue',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          role TEXT NOT NULL,
+          content TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_messages_user ON messages(user_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_messages_expires ON messages(expires_at);
+
+        CREATE TABLE IF NOT EXISTS pending_updates (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          target TEXT,
+          value TEXT,
+          submitted_by TEXT NOT NULL,
+          submitted_at TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          source TEXT,
+          processed_at TEXT,
+          edited_at TEXT,
+          edited_by TEXT,
+          note TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_updates_status ON pending_updates(status, submitted_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_updates_submitter ON pending_updates(submitted_by);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'knowledge base search index',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS kb_documents (
+          doc_key TEXT PRIMARY KEY,
+          filename TEXT NOT NULL,
+          content_hash TEXT NOT NULL,
+          chunk_count INTEGER NOT NULL DEFAULT 0,
+          indexed_at TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS kb_chunks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          doc_key TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          heading TEXT,
+          content TEXT NOT NULL,
+          terms TEXT NOT NULL,
+          length INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_kb_chunks_doc ON kb_chunks(doc_key, position);
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'long-term memories and candidates',
+    up(db) {
+      db.exec(`
+        -- Approved memories (long-term storage)
+        CREATE TABLE IF NOT EXISTS memories (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,           -- 'decision', 'preference', 'fact', 'action', 'context'
+          content TEXT NOT NULL,        -- The actual memory content
+          context TEXT,                 -- Additional context (e.g., meeting name)
+          source TEXT,                  -- 'slack-thread', 'slack-dm'
+          channel TEXT,                 -- Slack channel name
+          thread_ts TEXT,               -- Slack thread timestamp
+          submitted_by TEXT,            -- User who triggered the memory
+          approved_by TEXT,             -- Admin who approved
+          created_at TEXT DEFAULT (datetime('now')),
+          approved_at TEXT,
+          tags TEXT                     -- JSON array of tags for search
+        );
+
+        -- Pending memory candidates (waiting for approval)
+        CREATE TABLE IF NOT EXISTS memory_candidates (
+          id TEXT PRIMARY KEY,
+          source TEXT NOT NULL,         -- 'slack-thread', 'slack-dm'
+          channel TEXT,
+          channel_name TEXT,
+          thread_ts TEXT,
+          thread_url TEXT,              -- Slack permalink to thread
+          raw_messages TEXT,            -- JSON array of original messages
+          extracted_memories TEXT,      -- JSON array of extracted memory objects
+          submitted_by TEXT,
+          submitted_at TEXT DEFAULT (datetime('now')),
+          status TEXT DEFAULT 'pending', -- 'pending', 'approved', 'rejected'
+          reviewed_by TEXT,
+          reviewed_at TEXT,
+          notes TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(type);
+        CREATE INDEX IF NOT EXISTS idx_memories_created ON memories(created_at);
+        CREATE INDEX IF NOT EXISTS idx_candidates_status ON memory_candidates(status);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'memory thread permalinks',
+    up(db) {
+      if (!addColumnIfMissing(db, 'memories', 'thread_url', 'TEXT')) return;
+
+      // Backfill permalinks from the candidates the memories were approved from
+      db.exec(`
+        UPDATE memories SET thread_url = (
+          SELECT c.thread_url FROM memory_candidates c
+          WHERE c.thread_ts = memories.thread_ts AND c.thread_url IS NOT NULL
+          LIMIT 1
+        )
+        WHERE thread_url IS NULL AND thread_ts IS NOT NULL
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'memory full-text index',
+    up(db) {
+      // The trigram tokenizer matches any substring of 3+ characters,
+      // so Chinese works without word segmentation.
+      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'memories_fts'").get();
+
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+          id UNINDEXED,
+          content,
+          context,
+          tags,
+          tokenize = 'trigram'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS memories_fts_insert AFTER INSERT ON memories BEGIN
+          INSERT INTO memories_fts (id, content, context, tags)
+          VALUES (new.id, new.content, new.context, new.tags);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS memories_fts_delete AFTER DELETE ON memories BEGIN
+          DELETE FROM memories_fts WHERE id = old.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS memories_fts_update AFTER UPDATE OF id, content, context, tags ON memories BEGIN
+          DELETE FROM memories_fts WHERE id = old.id;
+          INSERT INTO memories_fts (id, content, context, tags)
+          VALUES (new.id, new.content, new.context, new.tags);
+        END;
+      `);
+
+      if (!exists) {
+        db.exec(`
+          INSERT INTO memories_fts (id, content, context, tags)
+          SELECT id, content, context, tags FROM memories
+        `);
+      }
+    }
+  },
+  {
+    version: 6,
+    name: 'memory expiry and supersession',
+    up(db) {
+      addColumnIfMissing(db, 'memories', 'valid_until', 'TEXT');    // YYYY-MM-DD after which the memory no longer applies
+      addColumnIfMissing(db, 'memories', 'superseded_by', 'TEXT');  // ID of the memory that replaced this one
+      addColumnIfMissing(db, 'memories', 'superseded_at', 'TEXT');
+    }
+  },
+  {
+    version: 7,
+    name: 'relay messages',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS relay_messages (
+          id TEXT PRIMARY KEY,
+          from_user TEXT NOT NULL,
+          from_user_name TEXT,
+          message TEXT NOT NULL,
+          channel TEXT,
+          channel_name TEXT,
+          thread_ts TEXT,
+          status TEXT DEFAULT 'pending',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          read_at DATETIME,
+          replied_at DATETIME,
+          reply_text TEXT
+        )
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'import legacy kitt.db',
+    up(db) {
+      // The search index is rebuilt from the KB files, so only history and updates move
+      if (!fs.existsSync(LEGACY_DB_PATH) || path.resolve(db.name) === LEGACY_DB_PATH) return;
+
+      const legacy = new Database(LEGACY_DB_PATH, { readonly: true, fileMustExist: true });
+      try {
+        const tables = legacy.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name);
+
+        if (tables.includes('messages')) {
+          const insert = db.prepare(`
+            INSERT INTO messages (user_id, role, content, created_at, expires_at)
+            VALUES (@user_id, @role, @content, @created_at, @expires_at)
+          `);
+          for (const row of legacy.prepare('SELECT * FROM messages ORDER BY id').all()) {
+            insert.run(row);
+          }
+        }
+
+        if (tables.includes('pending_updates')) {
+          const insert = db.prepare(`
+            INSERT OR IGNORE INTO pending_updates
+            (id, type, target, value, submitted_by, submitted_at, status, source, processed_at, edited_at, edited_by, note)
+            VALUES (@id, @type, @target, @value, @submitted_by, @submitted_at, @status, @source, @processed_at, @edited_at, @edited_by, @note)
+          `);
+          for (const row of legacy.prepare('SELECT * FROM pending_updates').all()) {
+            insert.run(row);
+          }
+        }
+      } finally {
+        legacy.close();
+      }
+
+      console.log(`[DB] Imported legacy data from ${LEGACY_DB_PATH} (the file can be removed once verified)`);
+    }
+  },
+  {
+    version: 9,
+    name: 'KB Manager submissions in the update queue',
+    up(db) {
+      addColumnIfMissing(db, 'pending_updates', 'kind', "TEXT NOT NULL DEFAULT 'quick'");  // 'quick' | 'kb'
+      addColumnIfMissing(db, 'pending_updates', 'tags', 'TEXT');                           // JSON array
+      addColumnIfMissing(db, 'pending_updates', 'file_url', 'TEXT');
+      addColumnIfMissing(db, 'pending_updates', 'submitter_name', 'TEXT');
+      addColumnIfMissing(db, 'pending_updates', 'reviewed_by', 'TEXT');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_updates_kind ON pending_updates(kind, status)');
+
+      // One-time import of pending-updates/*.json and pending-archive/*.json
+      const insert = db.prepare(`
+        INSERT OR IGNORE INTO pending_updates
+        (id, kind, type, value, tags, file_url, submitted_by, submitter_name, submitted_at,
+         status, source, processed_at, reviewed_by, edited_at, edited_by)
+        VALUES (?, 'kb', ?, ?, ?, ?, ?, ?, ?, ?, 'app_home', ?, ?, ?, ?)
+      `);
+
+      let imported = 0;
+      for (const dir of LEGACY_KB_DIRS) {
+        if (!fs.existsSync(dir)) continue;
+
+        for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+          let update;
+          try {
+            update = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+          } catch (error) {
+            console.warn(`[DB] Skipping unreadable KB submission ${file}: ${error.message}`);
+            continue;
+          }
+
+          const result = insert.run(
+            update.id || path.basename(file, '.json'),
+            update.type,
+            update.content || '',
+            JSON.stringify(update.tags || []),
+            update.file_url || null,
+            update.submitter?.id || 'unknown',
+            update.submitter?.name || null,
+            update.submitted_at || new Date().toISOString(),
+            update.status || 'pending',
+            update.approved_at || update.rejected_at || null,
+            update.approved_by || update.rejected_by || null,
+            update.edited_at || null,
+            update.edited_by || null
+          );
+          imported += result.changes;
+        }
+      }
+
+      if (imported > 0) {
+        console.log(`[DB] Imported ${imported} KB Manager submissions from JSON files`);
+      }
+    }
+  },
+  {
+    version: 10,
+    name: 'user roles',
+    up(db) {
+      // scope: '*' or 'type:<update type>' / 'file:<kb file>' (reviewers only)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS user_roles (
+          user_id TEXT NOT NULL,
+          role TEXT NOT NULL,
+          scope TEXT NOT NULL DEFAULT '*',
+          granted_by TEXT,
+          granted_at TEXT DEFAULT (datetime('now')),
+          PRIMARY KEY (user_id, role, scope)
+        );
+        CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'update approvals',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS update_approvals (
+          update_id TEXT NOT NULL REFERENCES pending_updates(id) ON DELETE CASCADE,
+          user_id TEXT NOT NULL,
+          approved_at TEXT DEFAULT (datetime('now')),
+          PRIMARY KEY (update_id, user_id)
+        );
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'knowledge base audit log',
+    up(db) {
+      // Append-only: the triggers reject any UPDATE or DELETE
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS kb_audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          created_at TEXT DEFAULT (datetime('now')),
+          actor TEXT NOT NULL,
+          action TEXT NOT NULL,
+          item_id TEXT,
+          file TEXT NOT NULL,
+          before_hash TEXT,
+          after_hash TEXT NOT NULL,
+          lines_added INTEGER NOT NULL DEFAULT 0,
+          lines_removed INTEGER NOT NULL DEFAULT 0,
+          diff TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_kb_audit_file ON kb_audit(file, id DESC);
+        CREATE INDEX IF NOT EXISTS idx_kb_audit_actor ON kb_audit(actor, id DESC);
+        CREATE INDEX IF NOT EXISTS idx_kb_audit_item ON kb_audit(item_id);
+
+        CREATE TRIGGER IF NOT EXISTS kb_audit_no_update BEFORE UPDATE ON kb_audit
+        BEGIN
+          SELECT RAISE(ABORT, 'kb_audit is append-only');
+        END;
+        CREATE TRIGGER IF NOT EXISTS kb_audit_no_delete BEFORE DELETE ON kb_audit
+        BEGIN
+          SELECT RAISE(ABORT, 'kb_audit is append-only');
+        END;
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'knowledge base write snapshots',
+    up(db) {
+      // Changed ## sections before/after each audited write, for /kitt revert
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS kb_snapshots (
+          audit_id INTEGER PRIMARY KEY REFERENCES kb_audit(id),
+          item_id TEXT,
+          path TEXT NOT NULL,
+          sections TEXT NOT NULL,
+          reverted_at TEXT,
+          reverted_by TEXT,
+          revert_audit_id INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_kb_snapshots_item ON kb_snapshots(item_id);
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'reviewed file hash',
+    up(db) {
+      // SHA-256 of the target file when reviewers were last shown the diff
+      addColumnIfMissing(db, 'pending_updates', 'base_hash', 'TEXT');
+    }
+  }
+];
+
+module.exports = {
+  migrations,
+  addColumnIfMissing,
+  LEGACY_DB_PATH,
+  LEGACY_KB_DIRS
+};
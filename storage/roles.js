@@ -0,0 +1,87 @@
+/**
+ * KITT User Roles Storage
+ *
+ * Role grants managed with /kitt role. Authorization decisions
+ * (what each role may do, scope matching) live in lib/auth.js.
+ */
+
+const { getDB } = require('./database');
+
+/**
+ * Map a user_roles row to a grant object.
+ * @param {Object} row - Database row
+ * @returns {Object} Grant
+ */
+function rowToGrant(row) {
+  return {
+    userId: row.user_id,
+    role: row.role,
+    scope: row.scope,
+    grantedBy: row.granted_by,
+    grantedAt: row.granted_at
+  };
+}
+
+/**
+ * Grant a role.
+ * @param {string} userId - Slack user ID
+ * @param {string} role - Role name
+ * @param {string} [scope='*'] - Scope
+ * @param {string} [grantedBy] - Slack user ID of the granting admin
+ * @returns {boolean} True if the grant is new
+ */
+function grantRole(userId, role, scope = '*', grantedBy = null) {
+  const db = getDB();
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO user_roles (user_id, role, scope, granted_by)
+    VALUES (?, ?, ?, ?)
+  `).run(userId, role, scope, grantedBy);
+  return result.changes > 0;
+}
+
+/**
+ * Revoke a role.
+ * @param {string} userId - Slack user ID
+ * @param {string} role - Role name
+ * @param {string} [scope] - Only this scope; all scopes of the role when omitted
+ * @returns {number} Number of grants removed
+ */
+function revokeRole(userId, role, scope = null) {
+  const db = getDB();
+  const result = scope
+    ? db.prepare('DELETE FROM user_roles WHERE user_id = ? AND role = ? AND scope = ?').run(userId, role, scope)
+    : db.prepare('DELETE FROM user_roles WHERE user_id = ? AND role = ?').run(userId, role);
+  return result.changes;
+}
+
+/**
+ * Get one user's grants.
+ * @param {string} userId - Slack user ID
+ * @returns {Array} Grants
+ */
+function getUserGrants(userId) {
+  const db = getDB();
+  return db.prepare('SELECT * FROM user_roles WHERE user_id = ? ORDER BY role, scope')
+    .all(userId)
+    .map(rowToGrant);
+}
+
+/**
+ * Get all grants, optionally for one role.
+ * @param {string} [role] - Role name
+ * @returns {Array} Grants
+ */
+function getAllGrants(role = null) {
+  const db = getDB();
+  const rows = role
+    ? db.prepare('SELECT * FROM user_roles WHERE role = ? ORDER BY granted_at').all(role)
+    : db.prepare('SELECT * FROM user_roles ORDER BY role, user_id, scope').all();
+  return rows.map(rowToGrant);
+}
+
+module.exports = {
+  grantRole,
+  revokeRole,
+  getUserGrants,
+  getAllGrants
+};
@@ -2,11 +2,47 @@
  * KITT Pending Updates Storage
  *
  * Handles pending update persistence in SQLite.
- * Replaces the JSON file-based storage.
+ * One queue for both kinds of submission:
+ * - 'quick': /kitt update and DM-detected updates (target → value)
+ * - 'kb':    KB Manager submissions from App Home (content + tags, archived into PM docs)
+ *
+ * Status moves pending → processing → approved/rejected, and approved →
+ * reverted when /kitt revert rolls the change back. Every transition is a
+ * conditional UPDATE, so two reviewers cannot process the same item.
+ * Individual reviewer approvals (for multi-approver policies, see
+ * lib/approval-policy.js) are kept in update_approvals.
  */
 
 const { getDB } = require('./database');
 
+/**
+ * Map a pending_updates row to an update object.
+ * @param {Object} row - Database row
+ * @returns {Object} Update
+ */
+function rowToUpdate(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    type: row.type,
+    target: row.target,
+    value: row.value,
+    tags: JSON.parse(row.tags || '[]'),
+    fileUrl: row.file_url,
+    submittedBy: row.submitted_by,
+    submitterName: row.submitter_name,
+    submittedAt: row.submitted_at,
+    status: row.status,
+    source: row.source,
+    processedAt: row.processed_at,
+    reviewedBy: row.reviewed_by,
+    editedAt: row.edited_at,
+    editedBy: row.edited_by,
+    baseHash: row.base_hash,
+    note: row.note
+  };
+}
+
 /**
  * Generate a short unique ID for updates.
  * @returns {string} 6-character uppercase ID
@@ -18,11 +54,15 @@ function generateUpdateId() {
 /**
  * Create a new pending update.
  * @param {Object} data - Update data
- * @param {string} data.type - Update type (oem, pending, contact, ces, admin_correction, general)
- * @param {string} data.target - What is being updated
+ * @param {string} [data.kind='quick'] - Queue kind ('quick' or 'kb')
+ * @param {string} data.type - Update type (oem, pending, contact, ces, admin_correction, general; KB: meeting, customer, ...)
+ * @param {string} [data.target] - What is being updated
  * @param {string} data.value - The update content
+ * @param {Array<string>} [data.tags] - KB tags
+ * @param {string} [data.fileUrl] - Attached file link
  * @param {string} data.submittedBy - Slack user ID of submitter
- * @param {string} [data.source] - Source of update (dm, admin_dm)
+ * @param {string} [data.submitterName] - Display name of submitter
+ * @param {string} [data.source] - Source of update (dm, admin_dm, app_home)
  * @returns {Object} The created update with ID
  */
 function createUpdate(data) {
@@ -31,97 +71,78 @@ function createUpdate(data) {
   const submittedAt = new Date().toISOString();
 
   const insert = db.prepare(`
-    INSERT INTO pending_updates (id, type, target, value, submitted_by, submitted_at, status, source)
-    VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)
+    INSERT INTO pending_updates
+    (id, kind, type, target, value, tags, file_url, submitted_by, submitter_name, submitted_at, status, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)
   `);
 
-  insert.run(id, data.type, data.target, data.value, data.submittedBy, submittedAt, data.source || null);
-
-  return {
+  insert.run(
     id,
-    type: data.type,
-    target: data.target,
-    value: data.value,
-    submittedBy: data.submittedBy,
+    data.kind || 'quick',
+    data.type,
+    data.target || null,
+    data.value,
+    JSON.stringify(data.tags || []),
+    data.fileUrl || null,
+    data.submittedBy,
+    data.submitterName || null,
     submittedAt,
-    status: 'pending',
-    source: data.source || null
-  };
+    data.source || null
+  );
+
+  return getUpdate(id);
 }
 
 /**
  * Get a single update by ID.
  * @param {string} id - Update ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.kind] - Only return an update of this kind
  * @returns {Object|null} The update or null if not found
  */
-function getUpdate(id) {
+function getUpdate(id, options = {}) {
   const db = getDB();
   const select = db.prepare('SELECT * FROM pending_updates WHERE id = ?');
   const row = select.get(id);
 
-  if (!row) return null;
+  if (!row || (options.kind && row.kind !== options.kind)) return null;
 
-  return {
-    id: row.id,
-    type: row.type,
-    target: row.target,
-    value: row.value,
-    submittedBy: row.submitted_by,
-    submittedAt: row.submitted_at,
-    status: row.status,
-    source: row.source,
-    processedAt: row.processed_at,
-    editedAt: row.edited_at,
-    editedBy: row.edited_by,
-    note: row.note
-  };
+  return rowToUpdate(row);
 }
 
 /**
  * Get all pending updates.
+ * @param {Object} [options] - Query options
+ * @param {string} [options.kind] - Filter by kind ('quick' or 'kb')
  * @returns {Array} Array of pending updates
  */
-function getPendingUpdates() {
-  const db = getDB();
-  const select = db.prepare(`
-    SELECT * FROM pending_updates
-    WHERE status = 'pending'
-    ORDER BY submitted_at DESC
-  `);
-
-  return select.all().map(row => ({
-    id: row.id,
-    type: row.type,
-    target: row.target,
-    value: row.value,
-    submittedBy: row.submitted_by,
-    submittedAt: row.submitted_at,
-    status: row.status,
-    source: row.source,
-    processedAt: row.processed_at,
-    editedAt: row.edited_at,
-    editedBy: row.edited_by,
-    note: row.note
-  }));
+function getPendingUpdates(options = {}) {
+  return getAllUpdates({ ...options, status: 'pending' });
 }
 
 /**
  * Get all updates (including processed).
  * @param {Object} [options] - Query options
  * @param {string} [options.status] - Filter by status
+ * @param {string} [options.kind] - Filter by kind ('quick' or 'kb')
  * @param {number} [options.limit] - Limit results
  * @returns {Array} Array of updates
  */
 function getAllUpdates(options = {}) {
   const db = getDB();
-  let sql = 'SELECT * FROM pending_updates';
+  let sql = 'SELECT * FROM pending_updates WHERE 1 = 1';
   const params = [];
 
   if (options.status) {
-    sql += ' WHERE status = ?';
+    sql += ' AND status = ?';
     params.push(options.status);
   }
 
+  if (options.kind) {
+    sql += ' AND kind = ?';
+    params.push(options.kind);
+  }
+
   sql += ' ORDER BY submitted_at DESC';
 
   if (options.limit) {
@@ -129,45 +150,82 @@ function getAllUpdates(options = {}) {
     params.push(options.limit);
   }
 
-  return db.prepare(sql).all(...params).map(row => ({
-    id: row.id,
-    type: row.type,
-    target: row.target,
-    value: row.value,
-    submittedBy: row.submitted_by,
-    submittedAt: row.submitted_at,
-    status: row.status,
-    source: row.source,
-    processedAt: row.processed_at,
-    editedAt: row.edited_at,
-    editedBy: row.edited_by,
-    note: row.note
-  }));
+  return db.prepare(sql).all(...params).map(rowToUpdate);
 }
 
 /**
- * Update the status of an update (approve/reject).
+ * Move an update from one status to another, only if it is still in `from`.
  * @param {string} id - Update ID
- * @param {string} status - New status ('approved' or 'rejected')
- * @param {string} [note] - Optional note
- * @returns {boolean} True if updated, false if not found
+ * @param {string} from - Expected current status
+ * @param {string} to - New status
+ * @param {Object} [fields] - Extra fields
+ * @param {string} [fields.reviewedBy] - Slack user ID of reviewer
+ * @param {string} [fields.note] - Optional note
+ * @returns {boolean} True if the transition happened
  */
-function updateStatus(id, status, note = null) {
+function transitionStatus(id, from, to, fields = {}) {
   const db = getDB();
-  const processedAt = new Date().toISOString();
+  const processedAt = ['approved', 'rejected'].includes(to) ? new Date().toISOString() : null;
 
   const update = db.prepare(`
     UPDATE pending_updates
-    SET status = ?, processed_at = ?, note = COALESCE(?, note)
-    WHERE id = ? AND status = 'pending'
+    SET status = ?,
+        processed_at = COALESCE(?, processed_at),
+        reviewed_by = COALESCE(?, reviewed_by),
+        note = COALESCE(?, note)
+    WHERE id = ? AND status = ?
   `);
 
-  const result = update.run(status, processedAt, note, id);
+  const result = update.run(to, processedAt, fields.reviewedBy || null, fields.note || null, id, from);
   return result.changes > 0;
 }
 
+/**
+ * Update the status of a pending update (approve/reject).
+ * @param {string} id - Update ID
+ * @param {string} status - New status ('approved' or 'rejected')
+ * @param {string} [note] - Optional note
+ * @param {string} [reviewedBy] - Slack user ID of reviewer
+ * @returns {boolean} True if updated, false if not found or already processed
+ */
+function updateStatus(id, status, note = null, reviewedBy = null) {
+  return transitionStatus(id, 'pending', status, { note, reviewedBy });
+}
+
+/**
+ * Claim a pending update for processing (e.g. while it is archived and synced).
+ * Only one caller can claim an update; release or finish it afterwards.
+ * @param {string} id - Update ID
+ * @param {string} reviewedBy - Slack user ID of reviewer
+ * @returns {boolean} True if claimed
+ */
+function claimUpdate(id, reviewedBy) {
+  return transitionStatus(id, 'pending', 'processing', { reviewedBy });
+}
+
+/**
+ * Finish a claimed update.
+ * @param {string} id - Update ID
+ * @param {string} status - Final status ('approved' or 'rejected')
+ * @param {string} [note] - Optional note
+ * @returns {boolean} True if updated
+ */
+function finishUpdate(id, status, note = null) {
+  return transitionStatus(id, 'processing', status, { note });
+}
+
+/**
+ * Return a claimed update to the queue (processing failed).
+ * @param {string} id - Update ID
+ * @returns {boolean} True if released
+ */
+function releaseUpdate(id) {
+  return transitionStatus(id, 'processing', 'pending');
+}
+
 /**
  * Edit an update before approving.
+ * Changing the content clears earlier approvals - they approved the old text.
  * @param {string} id - Update ID
  * @param {string} target - New target value
  * @param {string} value - New value
@@ -177,17 +235,80 @@ function updateStatus(id, status, note = null) {
 function editUpdate(id, target, value, editedBy) {
   const db = getDB();
   const editedAt = new Date().toISOString();
+  const before = getUpdate(id);
 
+  // A claimed (processing) update may still be edited by the reviewer holding it
   const update = db.prepare(`
     UPDATE pending_updates
     SET target = ?, value = ?, edited_at = ?, edited_by = ?
-    WHERE id = ? AND status = 'pending'
+    WHERE id = ? AND status IN ('pending', 'processing')
   `);
 
-  const result = update.run(target, value, editedAt, editedBy, id);
+  const edit = db.transaction(() => {
+    const result = update.run(target, value, editedAt, editedBy, id);
+    if (result.changes > 0 && before && (before.target !== target || before.value !== value)) {
+      db.prepare('DELETE FROM update_approvals WHERE update_id = ?').run(id);
+    }
+    return result.changes > 0;
+  });
+
+  return edit();
+}
+
+/**
+ * Mark an approved update as reverted.
+ * @param {string} id - Update ID
+ * @param {string} revertedBy - Slack user ID
+ * @returns {boolean} True if updated, false if not approved
+ */
+function markReverted(id, revertedBy) {
+  return transitionStatus(id, 'approved', 'reverted', {
+    note: `Reverted by ${revertedBy} at ${new Date().toISOString()}`
+  });
+}
+
+/**
+ * Remember the knowledge file hash reviewers' diffs are computed from: set
+ * when an update is queued or edited, and when a reviewer approves a newer
+ * diff. Approving checks the file still has this hash (see lib/kb-writer.js).
+ * @param {string} id - Update ID
+ * @param {string|null} hash - SHA-256 of the target file, null if unknown
+ * @returns {boolean} True if updated
+ */
+function setBaseHash(id, hash) {
+  const db = getDB();
+  const result = db.prepare('UPDATE pending_updates SET base_hash = ? WHERE id = ?').run(hash, id);
   return result.changes > 0;
 }
 
+/**
+ * Record one reviewer's approval of an update.
+ * @param {string} id - Update ID
+ * @param {string} userId - Slack user ID of reviewer
+ * @returns {boolean} True if this is a new approval
+ */
+function addApproval(id, userId) {
+  const db = getDB();
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO update_approvals (update_id, user_id) VALUES (?, ?)
+  `).run(id, userId);
+  return result.changes > 0;
+}
+
+/**
+ * Get the approvals recorded for an update, oldest first.
+ * @param {string} id - Update ID
+ * @returns {Array} [{userId, approvedAt}]
+ */
+function getApprovals(id) {
+  const db = getDB();
+  return db.prepare(`
+    SELECT user_id, approved_at FROM update_approvals
+    WHERE update_id = ?
+    ORDER BY approved_at, rowid
+  `).all(id).map(row => ({ userId: row.user_id, approvedAt: row.approved_at }));
+}
+
 /**
  * Delete an update (hard delete).
  * @param {string} id - Update ID
@@ -212,20 +333,7 @@ function getUpdatesByUser(userId) {
     ORDER BY submitted_at DESC
   `);
 
-  return select.all(userId).map(row => ({
-    id: row.id,
-    type: row.type,
-    target: row.target,
-    value: row.value,
-    submittedBy: row.submitted_by,
-    submittedAt: row.submitted_at,
-    status: row.status,
-    source: row.source,
-    processedAt: row.processed_at,
-    editedAt: row.edited_at,
-    editedBy: row.edited_by,
-    note: row.note
-  }));
+  return select.all(userId).map(rowToUpdate);
 }
 
 module.exports = {
@@ -235,7 +343,15 @@ module.exports = {
   getPendingUpdates,
   getAllUpdates,
   updateStatus,
+  transitionStatus,
+  claimUpdate,
+  finishUpdate,
+  markReverted,
+  releaseUpdate,
   editUpdate,
+  setBaseHash,
+  addApproval,
+  getApprovals,
   deleteUpdate,
   getUpdatesByUser
 };
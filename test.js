@@ -0,0 +1,306 @@
+/**
+ * KITT checks (npm test)
+ *
+ * Plain node + assert, no test framework: each check prints ✓ or ✗ and
+ * the process exits 1 if any failed.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Approval checks write to update_approvals: use a throwaway database
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kitt-test-'));
+process.env.KITT_DB_PATH = path.join(tmpDir, 'kitt.db');
+
+const KB_CONFIG = require('./services/kb-config');
+const { parseFrontMatter } = require('./lib/front-matter');
+const { documentMeta, isSearchable, matchesAny } = require('./lib/kb-sources');
+const { tokenize, termFrequencies } = require('./lib/tokenizer');
+const { parseMarkdown, findSection, getField, getTable, getTasks, setField, appendTableRow, appendToSection } = require('./lib/markdown-sections');
+const { diffLines, unifiedDiff, diffStats } = require('./lib/text-diff');
+const { getApprovalPolicy, recordApproval, formatApprovalState } = require('./lib/approval-policy');
+const { createUpdate } = require('./storage/updates');
+
+const checks = [];
+
+/**
+ * Register a check
+ * @param {string} name - What is being checked
+ * @param {Function} fn - Throws on failure
+ */
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+/**
+ * Would loadKnowledgeFile put this note in the search index?
+ * @param {string} text - File content
+ * @returns {boolean}
+ */
+function searchable(text) {
+  const { data, error } = parseFrontMatter(text);
+  return isSearchable(documentMeta(data), error);
+}
+
+// ─── Front matter ────────────────────────────────────────────────────────
+
+check('reads scalars, inline lists and block lists', () => {
+  const { data, body, error } = parseFrontMatter('---\nowner: "Lman"\ntags: [oem, \'hp\']\naliases:\n  - a\n  - b\n---\n# Note\n');
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(data, { owner: 'Lman', tags: ['oem', 'hp'], aliases: ['a', 'b'] });
+  assert.strictEqual(body, '# Note\n');
+});
+
+check('reads folded and literal blocks', () => {
+  const { data, error } = parseFrontMatter('---\nsummary: >\n  first line\n  second line\nnotes: |-\n  a\n  b\nvisibility: private\n---\nbody');
+  assert.strictEqual(error, null);
+  assert.strictEqual(data.summary, 'first line second line');
+  assert.strictEqual(data.notes, 'a\nb');
+  assert.strictEqual(data.visibility, 'private');
+});
+
+check('reads CRLF front matter and keeps the body as written', () => {
+  const { data, body, error } = parseFrontMatter('---\r\nowner: Lman\r\ntags:\r\n  - a\r\nsummary: >\r\n  one\r\n  two\r\n---\r\n# Note\r\nbody\r\n');
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(data, { owner: 'Lman', tags: ['a'], summary: 'one two' });
+  assert.strictEqual(body, '# Note\r\nbody\r\n');
+});
+
+check('text without front matter is all body', () => {
+  assert.deepStrictEqual(parseFrontMatter('# Title\n---\n'), { data: {}, body: '# Title\n---\n', error: null });
+});
+
+check('a bad line is reported, keeping only visibility', () => {
+  const { data, error } = parseFrontMatter('---\nowner: Lman\nvisibility: private\n? complex key\n---\nbody');
+  assert.match(error, /line 4/);
+  assert.deepStrictEqual(data, { visibility: 'private' });
+});
+
+check('unclosed front matter is reported', () => {
+  const { data, error } = parseFrontMatter('---\nvisibility: private\nbody');
+  assert.match(error, /not closed/);
+  assert.deepStrictEqual(data, { visibility: 'private' });
+});
+
+// ─── Search visibility ──────────────────────────────────────────────────
+
+check('plain and public notes are searchable', () => {
+  assert.strictEqual(searchable('# Note\nbody'), true);
+  assert.strictEqual(searchable('---\nowner: Lman\n---\nbody'), true);
+  assert.strictEqual(searchable('---\r\nowner: Lman\r\n---\r\nbody'), true);
+});
+
+check('private notes are not searchable, in any case', () => {
+  assert.strictEqual(searchable('---\nvisibility: private\n---\nbody'), false);
+  assert.strictEqual(searchable('---\nvisibility: Private\n---\nbody'), false);
+  assert.strictEqual(searchable('---\r\nvisibility: private\r\n---\r\nbody'), false);
+  assert.strictEqual(searchable('---\nsummary: >\n  folded\n  text\nvisibility: private\n---\nbody'), false);
+});
+
+check('front matter that fails to parse is not searchable', () => {
+  assert.strictEqual(searchable('---\nvisibility: private\nsummary: {a: 1\n  b}\n---\nbody'), false);
+  assert.strictEqual(searchable('---\nowner Lman\n---\nbody'), false);
+  assert.strictEqual(searchable('---\nvisibility: private\nbody'), false);
+});
+
+// ─── Tokenizer ───────────────────────────────────────────────────────────
+
+check('counts terms that are Object.prototype names', () => {
+  const tf = termFrequencies(tokenize('constructor toString constructor hasOwnProperty'));
+  assert.strictEqual(tf.constructor, 2);
+  assert.strictEqual(tf.tostring, 1);
+  assert.strictEqual(tf.hasownproperty, 1);
+  assert.strictEqual(Object.hasOwn(tf, 'valueof'), false);
+  assert.strictEqual(JSON.parse(JSON.stringify(tf)).constructor, 2);
+});
+
+// ─── Source globs ────────────────────────────────────────────────────────
+
+check('* and ? stay within one folder', () => {
+  assert.strictEqual(matchesAny('note.md', ['*.md']), true);
+  assert.strictEqual(matchesAny('meetings/note.md', ['*.md']), false);
+  assert.strictEqual(matchesAny('2024-01.md', ['2024-0?.md']), true);
+  assert.strictEqual(matchesAny('2024-0/.md', ['2024-0?.md']), false);
+});
+
+check('** spans zero or more folders', () => {
+  assert.strictEqual(matchesAny('note.md', ['**/*.md']), true);
+  assert.strictEqual(matchesAny('meetings/2024/q1/note.md', ['meetings/**/*.md']), true);
+  assert.strictEqual(matchesAny('meetings/note.md', ['meetings/**/*.md']), true);
+  assert.strictEqual(matchesAny('archive/a/b.txt', ['archive/**']), true);
+  assert.strictEqual(matchesAny('other/note.md', ['meetings/**/*.md']), false);
+});
+
+check('{a,b} picks an alternative; other characters are literal', () => {
+  assert.strictEqual(matchesAny('notes/a.md', ['{notes,meetings}/*.md']), true);
+  assert.strictEqual(matchesAny('meetings/a.md', ['{notes,meetings}/*.md']), true);
+  assert.strictEqual(matchesAny('drafts/a.md', ['{notes,meetings}/*.md']), false);
+  assert.strictEqual(matchesAny('noteXmd', ['note.md']), false);
+  assert.strictEqual(matchesAny('a{b.md', ['a{b.md']), true);
+  assert.strictEqual(matchesAny('a.md', []), false);
+});
+
+// ─── Markdown sections ──────────────────────────────────────────────────
+
+const PM_NOTE = [
+  '# PM Memory',
+  '## 🧠 決策脈絡',
+  '**狀態**: 進行中',
+  '| 日期 | 決策 |',
+  '|---|---|',
+  '| 1/2 | Ship |',
+  '```',
+  '# not a heading',
+  '```',
+  '',
+  '## 待辦追蹤',
+  '### 等待回覆',
+  '- [ ] Ping HP',
+  '- [x] Send deck',
+  '',
+  '---',
+  ''
+].join('\n');
+
+check('finds sections by heading path, ignoring emoji and case', () => {
+  const doc = parseMarkdown(PM_NOTE, { name: 'pm.md' });
+  assert.strictEqual(findSection(doc, ['決策脈絡']).title, '🧠 決策脈絡');
+  assert.strictEqual(findSection(doc, ['pm memory', '等待回覆']).level, 3);
+  assert.strictEqual(findSection(doc, [/^待辦/]).title, '待辦追蹤');
+  assert.strictEqual(doc.sections.some(s => s.title === 'not a heading'), false);
+});
+
+check('a missing heading path names the file and the last heading found', () => {
+  const doc = parseMarkdown(PM_NOTE, { name: 'pm.md' });
+  assert.throws(() => findSection(doc, ['待辦追蹤', '已完成']),
+    { message: 'Section "待辦追蹤 › 已完成" not found in pm.md: no heading "已完成" under "## 待辦追蹤"' });
+  assert.throws(() => findSection(doc, ['Roadmap']),
+    { message: 'Section "Roadmap" not found in pm.md: no heading "Roadmap"' });
+  assert.throws(() => findSection(doc, ['決策脈絡', '等待回覆']), /no heading "等待回覆" under "## 🧠 決策脈絡"/);
+});
+
+check('reads fields, tables and tasks from a section', () => {
+  const doc = parseMarkdown(PM_NOTE);
+  const decisions = findSection(doc, ['決策脈絡']);
+  assert.deepStrictEqual(getField(doc, decisions, '狀態'), { value: '進行中', line: 2 });
+  assert.strictEqual(getField(doc, decisions, 'Owner'), null);
+  const table = getTable(doc, decisions);
+  assert.deepStrictEqual(table.header, ['日期', '決策']);
+  assert.deepStrictEqual(table.rows.map(r => r.cells), [['1/2', 'Ship']]);
+  assert.deepStrictEqual(getTasks(doc, findSection(doc, ['等待回覆'])).map(t => [t.done, t.text]),
+    [[false, 'Ping HP'], [true, 'Send deck']]);
+});
+
+check('edits change only the touched lines', () => {
+  const doc = parseMarkdown(PM_NOTE, { name: 'pm.md' });
+  const decisions = findSection(doc, ['決策脈絡']);
+  assert.strictEqual(setField(doc, decisions, '狀態', '完成'), PM_NOTE.replace('進行中', '完成'));
+  assert.strictEqual(appendTableRow(doc, decisions, ['1/3', 'a|b']),
+    PM_NOTE.replace('| 1/2 | Ship |\n', '| 1/2 | Ship |\n| 1/3 | a\\|b |\n'));
+  assert.strictEqual(appendToSection(doc, findSection(doc, ['等待回覆']), '- [ ] Call ASUS', { beforeRule: true }),
+    PM_NOTE.replace('- [x] Send deck\n', '- [x] Send deck\n- [ ] Call ASUS\n'));
+  assert.throws(() => setField(doc, decisions, 'Owner', 'x'), /"## 🧠 決策脈絡" in pm.md has no \*\*Owner\*\* field/);
+  assert.throws(() => appendTableRow(doc, findSection(doc, ['等待回覆']), ['x']), /has no table/);
+});
+
+// ─── Text diff ───────────────────────────────────────────────────────────
+
+check('diffs lines around the common prefix and suffix', () => {
+  assert.deepStrictEqual(diffLines(['a', 'b', 'c'], ['a', 'B', 'c']),
+    [{ op: ' ', line: 'a' }, { op: '-', line: 'b' }, { op: '+', line: 'B' }, { op: ' ', line: 'c' }]);
+  assert.deepStrictEqual(diffLines(['a'], ['a']), [{ op: ' ', line: 'a' }]);
+});
+
+check('unified diffs have headers, hunks and counts', () => {
+  const diff = unifiedDiff('a\nb\nc\n', 'a\nB\nc\nd\n', { fromFile: 'pm.md', toFile: 'pm.md' });
+  assert.strictEqual(diff, '--- pm.md\n+++ pm.md\n@@ -1,3 +1,4 @@\n a\n-b\n+B\n c\n+d\n');
+  assert.deepStrictEqual(diffStats(diff), { added: 2, removed: 1 });
+  assert.strictEqual(unifiedDiff('', 'x\n'), '--- a\n+++ b\n@@ -0,0 +1,1 @@\n+x\n');
+  assert.strictEqual(unifiedDiff('same\n', 'same\n'), '');
+});
+
+check('far-apart changes get separate hunks; rules in content are counted', () => {
+  const before = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+  const after = before.replace('line 1\n', 'line one\n').replace('line 18', '---');
+  const diff = unifiedDiff(before, after);
+  assert.deepStrictEqual(diff.split('\n').filter(line => line.startsWith('@@')), ['@@ -1,5 +1,5 @@', '@@ -16,5 +16,5 @@']);
+  assert.deepStrictEqual(diffStats(diff), { added: 2, removed: 2 });
+});
+
+// ─── Approval policies ──────────────────────────────────────────────────
+
+/**
+ * Queue an update of a type with the given policy
+ * @param {Object} policy - approval_policies entry
+ * @returns {Object} Update
+ */
+function updateWithPolicy(policy) {
+  const type = `test-${Object.keys(KB_CONFIG.approval_policies).length}`;
+  KB_CONFIG.approval_policies[type] = policy;
+  return createUpdate({ type, value: 'v', submittedBy: 'USUBMIT' });
+}
+
+check('policies fall back to the default and clamp quorum', () => {
+  assert.deepStrictEqual(getApprovalPolicy('no-such-type'), { quorum: 1, required_approvers: [], auto_approve: [] });
+  assert.strictEqual(getApprovalPolicy(updateWithPolicy({ quorum: 0 }).type).quorum, 1);
+  assert.strictEqual(getApprovalPolicy(updateWithPolicy({ quorum: '3' }).type).quorum, 3);
+});
+
+check('a single approval satisfies the default policy', () => {
+  const update = updateWithPolicy({});
+  const state = recordApproval(update, 'U1');
+  assert.strictEqual(state.satisfied, true);
+  assert.strictEqual(formatApprovalState(state), '👥 *Approvals 1/1*: <@U1>');
+  assert.strictEqual(recordApproval(update, 'U1').added, false);
+});
+
+check('quorum counts distinct reviewers', () => {
+  const update = updateWithPolicy({ quorum: 2 });
+  assert.strictEqual(recordApproval(update, 'U1').remaining, 1);
+  assert.strictEqual(recordApproval(update, 'U1').remaining, 1);
+  const state = recordApproval(update, 'U2');
+  assert.strictEqual(state.satisfied, true);
+  assert.strictEqual(formatApprovalState(state), '👥 *Approvals 2/2*: <@U1>, <@U2>');
+});
+
+check('a required approver is needed even once quorum is met', () => {
+  const update = updateWithPolicy({ quorum: 2, required_approvers: ['UBOSS'] });
+  recordApproval(update, 'U1');
+  const state = recordApproval(update, 'U2');
+  assert.strictEqual(state.satisfied, false);
+  assert.deepStrictEqual(state.missingRequired, ['UBOSS']);
+  assert.strictEqual(formatApprovalState(state), '👥 *Approvals 2/2*: <@U1>, <@U2> · waiting on <@UBOSS>');
+  assert.strictEqual(recordApproval(update, 'UBOSS').satisfied, true);
+});
+
+check('required approvers alone can exceed the quorum', () => {
+  const update = updateWithPolicy({ quorum: 1, required_approvers: ['UA', 'UB'] });
+  assert.strictEqual(recordApproval(update, 'UA').remaining, 1);
+  assert.strictEqual(recordApproval(update, 'U1').remaining, 1);
+  assert.strictEqual(recordApproval(update, 'UB').satisfied, true);
+});
+
+check('a required approver counts toward the quorum', () => {
+  const update = updateWithPolicy({ quorum: 2, required_approvers: ['UBOSS'] });
+  assert.strictEqual(recordApproval(update, 'UBOSS').remaining, 1);
+  assert.strictEqual(recordApproval(update, 'U1').satisfied, true);
+});
+
+let failed = 0;
+for (const { name, fn } of checks) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`✗ ${name}\n  ${error.message.split('\n').join('\n  ')}`);
+  }
+}
+
+require('./storage/database').closeDB();
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+process.exit(failed ? 1 : 0);
@@ -3,6 +3,8 @@
  * Converts standard Markdown to Slack's mrkdwn format
  */
 
+const { diffStats } = require('../lib/text-diff');
+
 /**
  * Convert Markdown to Slack mrkdwn
  * @param {string} text - Markdown formatted text
@@ -38,4 +40,73 @@ function formatForSlack(text) {
   return result;
 }
 
-module.exports = { formatForSlack };
+// Slack section blocks accept at most 3000 characters of text
+const SECTION_TEXT_LIMIT = 3000;
+
+/**
+ * Format a cited source as a short label
+ * @param {Object} source - { kind: 'kb', file, heading } or { kind: 'memory', id, permalink }
+ * @returns {string} mrkdwn label
+ */
+function formatSourceLabel(source) {
+  const prefix = source.n ? `[${source.n}] ` : '';
+
+  if (source.kind === 'memory') {
+    const link = source.permalink ? ` · <${source.permalink}|thread>` : '';
+    return `${prefix}🧠 \`${source.id}\`${link}`;
+  }
+
+  return `${prefix}📄 ${source.file}${source.heading ? ` › ${source.heading}` : ''}`;
+}
+
+/**
+ * Build Slack blocks for an AI answer with a sources context block
+ * @param {string} text - Answer text (already in mrkdwn)
+ * @param {Array} [sources] - Cited sources
+ * @returns {Array} Slack blocks
+ */
+function buildAnswerBlocks(text, sources = []) {
+  const blocks = [];
+
+  for (let i = 0; i < text.length || i === 0; i += SECTION_TEXT_LIMIT) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: text.slice(i, i + SECTION_TEXT_LIMIT) || ' ' }
+    });
+  }
+
+  if (sources.length > 0) {
+    // Context blocks allow at most 10 elements
+    blocks.push({
+      type: 'context',
+      elements: [
+        { type: 'mrkdwn', text: '*Sources:*' },
+        ...sources.slice(0, 9).map(source => ({ type: 'mrkdwn', text: formatSourceLabel(source) }))
+      ]
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Show a unified diff as a code block for review messages
+ * @param {string} diff - From unifiedDiff() ('' when nothing changes)
+ * @param {string} file - File name for the heading
+ * @param {number} [maxChars=1500] - Truncate the diff body beyond this
+ * @returns {string} mrkdwn
+ */
+function formatDiffPreview(diff, file, maxChars = 1500) {
+  if (!diff) return `🔍 *Preview:* no change to \`${file}\``;
+
+  const { added, removed } = diffStats(diff);
+  // Drop the ---/+++ header; a ``` inside the diff would end the code block
+  let body = diff.split('\n').slice(2).join('\n').trimEnd().replace(/```/g, 'ˋˋˋ');
+  if (body.length > maxChars) {
+    body = `${body.slice(0, maxChars)}\n… (${body.length - maxChars} more characters)`;
+  }
+
+  return `🔍 *Preview of \`${file}\`* (+${added} -${removed})\n\`\`\`${body}\`\`\``;
+}
+
+module.exports = { formatForSlack, formatSourceLabel, buildAnswerBlocks, formatDiffPreview };
@@ -0,0 +1,80 @@
+/**
+ * Streaming Slack Replies
+ * Posts a placeholder message and progressively chat.update-s it
+ * while an AI response streams in.
+ */
+
+const { formatForSlack } = require('./slack-format');
+
+// chat.update is Tier 3 (~50/min); one edit per ~1.2s stays well under it
+const UPDATE_INTERVAL_MS = 1200;
+const PLACEHOLDER_TEXT = '🚗 _KITT is thinking..._';
+const TYPING_SUFFIX = ' ▍';
+
+/**
+ * Start a streaming reply
+ * @param {Object} client - Slack WebClient
+ * @param {Object} options
+ * @param {string} options.channel - Channel to post in
+ * @param {string} [options.thread_ts] - Thread to reply in
+ * @param {string} [options.placeholder] - Initial text
+ * @returns {Promise<Object>} { update(text), finish(text, extra) }
+ */
+async function startStreamingReply(client, { channel, thread_ts, placeholder = PLACEHOLDER_TEXT }) {
+  const posted = await client.chat.postMessage({ channel, thread_ts, text: placeholder });
+  const ts = posted.ts;
+
+  let latestText = '';
+  let lastSentText = '';
+  let lastSentAt = 0;
+  let timer = null;
+  let inFlight = Promise.resolve();
+  let finished = false;
+
+  function flush() {
+    timer = null;
+    if (finished || latestText === lastSentText) return;
+
+    const text = latestText;
+    lastSentText = text;
+    lastSentAt = Date.now();
+
+    inFlight = inFlight
+      .then(() => client.chat.update({ channel, ts, text: formatForSlack(text) + TYPING_SUFFIX }))
+      .catch(error => console.warn('[Stream] chat.update failed:', error.message));
+  }
+
+  return {
+    ts,
+
+    /**
+     * Record the latest partial text; Slack is updated at most once per interval
+     * @param {string} text - Full text so far
+     */
+    update(text) {
+      if (finished) return;
+      latestText = text;
+      if (timer) return;
+
+      const wait = Math.max(0, lastSentAt + UPDATE_INTERVAL_MS - Date.now());
+      timer = setTimeout(flush, wait);
+    },
+
+    /**
+     * Replace the message with the final text
+     * @param {string} text - Final text
+     * @param {Object} [extra] - Extra chat.update fields (e.g. blocks)
+     */
+    async finish(text, extra = {}) {
+      finished = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      await inFlight;
+      await client.chat.update({ channel, ts, text: formatForSlack(text), ...extra });
+    }
+  };
+}
+
+module.exports = { startStreamingReply, UPDATE_INTERVAL_MS };